@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Writes a file atomically: the content is written to a temporary file next to it, flushed to disk
+ * and then renamed over the file. A crash or kill halfway leaves either the old or the new file,
+ * never a truncated one. The directory is created if needed.
+ *
+ * Without the flush, a killed process still can't leave a truncated file, but a power loss or OS
+ * crash can. That is enough for files that can be fetched again, like cache entries, and saves a
+ * disk flush per file.
+ *
+ * @param {string} filePath - Path of the file to write.
+ * @param {string} content - The new content.
+ * @param {Object} [options={}] - Write options.
+ * @param {boolean} [options.fsync=true] - Whether to flush the content to disk before the rename.
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+	const { fsync = true } = options;
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+	// The process id keeps parallel runs writing the same file apart
+	const tempPath = `${filePath}.${process.pid}.tmp`;
+	try {
+		const fd = fs.openSync(tempPath, "w");
+		try {
+			fs.writeSync(fd, content);
+			if (fsync) fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+		fs.renameSync(tempPath, filePath);
+	} catch (error) {
+		fs.rmSync(tempPath, { force: true });
+		throw error;
+	}
+}
+
+module.exports = {
+	writeFileAtomic,
+};
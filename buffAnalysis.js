@@ -0,0 +1,149 @@
+/**
+ * Breaks a contributor's buff history down into a timeline, for coaching.
+ * Times in a buff history are "seconds ago" (server_time), so larger times are earlier.
+ */
+
+// SIAB removed in this last part of the coop counts as removed near the end
+const NEAR_END_FRACTION = 0.1;
+
+/**
+ * Checks whether a buff history entry has all the fields the analysis needs.
+ *
+ * @param {Object} buff - A buff history entry.
+ * @returns {boolean} True if the entry can be used.
+ */
+function isValidBuff(buff) {
+	return (
+		typeof buff?.server_time === "number" &&
+		typeof buff.egg_laying_buff === "number" &&
+		typeof buff.earnings_buff === "number"
+	);
+}
+
+/**
+ * Returns the deflector and SIAB levels of a buff, in whole percents.
+ *
+ * @param {{ egg_laying_buff: number, earnings_buff: number }} buff - A buff history entry.
+ * @returns {{ deflector: number, siab: number }} The buff levels, 0 if not equipped.
+ */
+function getBuffLevels(buff) {
+	return {
+		deflector: Math.max(0, Math.round((buff.egg_laying_buff - 1) * 100)),
+		siab: Math.max(0, Math.round((buff.earnings_buff - 1) * 100)),
+	};
+}
+
+/**
+ * Analyzes the buff timeline of a contributor during a coop.
+ *
+ * @param {Array<{ server_time: number, egg_laying_buff: number, earnings_buff: number }>} buffHistory
+ *        The contributor's buff history. It isn't modified.
+ * @param {number} secondsSinceAllGoalsAchieved - When the coop ended, in seconds ago (0 if it is still running).
+ * @param {number} coopStartSecondsAgo - When the coop started, in seconds ago.
+ * @returns {{
+ *   deflectorSeconds: Object<string, number>,
+ *   siabSeconds: Object<string, number>,
+ *   secondsWithoutBuffData: number,
+ *   secondsUntilFirstDeflector: number|null,
+ *   siabRemovedNearEnd: boolean,
+ *   siabRemovedSecondsBeforeEnd: number|null,
+ *   buffChanges: number
+ * }} Seconds spent at each deflector and SIAB level (keyed by percent), seconds before the first buff
+ *    entry, seconds from the coop start until the first deflector (null if never equipped), whether and
+ *    when SIAB was taken off for the rest of the coop, and the number of buff changes made during the coop.
+ * @throws {TypeError} If buffHistory is not an array or the times are not numbers.
+ */
+function analyzeBuffHistory(
+	buffHistory,
+	secondsSinceAllGoalsAchieved,
+	coopStartSecondsAgo
+) {
+	if (!Array.isArray(buffHistory)) {
+		throw new TypeError("buffHistory must be an array");
+	}
+	if (
+		!Number.isFinite(secondsSinceAllGoalsAchieved) ||
+		!Number.isFinite(coopStartSecondsAgo)
+	) {
+		throw new TypeError(
+			"secondsSinceAllGoalsAchieved and coopStartSecondsAgo must be valid numbers"
+		);
+	}
+
+	const coopEnd = secondsSinceAllGoalsAchieved;
+	const coopStart = Math.max(coopStartSecondsAgo, coopEnd);
+	const coopSeconds = coopStart - coopEnd;
+
+	// Oldest first, only the buffs set before the coop ended
+	const buffs = buffHistory
+		.filter(isValidBuff)
+		.filter((buff) => buff.server_time > coopEnd)
+		.sort((a, b) => b.server_time - a.server_time);
+
+	const analysis = {
+		deflectorSeconds: {},
+		siabSeconds: {},
+		secondsWithoutBuffData: coopSeconds,
+		secondsUntilFirstDeflector: null,
+		siabRemovedNearEnd: false,
+		siabRemovedSecondsBeforeEnd: null,
+		buffChanges: 0,
+	};
+	if (buffs.length === 0) return analysis;
+
+	analysis.secondsWithoutBuffData = Math.max(
+		0,
+		coopStart - Math.min(buffs[0].server_time, coopStart)
+	);
+
+	let previousLevels = null;
+	let siabUsed = false;
+	for (let i = 0; i < buffs.length; i++) {
+		const levels = getBuffLevels(buffs[i]);
+		// Buffs set before the coop started count from the start
+		const start = Math.min(buffs[i].server_time, coopStart);
+		const end = i < buffs.length - 1 ? buffs[i + 1].server_time : coopEnd;
+		const duration = Math.max(0, start - Math.max(end, coopEnd));
+
+		// Only changes made while the coop was running count
+		if (
+			previousLevels &&
+			buffs[i].server_time <= coopStart &&
+			(levels.deflector !== previousLevels.deflector ||
+				levels.siab !== previousLevels.siab)
+		) {
+			analysis.buffChanges++;
+		}
+
+		if (duration > 0) {
+			analysis.deflectorSeconds[levels.deflector] =
+				(analysis.deflectorSeconds[levels.deflector] ?? 0) + duration;
+			analysis.siabSeconds[levels.siab] =
+				(analysis.siabSeconds[levels.siab] ?? 0) + duration;
+		}
+
+		if (levels.deflector > 0 && analysis.secondsUntilFirstDeflector === null) {
+			analysis.secondsUntilFirstDeflector = coopStart - start;
+		}
+
+		// Track when SIAB was last taken off, it counts only if it stays off until the end
+		if (levels.siab > 0) {
+			siabUsed = true;
+			analysis.siabRemovedSecondsBeforeEnd = null;
+		} else if (siabUsed && previousLevels?.siab > 0) {
+			analysis.siabRemovedSecondsBeforeEnd = start - coopEnd;
+		}
+
+		previousLevels = levels;
+	}
+
+	analysis.siabRemovedNearEnd =
+		analysis.siabRemovedSecondsBeforeEnd !== null &&
+		analysis.siabRemovedSecondsBeforeEnd <= coopSeconds * NEAR_END_FRACTION;
+
+	return analysis;
+}
+
+module.exports = {
+	analyzeBuffHistory,
+};
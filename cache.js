@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { isCoopFinished } = require("./tools");
+const { writeFileAtomic } = require("./atomicWrite");
+const { logger } = require("./logger");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Cache rules per API path, checked in order. `ttlMs` is the time a response stays valid:
+ * Infinity for responses that can't change anymore, 0 for responses that aren't cached.
+ * It may be a function of the response body and the hints passed by the caller.
+ */
+const CACHE_RULES = [
+	{
+		// The contract list grows whenever a new contract starts
+		pattern: /^\/api\/contracts$/,
+		ttlMs: HOUR,
+	},
+	{
+		pattern: /^\/api\/grade_spec_collections\//,
+		ttlMs: Infinity,
+	},
+	{
+		// Statuses of finished coops are final, running coops must be refetched
+		pattern: /^\/api\/coops\/[^/]+\/[^/]+\/statuses\/latest$/,
+		ttlMs: (body) => (isCoopFinished(body) ? Infinity : 0),
+	},
+	{
+		// The buff history is final once the coop of the contributor has finished
+		pattern: /^\/api\/coop_contributor_uuids\//,
+		ttlMs: (body, hints) => (hints.coopFinished ? Infinity : 0),
+	},
+];
+
+const cacheOptions = {
+	enabled: true,
+	refresh: false,
+	cacheDir: "./.cache",
+};
+
+const cacheStats = {
+	hits: 0,
+	misses: 0,
+	writes: 0,
+};
+
+/**
+ * Sets the cache options. Options that are undefined keep their current value.
+ *
+ * @param {Object} options - Cache options.
+ * @param {boolean} [options.enabled] - Whether responses are read from and written to the cache (default: true).
+ * @param {boolean} [options.refresh] - Ignore cached responses, but still write fresh ones (default: false).
+ * @param {string} [options.cacheDir] - Directory the responses are stored in (default: ./.cache).
+ */
+function configureCache(options) {
+	for (const [key, value] of Object.entries(options)) {
+		if (value !== undefined && key in cacheOptions) {
+			cacheOptions[key] = value;
+		}
+	}
+}
+
+/**
+ * Returns the number of cache hits, misses and writes so far.
+ *
+ * @returns {{ hits: number, misses: number, writes: number }} Cache counters.
+ */
+function getCacheStats() {
+	return { ...cacheStats };
+}
+
+/**
+ * Finds the cache rule for an API path.
+ *
+ * @param {string} apiPath - Normalized API path, starting with "/api/".
+ * @returns {Object|undefined} The matching rule, if any.
+ */
+function findCacheRule(apiPath) {
+	return CACHE_RULES.find((rule) => rule.pattern.test(apiPath));
+}
+
+/**
+ * Returns the cache file of a URL. The URL is hashed, so it's safe to use as a file name.
+ *
+ * @param {string} url - The full request URL.
+ * @returns {string} Path of the cache file.
+ */
+function getCacheFilePath(url) {
+	const hash = crypto.createHash("sha1").update(url).digest("hex");
+	return path.join(cacheOptions.cacheDir, hash.slice(0, 2), `${hash}.json`);
+}
+
+/**
+ * Reads a cached response.
+ *
+ * @param {string} apiPath - Normalized API path, starting with "/api/".
+ * @param {string} url - The full request URL.
+ * @returns {*} The cached response body, or undefined if there is no valid cached response.
+ */
+function readCachedResponse(apiPath, url) {
+	if (!cacheOptions.enabled || !findCacheRule(apiPath)) return undefined;
+
+	if (!cacheOptions.refresh) {
+		try {
+			const entry = JSON.parse(
+				fs.readFileSync(getCacheFilePath(url), "utf8")
+			);
+			if (entry.expiresAt === null || entry.expiresAt > Date.now()) {
+				cacheStats.hits++;
+				return entry.body;
+			}
+		} catch (error) {
+			// Missing or unreadable cache files are treated as a miss
+		}
+	}
+
+	cacheStats.misses++;
+	return undefined;
+}
+
+/**
+ * Writes a response to the cache if its rule allows it.
+ *
+ * @param {string} apiPath - Normalized API path, starting with "/api/".
+ * @param {string} url - The full request URL.
+ * @param {*} body - The response body.
+ * @param {Object} [hints={}] - Hints from the caller for rules that depend on context, e.g. `coopFinished`.
+ */
+function writeCachedResponse(apiPath, url, body, hints = {}) {
+	if (!cacheOptions.enabled) return;
+
+	const rule = findCacheRule(apiPath);
+	if (!rule) return;
+
+	const ttlMs =
+		typeof rule.ttlMs === "function" ? rule.ttlMs(body, hints) : rule.ttlMs;
+	if (!(ttlMs > 0)) return;
+
+	const entry = {
+		url,
+		storedAt: Date.now(),
+		expiresAt: ttlMs === Infinity ? null : Date.now() + ttlMs,
+		body,
+	};
+
+	const filePath = getCacheFilePath(url);
+	try {
+		// A lost cache entry is fetched again, so it isn't flushed to disk
+		writeFileAtomic(filePath, JSON.stringify(entry), { fsync: false });
+		cacheStats.writes++;
+	} catch (error) {
+		logger.warn(`Failed to write cache file ${filePath}`, { error });
+	}
+}
+
+module.exports = {
+	configureCache,
+	getCacheStats,
+	readCachedResponse,
+	writeCachedResponse,
+};
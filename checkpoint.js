@@ -0,0 +1,250 @@
+const fs = require("fs");
+
+const { writeFileAtomic } = require("./atomicWrite");
+const { getContractRunKey, getCoopKey } = require("./tools");
+
+/**
+ * The checkpoint manifest records which contracts and coops of the coop list are done, so it is
+ * clear how far a run got after Ctrl+C or a crash. It is written after every save of the coops file,
+ * and only lists a coop as done once its record is saved:
+ *
+ * `{ state, updatedAt, coopsFile, summary, contracts: [{ key, contract, run, complete, coops: { <code>: <status> } }] }`
+ *
+ * `state` is "running" while coops are processed, "interrupted" after a graceful shutdown and
+ * "finished" once every coop was processed. A manifest that still says "running" belongs to a run that
+ * crashed or was killed. `summary` counts the contracts and the coops per status. Contracts without
+ * coops aren't listed, as there is nothing to process. The coop statuses are:
+ *
+ * - `done`: a successful record is saved.
+ * - `error`: an error record is saved, the coop is processed again by the next run.
+ * - `failed`: processing failed before a record was made, see failures.js.
+ * - `pending`: the coop is still running, see pendingCoops.json.
+ * - `remaining`: the coop wasn't processed yet.
+ */
+
+const COOP_STATUSES = ["done", "error", "failed", "pending", "remaining"];
+
+let checkpointPath = null;
+let manifest = null;
+let coopsByKey = new Map();
+
+/**
+ * Indexes the coops of the manifest by coop key, with their contract entry.
+ */
+function indexManifest() {
+	coopsByKey = new Map();
+	for (const entry of manifest?.contracts ?? []) {
+		for (const code of Object.keys(entry.coops)) {
+			coopsByKey.set(getCoopKey(entry.contract, code, entry.run), {
+				entry,
+				code,
+			});
+		}
+	}
+}
+
+/**
+ * Checks the contracts of a stored manifest, so a hand-edited or corrupt manifest is reported on load
+ * instead of giving NaN counts.
+ *
+ * @param {Array<Object>} contracts - The contracts of the manifest.
+ * @param {string} filePath - Path of the manifest, for the error message.
+ * @throws {Error} If a contract has no coops or a coop has an unknown status.
+ */
+function validateCheckpointContracts(contracts, filePath) {
+	for (const entry of contracts) {
+		if (
+			typeof entry?.coops !== "object" ||
+			entry.coops === null ||
+			Array.isArray(entry.coops)
+		) {
+			throw new Error(
+				`${filePath} is not a checkpoint manifest, a contract has no coops`
+			);
+		}
+		for (const [code, status] of Object.entries(entry.coops)) {
+			if (!COOP_STATUSES.includes(status)) {
+				const coopKey = getCoopKey(entry.contract, code, entry.run);
+				throw new Error(
+					`${filePath} has an unknown status ${JSON.stringify(status)} for ${coopKey}, expected one of: ${COOP_STATUSES.join(", ")}`
+				);
+			}
+		}
+	}
+}
+
+/**
+ * Loads the checkpoint manifest of an earlier run, if there is one.
+ *
+ * @param {Object} options - Checkpoint options.
+ * @param {string} options.filePath - Path of the manifest.
+ * @throws {Error} If the file exists but isn't a checkpoint manifest, or has an unknown coop status.
+ */
+function configureCheckpoint(options) {
+	checkpointPath = options.filePath;
+	manifest = null;
+	if (fs.existsSync(checkpointPath)) {
+		const stored = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+		if (!Array.isArray(stored?.contracts)) {
+			throw new Error(`${checkpointPath} is not a checkpoint manifest`);
+		}
+		validateCheckpointContracts(stored.contracts, checkpointPath);
+		manifest = stored;
+	}
+	indexManifest();
+}
+
+/**
+ * Starts a new manifest for a coop list, in the "running" state. Coops with a record in the coops file
+ * are done, or error if the record is an error record, the others remain.
+ *
+ * @param {Array<majCoopsObject>} coops - The full coop list, including the coops that were already processed.
+ * @param {Map<string, { error: boolean }>} existingByKey - Status of the records in the coops file, by coop key.
+ * @param {string} coopsFile - Path of the coops file.
+ */
+function startCheckpoint(coops, existingByKey, coopsFile) {
+	const contracts = new Map();
+	for (const majCoopsObject of coops) {
+		if (majCoopsObject.coops.length === 0) continue;
+		const key = getContractRunKey(majCoopsObject.contract, majCoopsObject.run);
+		if (!contracts.has(key)) {
+			contracts.set(key, {
+				key,
+				contract: majCoopsObject.contract,
+				run: majCoopsObject.run ?? null,
+				complete: false,
+				coops: {},
+			});
+		}
+		const entry = contracts.get(key);
+		for (const coop of majCoopsObject.coops) {
+			const existing = existingByKey.get(
+				getCoopKey(majCoopsObject.contract, coop.code, majCoopsObject.run)
+			);
+			let status = "remaining";
+			if (existing) status = existing.error ? "error" : "done";
+			entry.coops[coop.code] = status;
+		}
+	}
+
+	manifest = {
+		state: "running",
+		coopsFile,
+		contracts: [...contracts.values()],
+	};
+	indexManifest();
+}
+
+/**
+ * Sets the status of processed coops. Coops that aren't in the manifest are ignored.
+ *
+ * @param {Array<{ coopKey: string, status: string }>} updates - The new statuses, see COOP_STATUSES.
+ */
+function updateCheckpointCoops(updates) {
+	for (const { coopKey, status } of updates) {
+		const coop = coopsByKey.get(coopKey);
+		if (coop) coop.entry.coops[coop.code] = status;
+	}
+}
+
+/**
+ * Returns the status of a coop in the manifest.
+ *
+ * @param {string} coopKey - The coop key, see getCoopKey.
+ * @returns {string|null} The status, see COOP_STATUSES, null if the coop isn't in the manifest.
+ */
+function getCheckpointCoopStatus(coopKey) {
+	const coop = coopsByKey.get(coopKey);
+	return coop ? coop.entry.coops[coop.code] : null;
+}
+
+/**
+ * Checks whether every coop of a contract is done. A contract without coops isn't complete, there is
+ * nothing it completed.
+ *
+ * @param {Object} entry - A contract of the manifest.
+ * @returns {boolean} True if the contract has coops and all of them are done.
+ */
+function isContractComplete(entry) {
+	const statuses = Object.values(entry.coops);
+	return statuses.length > 0 && statuses.every((status) => status === "done");
+}
+
+/**
+ * Counts the contracts and the coops per status in the manifest. Contracts without coops aren't
+ * counted.
+ *
+ * @returns {{ contracts: number, completeContracts: number, coops: number, done: number, error: number, failed: number, pending: number, remaining: number }} The counts.
+ */
+function countCoopStatuses() {
+	const counts = {
+		contracts: 0,
+		completeContracts: 0,
+		coops: 0,
+	};
+	for (const status of COOP_STATUSES) counts[status] = 0;
+	for (const entry of manifest.contracts) {
+		const statuses = Object.values(entry.coops);
+		if (statuses.length === 0) continue;
+		counts.contracts++;
+		if (isContractComplete(entry)) counts.completeContracts++;
+		for (const status of statuses) {
+			counts.coops++;
+			counts[status]++;
+		}
+	}
+	return counts;
+}
+
+/**
+ * Returns the state of the manifest and its counts, e.g. to report how far an earlier run got.
+ *
+ * @returns {Object|null} `{ state, updatedAt }` and the counts of countCoopStatuses, null if there is no manifest.
+ */
+function getCheckpointSummary() {
+	if (!manifest) return null;
+	return {
+		state: manifest.state,
+		updatedAt: manifest.updatedAt ?? null,
+		...countCoopStatuses(),
+	};
+}
+
+/**
+ * Writes the manifest atomically. Nothing is written if no manifest was started or loaded.
+ *
+ * @param {string} [state] - The new state, "running", "interrupted" or "finished". Keeps the current state if omitted.
+ */
+function saveCheckpoint(state) {
+	if (!checkpointPath || !manifest) return;
+	if (state) manifest.state = state;
+
+	for (const entry of manifest.contracts) {
+		entry.complete = isContractComplete(entry);
+	}
+	manifest.updatedAt = new Date().toISOString();
+	writeFileAtomic(
+		checkpointPath,
+		JSON.stringify(
+			{
+				state: manifest.state,
+				updatedAt: manifest.updatedAt,
+				coopsFile: manifest.coopsFile,
+				summary: countCoopStatuses(),
+				contracts: manifest.contracts,
+			},
+			null,
+			2
+		)
+	);
+}
+
+module.exports = {
+	COOP_STATUSES,
+	configureCheckpoint,
+	startCheckpoint,
+	updateCheckpointCoops,
+	getCheckpointCoopStatus,
+	getCheckpointSummary,
+	saveCheckpoint,
+};
@@ -0,0 +1,783 @@
+const { parseArgs } = require("util");
+const path = require("path");
+
+const { COOP_FILE_FORMATS } = require("./storage");
+
+const { AUTO_SCORING_MODEL, getScoringModelIds } = require("./scoringModels");
+
+const { GRADES, LEADERBOARD_SORTS } = require("./leaderboard");
+
+const { SCHEMA_MODES } = require("./schemas");
+
+const {
+	DEFAULT_COOP_SOURCES,
+	getCoopSourceIds,
+	getCoopSource,
+} = require("./coopSources");
+
+/**
+ * Error thrown when the command line arguments are invalid.
+ * The message is meant to be shown to the user as-is.
+ */
+class CliError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "CliError";
+	}
+}
+
+const COMMANDS = {
+	run: "Fetch contracts and coops, then process them (fetch + process)",
+	fetch: "Fetch the contract list and the Wonky coop list and write them to the output directory",
+	process: "Process the coop list from a previous fetch into the coops file",
+	"retry-failed": "Process the coops in failures.json again and patch their records in the coops file",
+	report: "Print a per-contract summary of the coops file",
+	leaderboard: "Rank the players by their scores over all coops in the coops file",
+	players: "Update the player registry from the coops file and review suspected duplicate players",
+	convert: "Convert a coops file between the JSON array, NDJSON and SQLite formats",
+	recompute: "Recalculate the metrics of every coop in a coops file offline and write them to a new file",
+	"serve-fixtures": "Serve recorded fixtures from a local mock EggCoop and Wonky server",
+};
+
+const DEFAULT_COMMAND = "run";
+
+/**
+ * Option definitions. Every option lists the commands it applies to,
+ * a parser that converts and validates the raw string value and a default.
+ * Boolean options with `negatable` also accept a `--no-<name>` form.
+ */
+const OPTIONS = {
+	start: {
+		type: "string",
+		valueName: "<date>",
+		description: "First contract start date to include (inclusive, e.g. 2025-03-23)",
+		commands: ["run", "fetch"],
+		parse: parseDate,
+	},
+	end: {
+		type: "string",
+		valueName: "<date>",
+		description: "Last contract start date to include (inclusive, e.g. 2025-04-12)",
+		commands: ["run", "fetch"],
+		parse: parseDate,
+	},
+	season: {
+		type: "string",
+		valueName: "<id>",
+		description: 'Only keep contracts of this season between the dates (e.g. "winter_2025")',
+		commands: ["run", "fetch"],
+		default: null,
+	},
+	"start-season": {
+		type: "string",
+		valueName: "<id>",
+		description: "Season mode: first season to include (inclusive), instead of --start/--end",
+		commands: ["run", "fetch"],
+		default: null,
+	},
+	"end-season": {
+		type: "string",
+		valueName: "<id>",
+		description: "Season mode: season to stop at (exclusive). Defaults to the season after --start-season",
+		commands: ["run", "fetch"],
+		default: null,
+	},
+	"seasonal-only": {
+		type: "boolean",
+		description: "Season mode: only include seasonal contracts, no leggacy or non-seasonal ones",
+		commands: ["run", "fetch"],
+		default: false,
+	},
+	source: {
+		type: "string",
+		multiple: true,
+		valueName: "<id>",
+		description: `Where to list the coops from (repeatable, combined): ${getCoopSourceIds()
+			.map((id) => `${id} (${getCoopSource(id).description})`)
+			.join(", ")}`,
+		commands: ["run", "fetch"],
+		// Checked when parsing, so sources registered later are accepted too
+		parse: (value, name) => parseChoice(getCoopSourceIds())(value, name),
+		default: DEFAULT_COOP_SOURCES,
+	},
+	roster: {
+		type: "string",
+		valueName: "<file>",
+		description: "JSON or CSV coop roster of the roster source",
+		commands: ["run", "fetch"],
+		default: null,
+	},
+	"wonky-chunk-size": {
+		type: "string",
+		valueName: "<n>",
+		description: "Maximum number of contracts per Wonky request, failed requests only lose their own contracts",
+		commands: ["run", "fetch"],
+		parse: parsePositiveInteger,
+		default: 25,
+	},
+	"keep-runs": {
+		type: "boolean",
+		description: "Keep every run of a contract (reruns, Wonky registration waves) separate instead of only the latest",
+		commands: ["run", "fetch"],
+		default: false,
+	},
+	"out-dir": {
+		type: "string",
+		valueName: "<dir>",
+		description: "Directory for contractList.json, coopList.json and the coops file",
+		commands: [
+			"run",
+			"fetch",
+			"process",
+			"retry-failed",
+			"report",
+			"leaderboard",
+			"players",
+		],
+		default: "./files",
+	},
+	format: {
+		type: "string",
+		valueName: "<format>",
+		description: "Format of the coops file: json (coops.json), ndjson (coops.ndjson, one coop per line) or sqlite (coops.sqlite)",
+		commands: [
+			"run",
+			"process",
+			"retry-failed",
+			"report",
+			"leaderboard",
+			"players",
+		],
+		parse: parseChoice(COOP_FILE_FORMATS),
+		default: "json",
+	},
+	in: {
+		type: "string",
+		valueName: "<file>",
+		description: "Coops file to read, format detected from the extension (.json, .ndjson, .jsonl, .sqlite or .db)",
+		commands: ["convert", "recompute"],
+		default: null,
+	},
+	out: {
+		type: "string",
+		valueName: "<file>",
+		description: "File to write, format detected from the extension. Must not exist yet",
+		commands: ["convert", "recompute"],
+		default: null,
+	},
+	top: {
+		type: "string",
+		valueName: "<n>",
+		description: "Number of rows to list: the largest cs changes or the best players, 0 for all",
+		commands: ["recompute", "leaderboard"],
+		parse: parseNonNegativeInteger,
+		default: 20,
+	},
+	"scoring-model": {
+		type: "string",
+		valueName: "<id>",
+		description: `Scoring model to calculate CS with: ${AUTO_SCORING_MODEL} (by contract start date) or a model id (${getScoringModelIds().join(", ")})`,
+		commands: ["run", "process", "retry-failed", "recompute"],
+		// Checked when parsing, so models registered later are accepted too
+		parse: (value, name) =>
+			parseChoice([AUTO_SCORING_MODEL, ...getScoringModelIds()])(value, name),
+		default: AUTO_SCORING_MODEL,
+	},
+	grade: {
+		type: "string",
+		multiple: true,
+		valueName: "<grade>",
+		description: `Only include coops of this grade: ${GRADES.join(", ")} (repeatable)`,
+		commands: ["leaderboard"],
+		parse: (value, name) => parseChoice(GRADES)(value.toLowerCase(), name),
+		default: [],
+	},
+	contract: {
+		type: "string",
+		multiple: true,
+		valueName: "<id>",
+		description: "Only include coops of this contract (repeatable)",
+		commands: ["leaderboard"],
+		default: [],
+	},
+	sort: {
+		type: "string",
+		valueName: "<order>",
+		description: `How to rank the players: ${Object.keys(LEADERBOARD_SORTS).join(", ")}`,
+		commands: ["leaderboard"],
+		parse: parseChoice(Object.keys(LEADERBOARD_SORTS)),
+		default: "total-cs",
+	},
+	export: {
+		type: "string",
+		valueName: "<file>",
+		description: "Also write the full leaderboard to a .csv or .json file",
+		commands: ["leaderboard"],
+		default: null,
+	},
+	players: {
+		type: "string",
+		valueName: "<file>",
+		description: "Player registry file that links renamed players (default: players.json in the output directory)",
+		commands: ["run", "process", "retry-failed", "leaderboard", "players"],
+		default: null,
+	},
+	merge: {
+		type: "string",
+		multiple: true,
+		valueName: "<key>",
+		description: "Merge these players into the first one given (repeatable, at least two)",
+		commands: ["players"],
+		default: [],
+	},
+	"keep-separate": {
+		type: "string",
+		multiple: true,
+		valueName: "<key>",
+		description: "Mark these players as different people, so they aren't suspected duplicates anymore (repeatable, at least two)",
+		commands: ["players"],
+		default: [],
+	},
+	"teamwork-data": {
+		type: "string",
+		valueName: "<file>",
+		description: "JSON file with known token values and chicken runs per user, for an exact CS",
+		commands: ["run", "process", "retry-failed", "recompute"],
+		default: null,
+	},
+	clear: {
+		type: "boolean",
+		description: "Start with an empty coops file instead of appending to it",
+		commands: ["run", "process"],
+		default: false,
+	},
+	"refresh-contract": {
+		type: "string",
+		multiple: true,
+		valueName: "<id>",
+		description: "Reprocess every coop of this contract, even the ones already in the coops file (repeatable)",
+		commands: ["run", "process"],
+		default: [],
+	},
+	"save-interval": {
+		type: "string",
+		valueName: "<n>",
+		description: "Number of coops to process before writing to file",
+		commands: ["run", "process", "retry-failed"],
+		parse: parsePositiveInteger,
+		default: 500,
+	},
+	"max-parallel": {
+		type: "string",
+		valueName: "<n>",
+		description: "Maximum number of coops processed in parallel",
+		commands: ["run", "process", "retry-failed"],
+		parse: parsePositiveInteger,
+		default: 400,
+	},
+	"request-delay": {
+		type: "string",
+		valueName: "<ms>",
+		description: "Extra delay between the start of coops within a batch, on top of --rps",
+		commands: ["run", "process", "retry-failed"],
+		parse: parseNonNegativeInteger,
+		default: 0,
+	},
+	"batch-delay": {
+		type: "string",
+		valueName: "<ms>",
+		description: "Delay between batches",
+		commands: ["run", "process", "retry-failed"],
+		parse: parseNonNegativeInteger,
+		default: 50,
+	},
+	"buff-history": {
+		type: "boolean",
+		negatable: true,
+		description: "Fetch the buff history of every contributor",
+		commands: ["run", "process", "retry-failed"],
+		default: true,
+	},
+	"buff-history-delay": {
+		type: "string",
+		valueName: "<ms>",
+		description: "Extra delay between buff history requests, on top of --rps",
+		commands: ["run", "process", "retry-failed"],
+		parse: parseNonNegativeInteger,
+		default: 0,
+	},
+	rps: {
+		type: "string",
+		valueName: "<n>",
+		description: "Maximum number of EggCoop requests per second, shared by all requests",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		parse: parsePositiveNumber,
+		default: 10,
+	},
+	"max-in-flight": {
+		type: "string",
+		valueName: "<n>",
+		description: "Maximum number of EggCoop requests in flight at the same time",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		parse: parsePositiveInteger,
+		default: 20,
+	},
+	cache: {
+		type: "boolean",
+		negatable: true,
+		description: "Use the on-disk cache for EggCoop responses",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		default: true,
+	},
+	refresh: {
+		type: "boolean",
+		description: "Ignore cached EggCoop responses, but still cache the fresh ones",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		default: false,
+	},
+	"cache-dir": {
+		type: "string",
+		valueName: "<dir>",
+		description: "Directory for cached EggCoop responses",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		default: "./.cache",
+	},
+	record: {
+		type: "string",
+		valueName: "<dir>",
+		description: "Record every API response of this run as fixtures in this directory",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		default: null,
+	},
+	replay: {
+		type: "string",
+		valueName: "<dir>",
+		description: "Replay fixtures recorded with --record from a local mock server, fully offline",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		default: null,
+	},
+	fixtures: {
+		type: "string",
+		valueName: "<dir>",
+		description: "Directory with fixtures recorded with --record",
+		commands: ["serve-fixtures"],
+		default: null,
+	},
+	port: {
+		type: "string",
+		valueName: "<n>",
+		description: "Port of the mock server",
+		commands: ["serve-fixtures"],
+		parse: parseNonNegativeInteger,
+		default: 8787,
+	},
+	retries: {
+		type: "string",
+		valueName: "<n>",
+		description: "Retries for rate limited, failed or timed out requests",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		parse: parseNonNegativeInteger,
+		default: 4,
+	},
+	"retry-delay": {
+		type: "string",
+		valueName: "<ms>",
+		description: "Base delay of the jittered exponential backoff between retries",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		parse: parseNonNegativeInteger,
+		default: 500,
+	},
+	timeout: {
+		type: "string",
+		valueName: "<ms>",
+		description: "Timeout per request attempt",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		parse: parsePositiveInteger,
+		default: 30000,
+	},
+	"schema-mode": {
+		type: "string",
+		valueName: "<mode>",
+		description: "What to do with EggCoop and Wonky responses that don't match their schema: lenient (warn and use them) or strict (reject them and stop the run)",
+		commands: ["run", "fetch", "process", "retry-failed"],
+		parse: parseChoice(SCHEMA_MODES),
+		default: "lenient",
+	},
+	quiet: {
+		type: "boolean",
+		short: "q",
+		description: "Only print warnings and errors, and no progress bar",
+		commands: Object.keys(COMMANDS),
+		default: false,
+	},
+	verbose: {
+		type: "boolean",
+		short: "v",
+		description: "Also print debug messages and the stack traces of errors",
+		commands: Object.keys(COMMANDS),
+		default: false,
+	},
+	"run-log": {
+		type: "boolean",
+		negatable: true,
+		description: "Write every log message of this run to a JSON-lines file in logs/ in the output directory",
+		commands: Object.keys(COMMANDS),
+		default: true,
+	},
+	"log-file": {
+		type: "string",
+		valueName: "<file>",
+		description: "Write the JSON-lines run log to this file instead",
+		commands: Object.keys(COMMANDS),
+		default: null,
+	},
+	help: {
+		type: "boolean",
+		short: "h",
+		description: "Show this help",
+		commands: Object.keys(COMMANDS),
+		default: false,
+	},
+};
+
+/**
+ * Parses a date string into a Date object.
+ *
+ * @param {string} value - The raw option value.
+ * @param {string} name - The option name, used in error messages.
+ * @returns {Date} The parsed date.
+ * @throws {CliError} If the value is not a valid date.
+ */
+function parseDate(value, name) {
+	const date = new Date(value);
+	if (isNaN(date.getTime())) {
+		throw new CliError(`--${name} must be a valid date, got "${value}"`);
+	}
+	return date;
+}
+
+/**
+ * Creates a parser that only accepts one of the given values.
+ *
+ * @param {string[]} choices - The accepted values.
+ * @returns {(value: string, name: string) => string} The parser.
+ */
+function parseChoice(choices) {
+	return (value, name) => {
+		if (!choices.includes(value)) {
+			throw new CliError(
+				`--${name} must be one of ${choices.join(", ")}, got "${value}"`
+			);
+		}
+		return value;
+	};
+}
+
+/**
+ * Parses a string into a number greater than zero.
+ *
+ * @param {string} value - The raw option value.
+ * @param {string} name - The option name, used in error messages.
+ * @returns {number} The parsed number.
+ * @throws {CliError} If the value is not a positive number.
+ */
+function parsePositiveNumber(value, name) {
+	const number = Number(value);
+	if (!Number.isFinite(number) || number <= 0) {
+		throw new CliError(`--${name} must be a positive number, got "${value}"`);
+	}
+	return number;
+}
+
+/**
+ * Parses a string into an integer greater than zero.
+ *
+ * @param {string} value - The raw option value.
+ * @param {string} name - The option name, used in error messages.
+ * @returns {number} The parsed integer.
+ * @throws {CliError} If the value is not a positive integer.
+ */
+function parsePositiveInteger(value, name) {
+	const number = Number(value);
+	if (!Number.isInteger(number) || number <= 0) {
+		throw new CliError(
+			`--${name} must be a positive integer, got "${value}"`
+		);
+	}
+	return number;
+}
+
+/**
+ * Parses a string into an integer greater than or equal to zero.
+ *
+ * @param {string} value - The raw option value.
+ * @param {string} name - The option name, used in error messages.
+ * @returns {number} The parsed integer.
+ * @throws {CliError} If the value is not a non-negative integer.
+ */
+function parseNonNegativeInteger(value, name) {
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < 0) {
+		throw new CliError(
+			`--${name} must be a non-negative integer, got "${value}"`
+		);
+	}
+	return number;
+}
+
+/**
+ * Converts a kebab-case option name to camelCase.
+ *
+ * @param {string} name - Option name, e.g. "out-dir".
+ * @returns {string} camelCase name, e.g. "outDir".
+ */
+function toCamelCase(name) {
+	return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Builds the option config for util.parseArgs, adding a `no-<name>` flag for negatable booleans.
+ *
+ * @returns {Object} parseArgs option configuration.
+ */
+function buildParseArgsOptions() {
+	const parseArgsOptions = {};
+	for (const [name, option] of Object.entries(OPTIONS)) {
+		parseArgsOptions[name] = { type: option.type };
+		if (option.short) parseArgsOptions[name].short = option.short;
+		if (option.multiple) parseArgsOptions[name].multiple = true;
+		if (option.negatable) {
+			parseArgsOptions[`no-${name}`] = { type: "boolean" };
+		}
+	}
+	return parseArgsOptions;
+}
+
+/**
+ * Parses the command line arguments into a command and an options object.
+ *
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {{ command: string, help: boolean, options: Object }} The parsed command and camelCased options.
+ *          With --help, command is only set if one was given explicitly.
+ * @throws {CliError} If the command or an option is unknown or invalid.
+ */
+function parseCli(argv) {
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args: argv,
+			options: buildParseArgsOptions(),
+			allowPositionals: true,
+			strict: true,
+		});
+	} catch (error) {
+		throw new CliError(error.message);
+	}
+
+	const [commandName, ...positionals] = parsed.positionals;
+	const command = commandName ?? DEFAULT_COMMAND;
+	if (!COMMANDS[command]) {
+		throw new CliError(`Unknown command "${command}"`);
+	}
+
+	if (parsed.values.help) {
+		// Keep the command undefined when none was given, so the general help is shown
+		return { command: commandName, help: true, options: {} };
+	}
+
+	if (positionals.length > 0) {
+		throw new CliError(
+			`Unexpected argument(s) for ${command}: ${positionals.join(" ")}`
+		);
+	}
+
+	const options = {};
+	for (const [name, option] of Object.entries(OPTIONS)) {
+		if (name === "help") continue;
+
+		let value = parsed.values[name];
+		if (option.negatable && parsed.values[`no-${name}`]) {
+			if (value) {
+				throw new CliError(`--${name} and --no-${name} cannot be combined`);
+			}
+			value = false;
+		}
+
+		if (value !== undefined && !option.commands.includes(command)) {
+			throw new CliError(`--${name} is not supported by ${command}`);
+		}
+
+		if (value === undefined) {
+			value = option.default;
+		} else if (option.parse) {
+			value = option.multiple
+				? value.map((item) => option.parse(item, name))
+				: option.parse(value, name);
+		}
+
+		options[toCamelCase(name)] = value;
+	}
+
+	validateOptions(command, options);
+
+	return { command, help: false, options };
+}
+
+/**
+ * Validates option combinations that cannot be checked per option.
+ *
+ * @param {string} command - The selected command.
+ * @param {Object} options - The parsed options.
+ * @throws {CliError} If a required option is missing or options conflict.
+ */
+function validateOptions(command, options) {
+	if (options.refresh && options.cache === false) {
+		throw new CliError("--refresh cannot be combined with --no-cache");
+	}
+	if (options.quiet && options.verbose) {
+		throw new CliError("--quiet cannot be combined with --verbose");
+	}
+	if (options.logFile && options.runLog === false) {
+		throw new CliError("--log-file cannot be combined with --no-run-log");
+	}
+	if (options.record && options.replay) {
+		throw new CliError("--record cannot be combined with --replay");
+	}
+	if (command === "serve-fixtures" && !options.fixtures) {
+		throw new CliError("serve-fixtures requires --fixtures");
+	}
+	if (
+		(command === "convert" || command === "recompute") &&
+		(!options.in || !options.out)
+	) {
+		throw new CliError(`${command} requires both --in and --out`);
+	}
+	if (options.merge?.length === 1 || options.keepSeparate?.length === 1) {
+		throw new CliError(
+			"--merge and --keep-separate need at least two player keys each"
+		);
+	}
+
+	if (command === "run" || command === "fetch") {
+		const rosterSource = options.source.includes("roster");
+		if (rosterSource && !options.roster) {
+			throw new CliError("--source roster requires --roster");
+		}
+		if (!rosterSource && options.roster) {
+			throw new CliError("--roster requires --source roster");
+		}
+		// EggCoop doesn't list when a coop was registered, so it can't tell runs apart
+		if (options.keepRuns && options.source.includes("eggcoop")) {
+			throw new CliError("--keep-runs cannot be combined with --source eggcoop");
+		}
+
+		const dateMode = !!(options.start || options.end || options.season);
+		const seasonMode = !!options.startSeason;
+
+		if (dateMode && seasonMode) {
+			throw new CliError(
+				"--start-season cannot be combined with --start, --end or --season"
+			);
+		}
+		if (!seasonMode && (options.endSeason || options.seasonalOnly)) {
+			throw new CliError(
+				"--end-season and --seasonal-only require --start-season"
+			);
+		}
+		if (seasonMode) return;
+
+		if (!options.start || !options.end) {
+			throw new CliError(
+				`${command} requires either --start and --end, or --start-season`
+			);
+		}
+		if (options.start > options.end) {
+			throw new CliError("--start must not be after --end");
+		}
+	}
+}
+
+/**
+ * Returns the paths of the files that are read and written in the output directory.
+ *
+ * @param {string} outDir - The output directory.
+ * @param {string} [format="json"] - Format of the coops file, which determines its extension.
+ * @param {string|null} [playersPath=null] - Path of the player registry, players.json in the output directory if null.
+ * @returns {{ contractListPath: string, coopListPath: string, pendingCoopsPath: string, failuresPath: string, checkpointPath: string, runReportPath: string, logDir: string, coopsPath: string, playersPath: string }} File paths.
+ */
+function getOutputPaths(outDir, format = "json", playersPath = null) {
+	return {
+		contractListPath: path.join(outDir, "contractList.json"),
+		coopListPath: path.join(outDir, "coopList.json"),
+		pendingCoopsPath: path.join(outDir, "pendingCoops.json"),
+		failuresPath: path.join(outDir, "failures.json"),
+		checkpointPath: path.join(outDir, "checkpoint.json"),
+		runReportPath: path.join(outDir, "runReport.json"),
+		logDir: path.join(outDir, "logs"),
+		coopsPath: path.join(outDir, `coops.${format}`),
+		playersPath: playersPath ?? path.join(outDir, "players.json"),
+	};
+}
+
+/**
+ * Formats the help text, either for all commands or for a single command.
+ *
+ * @param {string} [command] - Command to show the options of. Shows the general help if omitted.
+ * @returns {string} The help text.
+ */
+function formatHelp(command) {
+	const lines = [];
+	const commandNames = command ? [command] : Object.keys(COMMANDS);
+
+	lines.push(
+		`Usage: node index.js ${command ?? "[command]"} [options]`,
+		""
+	);
+
+	if (!command) {
+		lines.push("Commands:");
+		for (const name of commandNames) {
+			const marker = name === DEFAULT_COMMAND ? " (default)" : "";
+			lines.push(`  ${name.padEnd(16)}${COMMANDS[name]}${marker}`);
+		}
+		lines.push("");
+	} else {
+		lines.push(COMMANDS[command], "");
+	}
+
+	lines.push("Options:");
+	for (const [name, option] of Object.entries(OPTIONS)) {
+		if (!option.commands.some((c) => commandNames.includes(c))) continue;
+
+		let flag = option.short ? `-${option.short}, --${name}` : `--${name}`;
+		if (option.negatable) flag += `, --no-${name}`;
+		if (option.valueName) flag += ` ${option.valueName}`;
+
+		let description = option.description;
+		if (
+			option.default !== undefined &&
+			option.default !== null &&
+			option.default !== false &&
+			!option.multiple
+		) {
+			description += ` (default: ${option.default})`;
+		}
+		lines.push(`  ${flag.padEnd(38)}${description}`);
+	}
+
+	if (!command) {
+		lines.push(
+			"",
+			"Run node index.js <command> --help for the options of a single command."
+		);
+	}
+
+	return lines.join("\n");
+}
+
+module.exports = {
+	CliError,
+	parseCli,
+	formatHelp,
+	getOutputPaths,
+};
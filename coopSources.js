@@ -0,0 +1,280 @@
+const { getMajCoops } = require("./maj");
+const { getEggCoopCoopList } = require("./eggcoop");
+const { readRoster } = require("./roster");
+const { getContractRunKey, convertGrade } = require("./tools");
+const { logger } = require("./logger");
+const { SchemaError } = require("./schemas");
+
+/**
+ * Coop sources list the coops of contracts, in the shape of the Wonky endpoint (majCoopsObject):
+ * `{ contract, startTime?, activeCoops?, run?, coops: [{ code, grade, users }] }`. Each source has:
+ *
+ * - `id`: the name used with --source, e.g. "wonky".
+ * - `description`: a short description for the help text.
+ * - `getCoops(kevIDs, options)`: resolves to the majCoopsObjects of those contracts. The options are
+ *   the ones passed to getCoopsFromSources.
+ *
+ * Sources that can't tell whether a contract still has running coops set activeCoops, so every coop
+ * is checked with its EggCoop status before it is processed.
+ */
+
+const DEFAULT_COOP_SOURCES = ["wonky"];
+
+const coopSources = new Map();
+
+/**
+ * Adds a coop source to the registry.
+ *
+ * @param {Object} source - The coop source, see the source shape at the top of this file.
+ * @throws {Error} If the source has no id, its id is taken or getCoops is missing.
+ */
+function registerCoopSource(source) {
+	if (!source?.id) {
+		throw new Error(`Invalid coop source id: ${source?.id}`);
+	}
+	if (coopSources.has(source.id)) {
+		throw new Error(`Coop source ${source.id} is already registered`);
+	}
+	if (typeof source.getCoops !== "function") {
+		throw new Error(`Coop source ${source.id} is missing getCoops`);
+	}
+	coopSources.set(source.id, source);
+}
+
+/**
+ * Returns the ids of all registered coop sources.
+ *
+ * @returns {string[]} The source ids, in registration order.
+ */
+function getCoopSourceIds() {
+	return [...coopSources.keys()];
+}
+
+/**
+ * Returns a registered coop source.
+ *
+ * @param {string} id - The source id.
+ * @returns {Object} The coop source.
+ * @throws {Error} If no source has this id.
+ */
+function getCoopSource(id) {
+	const source = coopSources.get(id);
+	if (!source) {
+		throw new Error(
+			`Unknown coop source "${id}", expected one of: ${getCoopSourceIds().join(", ")}`
+		);
+	}
+	return source;
+}
+
+/**
+ * Converts the grade notations of EggCoop and rosters to the Wonky notation: "GRADE_AAA" and grade
+ * numbers become "aaa". Other grades are kept as they are.
+ *
+ * @param {string|number|undefined} grade - The grade of a coop.
+ * @returns {string|undefined} The grade.
+ */
+function normalizeGrade(grade) {
+	if (Number.isInteger(grade)) return convertGrade(grade, false, true);
+	if (typeof grade === "string" && /^grade_/i.test(grade)) {
+		return grade.slice("grade_".length).toLowerCase();
+	}
+	return grade;
+}
+
+/**
+ * Merges the majCoopsObjects of several sources into one entry per contract run. Coops are matched
+ * on their code: a coop listed by several sources gets the users of all of them, and the grade of the
+ * first source that has one. Entries without a run go to the latest run of their contract, if any.
+ *
+ * @param {Array<Array<majCoopsObject>>} lists - The majCoopsObjects of every source, in source order.
+ * @returns {Array<majCoopsObject>} The merged majCoopsObjects.
+ */
+function mergeCoopLists(lists) {
+	const entries = lists.flat();
+	const merged = new Map();
+
+	// Entries with a run first, so the entries without one can join them
+	for (const entry of [
+		...entries.filter((entry) => entry.run),
+		...entries.filter((entry) => !entry.run),
+	]) {
+		const key = getContractRunKey(entry.contract, entry.run);
+		let target = merged.get(key);
+		if (!target && !entry.run) {
+			target = [...merged.values()]
+				.filter((candidate) => candidate.contract === entry.contract)
+				.sort((a, b) => parseInt(b.run, 10) - parseInt(a.run, 10))[0];
+		}
+		if (!target) {
+			target = { ...entry, coops: [] };
+			merged.set(key, target);
+		} else if (entry.activeCoops === true) {
+			target.activeCoops = true;
+		}
+
+		for (const coop of entry.coops) {
+			const existing = target.coops.find(
+				(candidate) => candidate.code === coop.code
+			);
+			if (!existing) {
+				target.coops.push({ ...coop, users: [...coop.users] });
+				continue;
+			}
+			if (!existing.grade) existing.grade = coop.grade;
+			for (const user of coop.users) {
+				if (!existing.users.includes(user)) existing.users.push(user);
+			}
+		}
+	}
+
+	return [...merged.values()];
+}
+
+/**
+ * Lists the coops of contracts from one or more coop sources, merged with mergeCoopLists.
+ * A failing source is reported and skipped, so the other sources can still be used.
+ *
+ * @param {Array<string>} kevIDs - Contract identifiers to list the coops of.
+ * @param {string[]} [sourceIds=["wonky"]] - The coop sources to use, earlier sources take precedence.
+ * @param {Object} [options={}] - Source options.
+ * @param {boolean} [options.keepRuns=false] - Keep every run of a contract separate, see filterUniqueContracts.
+ * @param {number} [options.chunkSize] - Maximum number of contracts per Wonky request.
+ * @param {string} [options.rosterPath] - Roster file of the roster source, see roster.js.
+ * @returns {Promise<Array<majCoopsObject>>} The contracts and their coops.
+ * @throws {Error} If a source is unknown or every source fails.
+ * @throws {SchemaError} If a response doesn't match its schema in strict mode.
+ * @async
+ */
+async function getCoopsFromSources(
+	kevIDs,
+	sourceIds = DEFAULT_COOP_SOURCES,
+	options = {}
+) {
+	const sources = sourceIds.map(getCoopSource);
+
+	const lists = [];
+	const errors = [];
+	for (const source of sources) {
+		try {
+			const entries = (await source.getCoops(kevIDs, options)).map(
+				(entry) => ({
+					...entry,
+					coops: entry.coops.map((coop) => ({
+						...coop,
+						grade: normalizeGrade(coop.grade),
+						users: Array.isArray(coop.users) ? coop.users : [],
+					})),
+				})
+			);
+			const coopCount = entries.reduce(
+				(count, entry) => count + entry.coops.length,
+				0
+			);
+			logger.info(
+				`Coop source ${source.id}: ${coopCount} coops of ${
+					new Set(entries.map((entry) => entry.contract)).size
+				} contracts`
+			);
+			lists.push(entries);
+		} catch (error) {
+			if (error instanceof SchemaError) throw error;
+			logger.warn(`Coop source ${source.id} failed`, {
+				stage: "coop-source",
+				error,
+			});
+			errors.push(error);
+		}
+	}
+
+	if (lists.length === 0 && errors.length > 0) {
+		if (errors.length === 1) throw errors[0];
+		throw new Error(
+			`Every coop source failed: ${errors.map((error) => error.message).join("; ")}`
+		);
+	}
+	return mergeCoopLists(lists);
+}
+
+// The Wonky endpoint of MAJ_ENDPOINT
+registerCoopSource({
+	id: "wonky",
+	description: "The Wonky endpoint, needs MAJ_ENDPOINT",
+	getCoops(kevIDs, options) {
+		return getMajCoops(kevIDs, options);
+	},
+});
+
+// A local roster file, see roster.js
+registerCoopSource({
+	id: "roster",
+	description: "A local JSON or CSV roster, needs --roster",
+	getCoops(kevIDs, options) {
+		if (!options.rosterPath) {
+			throw new Error("The roster source needs a roster file");
+		}
+		const wanted = new Set(kevIDs);
+		return readRoster(options.rosterPath)
+			.filter((entry) => wanted.has(entry.contract))
+			.map((entry) => ({
+				...entry,
+				// A roster doesn't know which coops finished, unless it says so
+				activeCoops: entry.activeCoops ?? true,
+				...(options.keepRuns &&
+					entry.startTime && {
+						run: String(parseInt(entry.startTime, 10)),
+					}),
+			}));
+	},
+});
+
+// The coops registered to EggCoop, one listing request per contract
+registerCoopSource({
+	id: "eggcoop",
+	description: "The coops registered to EggCoop",
+	async getCoops(kevIDs) {
+		const entries = [];
+		const failedKevIDs = [];
+		for (const kevID of kevIDs) {
+			let listing;
+			try {
+				listing = await getEggCoopCoopList(kevID);
+			} catch (error) {
+				if (error instanceof SchemaError) throw error;
+				// Contracts without registered coops have no listing
+				if (error.status !== 404) {
+					logger.warn("EggCoop coop listing failed", {
+						contract: kevID,
+						stage: "coop-source",
+						error,
+					});
+					failedKevIDs.push(kevID);
+				}
+				continue;
+			}
+
+			const coops = listing.map((item) => ({
+				code: item.code,
+				grade: item.grade,
+				users: (item.coopContributors ?? [])
+					.map((contributor) => contributor.userName)
+					.filter(Boolean),
+			}));
+			// EggCoop lists running coops too, so every coop is checked before processing
+			entries.push({ contract: kevID, activeCoops: true, coops });
+		}
+
+		if (kevIDs.length > 0 && failedKevIDs.length === kevIDs.length) {
+			throw new Error("Every EggCoop coop listing failed");
+		}
+		return entries;
+	},
+});
+
+module.exports = {
+	DEFAULT_COOP_SOURCES,
+	registerCoopSource,
+	getCoopSourceIds,
+	getCoopSource,
+	getCoopsFromSources,
+};
@@ -1,4 +1,48 @@
-const eggCoopBaseURL = "https://eggcoop.org";
+const { fetchJSON } = require("./http");
+const { RateLimiter } = require("./rateLimiter");
+const { readCachedResponse, writeCachedResponse } = require("./cache");
+const { isCoopFinished } = require("./tools");
+const { recordEggCoopResponse } = require("./fixtures");
+const { logger } = require("./logger");
+const { recordRequest } = require("./runReport");
+const { SchemaError, validateResponse } = require("./schemas");
+
+let eggCoopBaseURL = "https://eggcoop.org";
+
+// Every request to EggCoop goes through this limiter, whatever part of the pipeline makes it
+const eggCoopRateLimiter = new RateLimiter({
+	requestsPerSecond: 10,
+	maxInFlight: 20,
+});
+
+// Paths with identifiers, by the endpoint name they are counted under in the run report
+const EGGCOOP_ENDPOINTS = [
+	[
+		/^\/api\/coops\/[^/]+\/[^/]+\/statuses\/latest$/,
+		"/coops/:contract/:coop/statuses/latest",
+	],
+	[/^\/api\/coops\/[^/]+$/, "/coops/:contract"],
+	[
+		/^\/api\/coop_contributor_uuids\/[^/]+$/,
+		"/coop_contributor_uuids/:eiUuid",
+	],
+	[
+		/^\/api\/grade_spec_collections\/[^/]+$/,
+		"/grade_spec_collections/:id",
+	],
+];
+
+/**
+ * Names the endpoint of an EggCoop API path for the run report, without the identifiers in the path.
+ *
+ * @param {string} path - Normalized API path, starting with "/api/".
+ * @returns {string} The endpoint, e.g. "EggCoop /coop_contributor_uuids/:eiUuid".
+ */
+function getEggCoopEndpoint(path) {
+	const pathname = path.split("?")[0];
+	const known = EGGCOOP_ENDPOINTS.find(([pattern]) => pattern.test(pathname));
+	return `EggCoop ${known ? known[1] : pathname.replace(/^\/api/, "")}`;
+}
 
 /**
  * Gets sorted list of contracts from EggCoop API
@@ -18,12 +62,26 @@ async function getEggCoopContractsList() {
 }
 
 /**
- * Fetches data from the EggCoop API with proper path handling
+ * Changes the base URL of the EggCoop API, e.g. to replay recorded fixtures from a local mock server.
+ * @param {string} baseURL - Base URL without trailing slash, e.g. "http://127.0.0.1:8787"
+ */
+function setEggCoopBaseURL(baseURL) {
+	eggCoopBaseURL = baseURL.replace(/\/+$/, "");
+}
+
+/**
+ * Fetches data from the EggCoop API with proper path handling.
+ * Requests are rate limited by eggCoopRateLimiter, and rate limits, server errors and timeouts are retried, see fetchJSON.
+ * Responses are served from and stored in the on-disk cache according to its rules, see cache.js,
+ * and recorded as fixtures when recording is enabled, see fixtures.js.
+ * Every response is checked against the schema of its endpoint, see schemas.js.
  * @param {string} path - Path to fetch data from (with or without "/api/" prefix)
+ * @param {Object} [cacheHints={}] - Context for the cache rules, e.g. `{ coopFinished: true }`
  * @returns {Promise<Object>} Data fetched from the path
- * @throws {Error} If the path is invalid or the fetch fails
+ * @throws {Error} If the path is invalid or the fetch fails after all retries
+ * @throws {SchemaError} If the response doesn't match its schema in strict mode
  */
-async function fetchEggCoopAPI(path) {
+async function fetchEggCoopAPI(path, cacheHints = {}) {
 	// Input validation
 	if (!path || path.trim().length === 0) {
 		throw new Error("Invalid API path: Path cannot be empty or undefined.");
@@ -43,15 +101,31 @@ async function fetchEggCoopAPI(path) {
 		},
 	};
 
+	const endpoint = getEggCoopEndpoint(path);
+	const cachedBody = readCachedResponse(path, url);
+	if (cachedBody !== undefined) {
+		recordRequest(endpoint, { cached: true });
+		validateResponse(endpoint, cachedBody, `EggCoop ${path}`);
+		recordEggCoopResponse(path, cachedBody);
+		return cachedBody;
+	}
+
+	let body;
 	try {
-		const response = await fetch(url, params);
-		if (!response.ok) {
-			throw new Error(`HTTP error! Status: ${response.status}`);
-		}
-		return await response.json();
+		body = await fetchJSON(url, params, {
+			limiter: eggCoopRateLimiter,
+			endpoint,
+		});
 	} catch (error) {
-		throw new Error(`Failed to fetch URL: ${url}: ${error.message}`);
+		error.message = `Failed to fetch URL: ${url}: ${error.message}`;
+		throw error;
 	}
+
+	// Rejected responses aren't cached or recorded
+	validateResponse(endpoint, body, `EggCoop ${path}`);
+	writeCachedResponse(path, url, body, cacheHints);
+	recordEggCoopResponse(path, body);
+	return body;
 }
 /**
  * Gets contracts between two dates
@@ -81,7 +155,7 @@ async function getContractsByDate(
 	end.setHours(23, 59, 59, 999);
 
 	if (verbose) {
-		console.log(
+		logger.info(
 			`Filtering contracts between: ${start.toISOString()} and ${end.toISOString()}`
 		);
 	}
@@ -106,14 +180,14 @@ async function getContractsByDate(
 	}
 
 	if (verbose) {
-		console.log(
+		logger.info(
 			`Found ${filteredContracts.length} contracts within date range`
 		);
 		if (filteredContracts.length > 0) {
-			console.log(
+			logger.info(
 				`First filtered contract: ${filteredContracts[0].contractIdentifier}, starts at ${filteredContracts[0].startTime}`
 			);
-			console.log(
+			logger.info(
 				`Last filtered contract: ${
 					filteredContracts[filteredContracts.length - 1]
 						.contractIdentifier
@@ -127,87 +201,141 @@ async function getContractsByDate(
 	return filteredContracts;
 }
 
+/**
+ * Checks whether a contract belongs to a season.
+ * Leggacy reruns keep the season of their original run, and non-seasonal contracts have no
+ * season object or an empty season ID, so neither counts as seasonal.
+ *
+ * @param {EggCoop.Contract} contract - An EggCoop contract object.
+ * @returns {boolean} True if the contract is a seasonal contract.
+ */
+function isSeasonalContract(contract) {
+	return !contract.leggacy && !!contract.season?.eiSeasonId;
+}
 
 /**
- * Gets contracts between two seasons
- * @param {string} startSeasonId - Season ID to start from (e.g. "winter_2025")
- * @param {string} endSeasonId - Season ID to end at (e.g. "spring_2025")
- * @param {boolean} [seasonalOnly=false] - Whether to include only seasonal contracts, or all contracts in between given seasons
+ * Finds the time boundaries of a range of seasons.
+ * The start is the start time of the first contract of the starting season.
+ * The end is the start time of the first contract of the ending season, or of the first
+ * contract of the next season if no ending season is given. If that season hasn't started yet,
+ * the range ends now.
+ *
+ * @param {EggCoop.Contract[]} sortedContracts - Contracts sorted by start time.
+ * @param {string} startSeasonId - Season ID to start from (inclusive).
+ * @param {string} [endSeasonId=null] - Season ID to end at (exclusive).
  * @param {boolean} [verbose=false] - Whether to log info to console
- * @returns {Promise<EggCoop.Contract[]>} Array of contracts between the specified seasons
- * @throws {Error} If fetching the contracts fails
+ * @returns {{ seasonStartTime: Date, seasonEndTime: Date }} Start (inclusive) and end (exclusive) of the range.
+ * @throws {Error} If the starting season has no contracts, or the ending season starts before it.
  */
-async function getSeasonContracts(
+function getSeasonBoundaries(
+	sortedContracts,
 	startSeasonId,
-	endSeasonId,
-	seasonalOnly = false,
+	endSeasonId = null,
 	verbose = false
 ) {
-	const sortedContracts = await getEggCoopContractsList();
-	const seasonalContracts = [];
+	if (endSeasonId === startSeasonId) endSeasonId = null;
 
-	// Time boundaries for filtering
-	let seasonStartTime, seasonEndTime;
+	let seasonStartTime = null;
+	let seasonEndTime = null;
 
-	// Find the time boundaries from the seasonal contracts
 	for (const contract of sortedContracts) {
-		try {
-			// Find start time from first start season contract
-			if (
-				contract.season.eiSeasonId === startSeasonId &&
-				!seasonStartTime
-			) {
+		if (!isSeasonalContract(contract)) continue;
+
+		const contractSeasonId = contract.season.eiSeasonId;
+
+		if (!seasonStartTime) {
+			if (contractSeasonId === startSeasonId) {
 				seasonStartTime = new Date(contract.startTime);
-				if (verbose)
-					console.log(
-						`Found ${startSeasonId} start: ${seasonStartTime}`
-					);
+			} else if (contractSeasonId === endSeasonId) {
+				throw new Error(
+					`Season ${endSeasonId} starts before season ${startSeasonId}`
+				);
 			}
+			continue;
+		}
 
-			// Find end time from first end season contract
-			if (contract.season.eiSeasonId === endSeasonId && !seasonEndTime) {
-				seasonEndTime = new Date(contract.endTime);
-				if (verbose)
-					console.log(`Found ${endSeasonId} end: ${seasonEndTime}`);
-				break;
-			}
-		} catch (error) {
-			console.log(contract);
+		const isEndSeason = endSeasonId
+			? contractSeasonId === endSeasonId
+			: contractSeasonId !== startSeasonId;
+		if (isEndSeason) {
+			seasonEndTime = new Date(contract.startTime);
+			break;
 		}
 	}
 
-	// Filter contracts that start within the boundaries
-	for (const contract of sortedContracts) {
-		if (seasonalOnly) {
-			if (contract.season.eiSeasonId == startSeasonId) {
-				seasonalContracts.push(contract);
-			}
-		} else {
-			const contractStartTime = new Date(contract.startTime);
-
-			// Check if contract starts after our season start time
-			if (seasonStartTime && contractStartTime >= seasonStartTime) {
-				// Check if either there's no end time yet OR contract starts before end time
-				if (!seasonEndTime || contractStartTime < seasonEndTime) {
-					seasonalContracts.push(contract);
-				}
-			}
+	if (!seasonStartTime) {
+		throw new Error(`No contracts found for season ${startSeasonId}`);
+	}
+	if (verbose) logger.info(`Found ${startSeasonId} start: ${seasonStartTime}`);
+
+	if (seasonEndTime) {
+		if (verbose) {
+			logger.info(
+				`Found ${endSeasonId ?? "next season"} start: ${seasonEndTime}`
+			);
+		}
+	} else {
+		// The season is still running, so everything up to now is included
+		seasonEndTime = new Date();
+		if (verbose) {
+			logger.info(
+				`${endSeasonId ?? "Next season"} has not started yet, ending at ${seasonEndTime}`
+			);
 		}
 	}
 
+	return { seasonStartTime, seasonEndTime };
+}
+
+/**
+ * Gets contracts between two seasons
+ * @param {string} startSeasonId - Season ID to start from (e.g. "winter_2025"), inclusive
+ * @param {string} [endSeasonId=null] - Season ID to end at (e.g. "spring_2025"), exclusive. If left empty, only the starting season is used.
+ * @param {boolean} [seasonalOnly=false] - Whether to include only seasonal contracts, or all contracts in between given seasons
+ * @param {boolean} [verbose=false] - Whether to log info to console
+ * @returns {Promise<EggCoop.Contract[]>} Array of contracts between the specified seasons
+ * @throws {Error} If fetching the contracts fails or the seasons can't be found
+ */
+async function getSeasonContracts(
+	startSeasonId,
+	endSeasonId = null,
+	seasonalOnly = false,
+	verbose = false
+) {
+	const sortedContracts = await getEggCoopContractsList();
+
+	const { seasonStartTime, seasonEndTime } = getSeasonBoundaries(
+		sortedContracts,
+		startSeasonId,
+		endSeasonId,
+		verbose
+	);
+
+	// Filter contracts that start within the boundaries
+	const seasonalContracts = sortedContracts.filter((contract) => {
+		const contractStartTime = new Date(contract.startTime);
+		if (
+			contractStartTime < seasonStartTime ||
+			contractStartTime >= seasonEndTime
+		) {
+			return false;
+		}
+		return !seasonalOnly || isSeasonalContract(contract);
+	});
+
 	if (verbose) {
-		console.log(
+		logger.info(
 			`Found ${seasonalContracts.length}${
 				seasonalOnly ? " seasonal" : ""
 			} contracts`
 		);
 		if (seasonalContracts.length > 0) {
-			console.log(
+			logger.info(
 				`First${seasonalOnly ? " seasonal" : ""} contract: ${
 					seasonalContracts[0].contractIdentifier
 				}, starts at ${seasonalContracts[0].startTime}`
 			);
-			console.log(
+			logger.info(
 				`Last${seasonalOnly ? " seasonal" : ""} contract: ${
 					seasonalContracts[seasonalContracts.length - 1]
 						.contractIdentifier
@@ -227,8 +355,8 @@ async function getSeasonContracts(
  * @param {string} coopCode - The coop's code
  * @param {boolean} [includeBuffHistory=false] - Whether to include buff history for every contributor.
  * @param {number} [buffHistoryDelay=100] - Delay between buff history requests in ms.
- * @returns {Promise<EggCoop.Coop>} The coop data with latest status
- * @throws {Error} If fetching the coop data fails
+ * @returns {Promise<EggCoop.Coop>} The coop data with latest status, or an error status if fetching it fails
+ * @throws {SchemaError} If a response doesn't match its schema in strict mode
  */
 async function getEggCoopCoop(
 	kevID,
@@ -240,11 +368,20 @@ async function getEggCoopCoop(
 	try {
 		let coop = await fetchEggCoopAPI(url);
 		if (includeBuffHistory) {
-			coop = await addBuffHistory(coop, buffHistoryDelay);
+			coop = await addBuffHistory(coop, buffHistoryDelay, {
+				contract: kevID,
+				coop: coopCode,
+			});
 		}
 		return coop;
 	} catch (error) {
-		console.error(`Error fetching coop data: ${error.message}`);
+		if (error instanceof SchemaError) throw error;
+		logger.error("Failed to fetch the coop status", {
+			contract: kevID,
+			coop: coopCode,
+			stage: "coop-status",
+			error,
+		});
 		return {
 			// In case of error return an empty yet still valid object.
 			status: "error",
@@ -258,12 +395,29 @@ async function getEggCoopCoop(
 	}
 }
 
+/**
+ * Lists the coops that are registered to EggCoop for a contract, from `/coops/{kevID}`.
+ * Like `/contracts`, the listing is a plain array: `[{ code, grade, coopContributors: [{ userName }] }]`.
+ *
+ * @param {string} kevID - The contract identifier.
+ * @returns {Promise<Array<{ code: string, grade: string, coopContributors?: Array<{ userName: string }> }>>} The registered coops.
+ * @throws {Error} If fetching the listing fails or it isn't a list.
+ */
+async function getEggCoopCoopList(kevID) {
+	const coops = await fetchEggCoopAPI(`/coops/${encodeURIComponent(kevID)}`);
+	if (!Array.isArray(coops)) {
+		throw new Error(`The coop listing of ${kevID} is not a list`);
+	}
+	return coops;
+}
+
 /**
  * Adds grade specifications to the provided eggCoopContract.
  *
  * @param {EggCoop.Contract} eggCoopContract - An EggCoop contract object.
  * @returns {Promise<EggCoop.Contract>} Promise resolving to the egg coop contract object with gradeSpecs added.
  * @throws {Error} If fetching the grade specifications fails.
+ * @throws {SchemaError} If the response doesn't match its schema in strict mode.
  */
 async function addGradeSpecs(eggCoopContract) {
 	try {
@@ -289,6 +443,7 @@ async function addGradeSpecs(eggCoopContract) {
 
 		return eggCoopContract;
 	} catch (error) {
+		if (error instanceof SchemaError) throw error;
 		// Throw the error with more context
 		throw new Error(`Error adding grade specifications: ${error.message}`);
 	}
@@ -297,13 +452,15 @@ async function addGradeSpecs(eggCoopContract) {
 /**
  * Adds buff history to each contributor in the provided EggCoop coop.
  * Includes a configurable delay between API calls to prevent rate limiting.
+ * Contributors whose buff history couldn't be fetched get an empty one and the reason as buffHistoryError.
  *
  * @param {EggCoop.Coop} eggCoopCoop - An EggCoop coop object with coopContributors.
  * @param {number} [delayMs=100] - Delay in milliseconds between API calls.
+ * @param {{ contract?: string, coop?: string }} [logContext={}] - The contract and coop, added to log messages.
  * @returns {Promise<EggCoop.Coop>} Promise resolving to the coop object with buff history added to each contributor.
- * @throws {Error} If fetching the contributor data or buff history fails.
+ * @throws {SchemaError} If a response doesn't match its schema in strict mode.
  */
-async function addBuffHistory(eggCoopCoop, delayMs = 100) {
+async function addBuffHistory(eggCoopCoop, delayMs = 100, logContext = {}) {
 	try {
 		// Check if the coop object has coopContributors
 		if (
@@ -319,6 +476,9 @@ async function addBuffHistory(eggCoopCoop, delayMs = 100) {
 		// Helper function to delay execution
 		const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+		// Buff histories can only be cached once the coop can't change anymore
+		const cacheHints = { coopFinished: isCoopFinished(eggCoopCoop) };
+
 		// Process each contributor to add their buff history
 		for (let i = 0; i < eggCoopCoop.coopContributors.length; i++) {
 			const user = eggCoopCoop.coopContributors[i];
@@ -326,16 +486,19 @@ async function addBuffHistory(eggCoopCoop, delayMs = 100) {
 			try {
 				// Check if the contributor has a valid eiUuid
 				if (!user.eiUuid) {
-					console.warn(
-						"Contributor missing eiUuid, skipping buff history fetch."
+					logger.warn(
+						"Contributor missing eiUuid, skipping buff history fetch",
+						{ ...logContext, userName: user.userName, stage: "buff-history" }
 					);
 					user.buffHistory = buffHistory;
+					user.buffHistoryError = "Contributor has no eiUuid";
 					continue;
 				}
 
 				// Fetch the contributor data
 				const contributorObject = await fetchEggCoopAPI(
-					`/coop_contributor_uuids/${user.eiUuid}`
+					`/coop_contributor_uuids/${user.eiUuid}`,
+					cacheHints
 				);
 
 				// Check if the response contains the expected buffHistory field
@@ -343,10 +506,14 @@ async function addBuffHistory(eggCoopCoop, delayMs = 100) {
 					!contributorObject ||
 					contributorObject.buffHistory === undefined
 				) {
-					console.warn(
-						`Failed to fetch buff history for user ${user.eiUuid} or invalid data structure.`
-					);
+					logger.warn("Invalid buff history response", {
+						...logContext,
+						eiUuid: user.eiUuid,
+						userName: user.userName,
+						stage: "buff-history",
+					});
 					user.buffHistory = buffHistory;
+					user.buffHistoryError = "Invalid buff history response";
 					continue;
 				}
 
@@ -358,20 +525,32 @@ async function addBuffHistory(eggCoopCoop, delayMs = 100) {
 					await delay(delayMs);
 				}
 			} catch (userError) {
+				if (userError instanceof SchemaError) throw userError;
 				// Handle errors for individual users but continue processing others
-				console.error(
-					`Error fetching buff history for user ${user.eiUuid}: ${userError.message}`
-				);
+				logger.error("Failed to fetch the buff history", {
+					...logContext,
+					eiUuid: user.eiUuid,
+					userName: user.userName,
+					stage: "buff-history",
+					error: userError,
+				});
 				user.buffHistory = buffHistory;
+				user.buffHistoryError = userError.message;
 			}
 		}
 
 		return eggCoopCoop;
 	} catch (error) {
-		console.warn(`Error adding buff history: ${error.message}`);
-		// Throw the error with more context
-		for (let user of eggCoopCoop.coopContributors) {
+		if (error instanceof SchemaError) throw error;
+		logger.warn("Error adding buff history", {
+			...logContext,
+			stage: "buff-history",
+			error,
+		});
+		// Every contributor gets an empty buff history, so the coop is still scored
+		for (let user of eggCoopCoop?.coopContributors ?? []) {
 			user.buffHistory = [];
+			user.buffHistoryError = error.message;
 		}
 		return eggCoopCoop;
 	}
@@ -381,8 +560,13 @@ async function addBuffHistory(eggCoopCoop, delayMs = 100) {
 module.exports = {
 	getEggCoopContractsList,
 	getContractsByDate,
+	getSeasonContracts,
+	isSeasonalContract,
 	fetchEggCoopAPI,
+	setEggCoopBaseURL,
 	getEggCoopCoop,
+	getEggCoopCoopList,
 	addGradeSpecs,
 	addBuffHistory,
+	eggCoopRateLimiter,
 };
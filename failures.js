@@ -0,0 +1,196 @@
+const fs = require("fs");
+
+const { writeFileAtomic } = require("./atomicWrite");
+
+/**
+ * The failure log records what went wrong while processing coops, so it can be retried with the
+ * retry-failed command instead of going unnoticed. It is stored as a JSON array with an entry per coop:
+ *
+ * `{ coopKey, contract, run, coop, activeCoops, majCoopData, failures: [{ stage, contributor, userName, error, time }] }`
+ *
+ * The stages are:
+ * - `coop-status`: the coop status couldn't be fetched from EggCoop.
+ * - `buff-history`: the buff history of a contributor couldn't be fetched, so its buff value is too low.
+ * - `coop-record`: the grade specs couldn't be fetched or the coop couldn't be scored.
+ * - `user-metrics`: the metrics of a contributor couldn't be calculated.
+ * - `schema`: a response didn't match its schema in strict mode, see schemas.js.
+ * - `processing`: processing the coop failed before a record was made.
+ *
+ * The entry of a coop is replaced every time the coop is processed, so coops that succeed are removed.
+ */
+
+const FAILURE_STAGES = [
+	"coop-status",
+	"buff-history",
+	"coop-record",
+	"user-metrics",
+	"schema",
+	"processing",
+];
+
+let failureLogPath = null;
+let failuresByKey = new Map();
+
+/**
+ * Loads the failure log that processed coops are recorded in.
+ *
+ * @param {Object} options - Failure log options.
+ * @param {string} options.filePath - Path of the failure log. It is created by saveFailureLog if it doesn't exist yet.
+ * @throws {Error} If the file exists but isn't a failure log.
+ */
+function configureFailureLog(options) {
+	failureLogPath = options.filePath;
+	failuresByKey = new Map();
+	if (!fs.existsSync(failureLogPath)) return;
+
+	const entries = JSON.parse(fs.readFileSync(failureLogPath, "utf8"));
+	if (!Array.isArray(entries)) {
+		throw new Error(`${failureLogPath} is not a failure log`);
+	}
+	for (const entry of entries) failuresByKey.set(entry.coopKey, entry);
+}
+
+/**
+ * Writes the failure log back to its file. The file is removed if nothing failed.
+ */
+function saveFailureLog() {
+	if (!failureLogPath) return;
+	if (failuresByKey.size === 0) {
+		if (fs.existsSync(failureLogPath)) fs.unlinkSync(failureLogPath);
+		return;
+	}
+	writeFileAtomic(
+		failureLogPath,
+		JSON.stringify([...failuresByKey.values()], null, 2)
+	);
+}
+
+/**
+ * Removes every coop from the failure log.
+ */
+function clearFailureLog() {
+	failuresByKey.clear();
+}
+
+/**
+ * Lists the failures of a processed coop: a coop status that couldn't be fetched, contributors whose
+ * buff history is missing (see addBuffHistory), an error record and users whose metrics failed.
+ *
+ * @param {EggCoop.Coop} eggCoopCoop - The coop as fetched from EggCoop.
+ * @param {Object} record - The processed coop record.
+ * @returns {Array<{ stage: string, contributor: string|null, userName: string|null, error: string }>} The failures, empty if the coop succeeded.
+ */
+function getCoopFailures(eggCoopCoop, record) {
+	// Everything else fails because of a missing status, so that is the only failure
+	if (eggCoopCoop?.status === "error") {
+		return [
+			{
+				stage: "coop-status",
+				contributor: null,
+				userName: null,
+				error: eggCoopCoop.message,
+			},
+		];
+	}
+
+	const failures = [];
+	for (const contributor of eggCoopCoop?.coopContributors ?? []) {
+		if (!contributor.buffHistoryError) continue;
+		failures.push({
+			stage: "buff-history",
+			contributor: contributor.eiUuid ?? null,
+			userName: contributor.userName ?? null,
+			error: contributor.buffHistoryError,
+		});
+	}
+	if (record?.error) {
+		failures.push({
+			stage: "coop-record",
+			contributor: null,
+			userName: null,
+			error: record.error,
+		});
+	}
+	for (const user of record?.userData ?? []) {
+		if (!user.error) continue;
+		failures.push({
+			stage: "user-metrics",
+			contributor: user.eiUuid ?? null,
+			userName: user.userName ?? null,
+			error: user.error,
+		});
+	}
+	return failures;
+}
+
+/**
+ * Replaces the failures of a coop in the failure log. Without failures, the coop is removed from it.
+ *
+ * @param {string} coopKey - The coop key, see getCoopKey.
+ * @param {{ contract: string, run?: string, activeCoops?: boolean, majCoopData: Object }} coop - The coop, as needed to process it again.
+ * @param {Array<{ stage: string, contributor?: string|null, userName?: string|null, error: string }>} failures - The failures, see getCoopFailures.
+ */
+function setCoopFailures(coopKey, coop, failures) {
+	if (failures.length === 0) {
+		failuresByKey.delete(coopKey);
+		return;
+	}
+
+	const time = new Date().toISOString();
+	failuresByKey.set(coopKey, {
+		coopKey,
+		contract: coop.contract,
+		run: coop.run ?? null,
+		coop: coop.majCoopData.code,
+		activeCoops: coop.activeCoops === true,
+		majCoopData: coop.majCoopData,
+		failures: failures.map((failure) => ({
+			stage: failure.stage,
+			contributor: failure.contributor ?? null,
+			userName: failure.userName ?? null,
+			error: failure.error,
+			time,
+		})),
+	});
+}
+
+/**
+ * Returns the coops in the failure log.
+ *
+ * @returns {Array<Object>} The failure log entries, see the shape at the top of this file.
+ */
+function getFailedCoops() {
+	return [...failuresByKey.values()];
+}
+
+/**
+ * Counts the failures in the failure log per stage.
+ *
+ * @returns {Object<string, number>} Number of failures per stage, in the order of FAILURE_STAGES.
+ */
+function countFailuresByStage() {
+	const counts = {};
+	for (const entry of failuresByKey.values()) {
+		for (const failure of entry.failures) {
+			counts[failure.stage] = (counts[failure.stage] ?? 0) + 1;
+		}
+	}
+
+	// In the order of FAILURE_STAGES, unknown stages last
+	const ordered = {};
+	for (const stage of FAILURE_STAGES) {
+		if (counts[stage]) ordered[stage] = counts[stage];
+	}
+	return { ...ordered, ...counts };
+}
+
+module.exports = {
+	FAILURE_STAGES,
+	configureFailureLog,
+	saveFailureLog,
+	clearFailureLog,
+	getCoopFailures,
+	setCoopFailures,
+	getFailedCoops,
+	countFailuresByStage,
+};
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const path = require("path");
+
+const { writeFileAtomic } = require("./atomicWrite");
+
+/**
+ * Fixtures are API responses recorded during a run, so the run can be replayed offline by mockServer.js.
+ * They are stored as plain JSON files:
+ *
+ * - `eggcoop/<api path>.json`: one EggCoop response, e.g. `eggcoop/api/coops/<kevID>/<code>/statuses/latest.json`.
+ * - `wonky/<kevID>.json`: every Wonky majCoopsObject of one contract, merged over all recorded requests.
+ */
+
+const fixtureOptions = {
+	recordDir: null,
+};
+
+/**
+ * Sets the fixture options.
+ *
+ * @param {Object} options - Fixture options.
+ * @param {string|null} [options.recordDir] - Directory to record every API response to, or null to not record.
+ */
+function configureFixtures(options) {
+	if (options.recordDir !== undefined) {
+		fixtureOptions.recordDir = options.recordDir;
+	}
+}
+
+/**
+ * Decodes a URI component, returning it unchanged if it isn't validly encoded.
+ *
+ * @param {string} component - The URI component.
+ * @returns {string} The decoded component.
+ */
+function safeDecodeURIComponent(component) {
+	try {
+		return decodeURIComponent(component);
+	} catch (error) {
+		return component;
+	}
+}
+
+/**
+ * Returns the fixture file of an EggCoop API path.
+ * Every path segment is URI encoded, so coop codes can't escape the fixtures directory.
+ *
+ * @param {string} fixturesDir - The fixtures directory.
+ * @param {string} apiPath - Normalized API path, starting with "/api/".
+ * @returns {string} Path of the fixture file.
+ */
+function getEggCoopFixturePath(fixturesDir, apiPath) {
+	const segments = apiPath
+		.split("/")
+		.filter((segment) => segment.length > 0)
+		.map((segment) => encodeURIComponent(safeDecodeURIComponent(segment)))
+		// "." and ".." aren't encoded by encodeURIComponent, but must not be used as directory names
+		.map((segment) => segment.replace(/^\.+$/, (dots) => "%2E".repeat(dots.length)));
+	return path.join(fixturesDir, "eggcoop", ...segments) + ".json";
+}
+
+/**
+ * Returns the fixture file of a contract's Wonky entries.
+ *
+ * @param {string} fixturesDir - The fixtures directory.
+ * @param {string} kevID - The contract identifier.
+ * @returns {string} Path of the fixture file.
+ */
+function getWonkyFixturePath(fixturesDir, kevID) {
+	return path.join(fixturesDir, "wonky", `${encodeURIComponent(kevID)}.json`);
+}
+
+/**
+ * Writes a JSON fixture file, creating its directory if needed.
+ *
+ * @param {string} filePath - Path of the fixture file.
+ * @param {*} body - The content to write.
+ */
+function writeFixture(filePath, body) {
+	writeFileAtomic(filePath, JSON.stringify(body, null, 2));
+}
+
+/**
+ * Records an EggCoop response if recording is enabled.
+ *
+ * @param {string} apiPath - Normalized API path, starting with "/api/".
+ * @param {*} body - The response body.
+ */
+function recordEggCoopResponse(apiPath, body) {
+	if (!fixtureOptions.recordDir) return;
+	writeFixture(getEggCoopFixturePath(fixtureOptions.recordDir, apiPath), body);
+}
+
+/**
+ * Records a Wonky response if recording is enabled.
+ * The entries are split per contract and merged with earlier recordings, so any combination of
+ * contracts can be replayed later.
+ *
+ * @param {Array<majCoopsObject>} majCoopsObjects - The unfiltered response of the Wonky endpoint.
+ */
+function recordWonkyResponse(majCoopsObjects) {
+	if (!fixtureOptions.recordDir || !Array.isArray(majCoopsObjects)) return;
+
+	const entriesByContract = {};
+	for (const majCoopsObject of majCoopsObjects) {
+		if (!majCoopsObject?.contract) continue;
+		(entriesByContract[majCoopsObject.contract] ??= []).push(majCoopsObject);
+	}
+
+	for (const [kevID, entries] of Object.entries(entriesByContract)) {
+		const filePath = getWonkyFixturePath(fixtureOptions.recordDir, kevID);
+		const recorded = readFixture(filePath) ?? [];
+
+		// Replace earlier recordings of the same run, keep the other runs
+		const merged = recorded.filter(
+			(old) => !entries.some((entry) => entry.startTime === old.startTime)
+		);
+		merged.push(...entries);
+
+		writeFixture(filePath, merged);
+	}
+}
+
+/**
+ * Reads a JSON fixture file.
+ *
+ * @param {string} filePath - Path of the fixture file.
+ * @returns {*} The parsed content, or undefined if the file doesn't exist.
+ * @throws {Error} If the file exists but isn't valid JSON.
+ */
+function readFixture(filePath) {
+	if (!fs.existsSync(filePath)) return undefined;
+	return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+module.exports = {
+	configureFixtures,
+	getEggCoopFixturePath,
+	getWonkyFixturePath,
+	readFixture,
+	recordEggCoopResponse,
+	recordWonkyResponse,
+};
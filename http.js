@@ -0,0 +1,223 @@
+const { logger } = require("./logger");
+const { recordRequest } = require("./runReport");
+
+/**
+ * Error thrown by fetchJSON. `retryable` tells whether the request may succeed when tried again,
+ * e.g. after a rate limit, a server error, a timeout or a network failure.
+ */
+class HttpError extends Error {
+	/**
+	 * @param {string} message - Error message.
+	 * @param {Object} details - Error details.
+	 * @param {string} details.url - The requested URL.
+	 * @param {number|null} [details.status=null] - HTTP status code, null if no response was received.
+	 * @param {boolean} [details.retryable=false] - Whether the request may be retried.
+	 * @param {number|null} [details.retryAfterMs=null] - Delay requested by the server through Retry-After.
+	 * @param {number} [details.attempts=1] - Number of attempts made.
+	 */
+	constructor(
+		message,
+		{ url, status = null, retryable = false, retryAfterMs = null, attempts = 1 }
+	) {
+		super(message);
+		this.name = "HttpError";
+		this.url = url;
+		this.status = status;
+		this.retryable = retryable;
+		this.retryAfterMs = retryAfterMs;
+		this.attempts = attempts;
+	}
+}
+
+const DEFAULT_HTTP_OPTIONS = {
+	retries: 4,
+	retryBaseDelayMs: 500,
+	retryMaxDelayMs: 30000,
+	timeoutMs: 30000,
+};
+
+const httpOptions = { ...DEFAULT_HTTP_OPTIONS };
+
+/**
+ * Sets the retry and timeout options used by every fetchJSON call.
+ * Options that are undefined keep their current value.
+ *
+ * @param {Object} options - HTTP options.
+ * @param {number} [options.retries] - Number of retries after the first attempt (default: 4).
+ * @param {number} [options.retryBaseDelayMs] - Base delay of the exponential backoff in ms (default: 500).
+ * @param {number} [options.retryMaxDelayMs] - Maximum backoff delay in ms, also for Retry-After (default: 30000).
+ * @param {number} [options.timeoutMs] - Timeout per attempt in ms, including reading the body (default: 30000).
+ */
+function configureHttp(options) {
+	for (const [key, value] of Object.entries(options)) {
+		if (value !== undefined && key in DEFAULT_HTTP_OPTIONS) {
+			httpOptions[key] = value;
+		}
+	}
+}
+
+/**
+ * Checks whether a response status is worth retrying.
+ * Rate limits, timeouts and server errors are, other client errors are not.
+ *
+ * @param {number} status - HTTP status code.
+ * @returns {boolean} True if the request may be retried.
+ */
+function isRetryableStatus(status) {
+	if (status === 408 || status === 425 || status === 429) return true;
+	return status >= 500 && status !== 501;
+}
+
+/**
+ * Parses a Retry-After header, which is either a number of seconds or an HTTP date.
+ *
+ * @param {string|null} header - The Retry-After header value.
+ * @returns {number|null} The delay in ms, or null if the header is missing or invalid.
+ */
+function parseRetryAfter(header) {
+	if (!header) return null;
+
+	const seconds = Number(header);
+	if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+	const date = Date.parse(header);
+	if (isNaN(date)) return null;
+	return Math.max(0, date - Date.now());
+}
+
+/**
+ * Calculates the delay before the next attempt, using exponential backoff with full jitter.
+ * A Retry-After delay from the server takes precedence, up to the maximum backoff delay, so a server
+ * can't stall the run for hours.
+ *
+ * @param {number} attempt - The number of the attempt that failed, starting at 0.
+ * @param {number|null} retryAfterMs - Delay requested by the server, if any.
+ * @returns {number} Delay in ms.
+ */
+function getBackoffDelay(attempt, retryAfterMs) {
+	const { retryBaseDelayMs, retryMaxDelayMs } = httpOptions;
+	if (retryAfterMs !== null) return Math.min(retryAfterMs, retryMaxDelayMs);
+
+	const maxDelay = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+	return Math.random() * maxDelay;
+}
+
+/**
+ * Converts anything thrown during a fetch attempt into an HttpError.
+ * Network failures, timeouts and unparseable bodies are treated as retryable.
+ *
+ * @param {Error} error - The thrown error.
+ * @param {string} url - The requested URL.
+ * @returns {HttpError} The converted error.
+ */
+function toHttpError(error, url) {
+	if (error instanceof HttpError) return error;
+
+	if (error.name === "AbortError") {
+		return new HttpError(
+			`Request timed out after ${httpOptions.timeoutMs}ms`,
+			{ url, retryable: true }
+		);
+	}
+
+	if (error instanceof SyntaxError) {
+		return new HttpError(`Invalid JSON response: ${error.message}`, {
+			url,
+			retryable: true,
+		});
+	}
+
+	// fetch throws a TypeError for network failures, with the reason in error.cause
+	const reason = error.cause?.message ?? error.message;
+	return new HttpError(`Network error: ${reason}`, { url, retryable: true });
+}
+
+/**
+ * Makes a single request and parses the JSON response, aborting it after the timeout.
+ *
+ * @param {string} url - URL to fetch.
+ * @param {RequestInit} init - Options passed to fetch.
+ * @param {number} timeoutMs - Timeout in ms, including reading the body.
+ * @returns {Promise<*>} The parsed response body.
+ * @throws {HttpError|Error} If the response status is not OK, or the request or parsing fails.
+ */
+async function fetchOnce(url, init, timeoutMs) {
+	const controller = new AbortController();
+	const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+	try {
+		const response = await fetch(url, {
+			...init,
+			signal: controller.signal,
+		});
+
+		if (!response.ok) {
+			throw new HttpError(`HTTP error! Status: ${response.status}`, {
+				url,
+				status: response.status,
+				retryable: isRetryableStatus(response.status),
+				retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+			});
+		}
+
+		return await response.json();
+	} finally {
+		clearTimeout(timeout);
+	}
+}
+
+/**
+ * Fetches a URL and parses the JSON response.
+ * Retryable failures are retried with jittered exponential backoff, honouring Retry-After,
+ * and every attempt is aborted after the configured timeout.
+ * Requests with an endpoint are counted in the run report, see runReport.js.
+ *
+ * @param {string} url - URL to fetch.
+ * @param {RequestInit} [init={}] - Options passed to fetch.
+ * @param {Object} [requestOptions={}] - Options for this request.
+ * @param {RateLimiter} [requestOptions.limiter] - Rate limiter every attempt is scheduled through.
+ * @param {string} [requestOptions.endpoint] - Name of the endpoint in the run report, e.g. "EggCoop /contracts".
+ * @returns {Promise<*>} The parsed response body.
+ * @throws {HttpError} If the request fails with a fatal error or the retries are exhausted.
+ */
+async function fetchJSON(url, init = {}, requestOptions = {}) {
+	const { retries, timeoutMs } = httpOptions;
+	const { limiter, endpoint } = requestOptions;
+
+	for (let attempt = 0; ; attempt++) {
+		let error;
+		try {
+			const body = limiter
+				? await limiter.schedule(() => fetchOnce(url, init, timeoutMs))
+				: await fetchOnce(url, init, timeoutMs);
+			if (endpoint) recordRequest(endpoint, { attempts: attempt + 1 });
+			return body;
+		} catch (caughtError) {
+			error = toHttpError(caughtError, url);
+		}
+
+		error.attempts = attempt + 1;
+		if (!error.retryable || attempt >= retries) {
+			if (attempt > 0) {
+				error.message += ` (after ${attempt + 1} attempts)`;
+			}
+			if (endpoint) {
+				recordRequest(endpoint, { attempts: attempt + 1, failed: true });
+			}
+			throw error;
+		}
+
+		const delayMs = getBackoffDelay(attempt, error.retryAfterMs);
+		logger.debug(`Retrying ${url} in ${delayMs}ms`, {
+			attempt: attempt + 1,
+			error,
+		});
+		await new Promise((resolve) => setTimeout(resolve, delayMs));
+	}
+}
+
+module.exports = {
+	HttpError,
+	configureHttp,
+	fetchJSON,
+};
@@ -1,85 +1,185 @@
 const {
 	getEggCoopContractsList,
 	getContractsByDate,
+	getSeasonContracts,
 	addGradeSpecs,
+	addBuffHistory,
 	getEggCoopCoop,
+	eggCoopRateLimiter,
+	setEggCoopBaseURL,
 } = require("./eggcoop");
 
 const {
-	calculateBuffTimeValue,
-	getCoopDuration,
-	calculateContributionFactor,
+	getContractRunKey,
+	getCoopKey,
+	getCoopRecordKey,
+	findContractForRun,
+	isCoopFinished,
 	progressBar,
 	formatTime,
 } = require("./tools");
 
-const { getMajCoops } = require("./maj");
+const {
+	createCoopErrorRecord,
+	calculateCoopRecord,
+	canRecomputeCoopRecord,
+	recomputeCoopRecord,
+} = require("./scoring");
 
-const fs = require("fs");
-require("dotenv").config();
+const { getCoopsFromSources } = require("./coopSources");
+
+const { configureSchemas, SchemaError } = require("./schemas");
+
+const { parseCli, formatHelp, getOutputPaths, CliError } = require("./cli");
+
+const { configureHttp } = require("./http");
 
-// Define these two variables to filter the contracts
-// Both dates are inclusive
-const startingDate = new Date("2025-03-23");
-const endingDate = new Date("2025-04-12");
+const { configureCache, getCacheStats } = require("./cache");
 
-// If you only want contracts with a certain season between those dates, set this to the season id (e.g. "winter_2025")
-const seasonId = null;
+const { configureFixtures } = require("./fixtures");
+
+const { configureScoring } = require("./scoringModels");
+
+const { configureTeamworkData } = require("./teamworkData");
+
+const {
+	configurePlayerRegistry,
+	savePlayerRegistry,
+	assignPlayerKeys,
+	getPlayer,
+	getSuspectedDuplicates,
+	mergePlayers,
+	keepPlayersSeparate,
+	getPlayerRegistryStats,
+} = require("./players");
+
+const {
+	configureFailureLog,
+	saveFailureLog,
+	clearFailureLog,
+	getCoopFailures,
+	setCoopFailures,
+	getFailedCoops,
+	countFailuresByStage,
+} = require("./failures");
 
-// Whether or not to clear the coops file before writing new coops
-const clearCoopsFile = false;
+const { startMockServer } = require("./mockServer");
 
-// Number of coops to process before writing to file
-const SAVE_INTERVAL = 500;
+const { openCoopStore, convertCoopFile } = require("./storage");
+
+const { writeFileAtomic } = require("./atomicWrite");
+
+const {
+	configureLogger,
+	getRunLogPath,
+	getLogFile,
+	logger,
+	setProgress,
+	clearProgress,
+} = require("./logger");
+
+const {
+	configureCheckpoint,
+	startCheckpoint,
+	updateCheckpointCoops,
+	getCheckpointCoopStatus,
+	getCheckpointSummary,
+	saveCheckpoint,
+} = require("./checkpoint");
+
+const {
+	installShutdownHandlers,
+	removeShutdownHandlers,
+	requestShutdown,
+	isShutdownRequested,
+	getShutdownExitCode,
+} = require("./shutdown");
+
+const {
+	startRunReport,
+	startPhase,
+	checkDataQuality,
+	saveRunReport,
+	printRunReport,
+} = require("./runReport");
+
+const {
+	buildLeaderboard,
+	formatGradeMix,
+	formatLeaderboardCsv,
+} = require("./leaderboard");
 
-const coopListPath = "./files/coopList.json";
-const contractListPath = "./files/contractList.json";
-const coopsPath = "./files/coops.json";
+const fs = require("fs");
+require("dotenv").config();
 
 /**
- * Processes coops in controlled batches with rate limiting
+ * Processes coops in controlled batches with rate limiting.
+ * Coops of contracts that still have running coops (activeCoops) are only processed if their EggCoop
+ * status shows they finished, the others are returned as pending.
+ * After a shutdown request (see shutdown.js), the coops in progress are finished and saved, and no
+ * new coops are started. In strict schema mode, an invalid response requests a shutdown, see
+ * schemas.js. The checkpoint manifest is updated after every save, see checkpoint.js.
  *
  * @param {Array} coops - Array of majCoopsObjects to process
  * @param {Array} seasonalContracts - Array of contract data
- * @param {Array} existingCoops - Array of already processed coops
+ * @param {Object} store - Coop store the processed coops are saved to, see storage.js
  * @param {Object} options - Configuration options
- * @param {number} options.maxParallel - Maximum number of parallel requests (default: 250)
- * @param {number} options.requestDelay - Delay between requests in ms (default: 50)
- * @param {number} options.batchDelay - Delay between batches in ms (default: 100)
- * @param {boolean} options.includeBuffHistory - Whether to fetch buff history for users (default: false)
+ * @param {number} options.saveInterval - Number of coops to process before writing to file, unless the store is streaming (default: 500)
+ * @param {number} options.maxParallel - Maximum number of parallel requests (default: 400)
+ * @param {number} options.requestDelay - Extra delay between the start of coops in a batch in ms (default: 0)
+ * @param {number} options.batchDelay - Delay between batches in ms (default: 50)
+ * @param {boolean} options.includeBuffHistory - Whether to fetch buff history for users (default: true)
  * @param {number} options.buffHistoryDelay - Delay between buff history requests in ms (default: 0)
- * @returns {Promise<Array>} - Array of processed coop data
+ * @returns {Promise<{ processedCount: number, totalCount: number, pendingCount: number, pendingCoops: Array<majCoopsObject>, interrupted: boolean }>} - Number of processed coops out of the total, the coops that are still running and whether processing stopped early
  */
 async function processCoopsWithRateLimiting(
 	coops,
 	seasonalContracts,
-	existingCoops,
+	store,
 	options = {}
 ) {
 	const {
+		saveInterval = 500,
 		maxParallel = 400,
-		requestDelay = 50,
+		requestDelay = 0,
 		batchDelay = 50,
 		includeBuffHistory = true,
-		buffHistoryDelay =  0,
+		buffHistoryDelay = 0,
 	} = options;
 
-	console.log(`Starting to process coops with rate limiting:`);
-	console.log(`- Max parallel requests: ${maxParallel}`);
-	console.log(`- Delay between requests: ${requestDelay}ms`);
-	console.log(`- Delay between batches: ${batchDelay}ms`);
-	console.log(`- Include buff history: ${includeBuffHistory ? "Yes" : "No"}`);
+	logger.info(`Starting to process coops with rate limiting:`);
+	logger.info(
+		`- EggCoop rate limit: ${eggCoopRateLimiter.requestsPerSecond} requests/s, ${eggCoopRateLimiter.maxInFlight} in flight`
+	);
+	logger.info(`- Max parallel coops: ${maxParallel}`);
+	logger.info(`- Delay between requests: ${requestDelay}ms`);
+	logger.info(`- Delay between batches: ${batchDelay}ms`);
+	logger.info(`- Include buff history: ${includeBuffHistory ? "Yes" : "No"}`);
 	if (includeBuffHistory) {
-		console.log(`- Buff history delay: ${buffHistoryDelay}ms`);
+		logger.info(`- Buff history delay: ${buffHistoryDelay}ms`);
+	}
+	if (store.streaming) {
+		logger.info(`- Saving every coop as soon as it's processed`);
+	} else {
+		logger.info(`- Saving progress every ${saveInterval} coops`);
 	}
-	console.log(`- Saving progress every ${SAVE_INTERVAL} coops`);
 
 	const processedCoops = [];
+	const pendingByContract = new Map();
 	let processedCount = 0;
+	let pendingCount = 0;
 	let totalCoopCount = 0;
 	let totalUserCount = 0;
 	let saveCounter = 0;
 
+	// The checkpoint lists coops as done only once their records are saved
+	const checkpointUpdates = [];
+	const saveCheckpointUpdates = () => {
+		updateCheckpointCoops(checkpointUpdates);
+		checkpointUpdates.length = 0;
+		saveCheckpoint();
+	};
+
 	// Count total number of coops for progress reporting
 	coops.forEach((majCoopsObject) => {
 		totalCoopCount += majCoopsObject.coops.length;
@@ -90,22 +190,13 @@ async function processCoopsWithRateLimiting(
 		});
 	});
 
-	console.log(`Total coops to process: ${totalCoopCount}`);
-	console.log(`Total users: ${totalUserCount}`);
+	logger.info(`Total coops to process: ${totalCoopCount}`);
+	logger.info(`Total users: ${totalUserCount}`);
 
 	// Initialize timing variables for ETA calculation
 	const startTime = Date.now();
-	let lastUpdateTime = startTime;
-	let lastLineLength = 0;
 
-	// Clear the console line
-	const clearLine = () => {
-		if (lastLineLength > 0) {
-			process.stdout.write("\r" + " ".repeat(lastLineLength) + "\r");
-		}
-	};
-
-	// Update progress bar
+	// Update progress bar, the logger keeps it below the log lines
 	const updateProgress = (current) => {
 		const percent = (current / totalCoopCount) * 100;
 		const elapsedSeconds = (Date.now() - startTime) / 1000;
@@ -113,32 +204,37 @@ async function processCoopsWithRateLimiting(
 		const remainingCoops = totalCoopCount - current;
 		const estimatedRemainingSeconds = remainingCoops * averageTimePerCoop;
 
+		const { throughput } = eggCoopRateLimiter.getStats();
+
 		const progressText = `${progressBar(
 			percent
-		)} ${current}/${totalCoopCount} coops | ETA: ${formatTime(
-			estimatedRemainingSeconds
-		)}`;
-		clearLine();
-		process.stdout.write("\r" + progressText);
-		lastLineLength = progressText.length;
-		lastUpdateTime = Date.now();
+		)} ${current}/${totalCoopCount} coops | ${throughput.toFixed(
+			1
+		)} req/s | ETA: ${formatTime(estimatedRemainingSeconds)}`;
+		setProgress(progressText);
 	};
 
 	// Process majCoopsObjects sequentially
 	for (const majCoopsObject of coops) {
-		// Find the contract data for this coop
-		const contractData = seasonalContracts.find(
-			(c) => c.contractIdentifier === majCoopsObject.contract
+		if (isShutdownRequested()) break;
+
+		// Find the contract data for this coop, the matching period if runs are kept separate
+		const contractRunKey = getContractRunKey(
+			majCoopsObject.contract,
+			majCoopsObject.run
 		);
+		const contractData = findContractForRun(seasonalContracts, majCoopsObject);
 		if (!contractData) {
-			console.warn(
-				`\nContract data not found for ${majCoopsObject.contract}, skipping`
-			);
+			logger.warn("Contract data not found, skipping its coops", {
+				contract: majCoopsObject.contract,
+				run: majCoopsObject.run,
+			});
 			continue;
 		}
 
 		// Process coops in batches with parallel execution within each batch
 		for (let i = 0; i < majCoopsObject.coops.length; i += maxParallel) {
+			if (isShutdownRequested()) break;
 			const batch = majCoopsObject.coops.slice(i, i + maxParallel);
 
 			// Process the batch in parallel
@@ -147,35 +243,104 @@ async function processCoopsWithRateLimiting(
 				await new Promise((resolve) =>
 					setTimeout(resolve, index * requestDelay)
 				);
+				// Coops that haven't started yet are left for the next run
+				if (isShutdownRequested()) return null;
+
+				// The run is stored with the Wonky coop data, it is part of the coop key
+				const majCoopData = majCoopsObject.run
+					? { ...coop, run: majCoopsObject.run }
+					: coop;
+				const coopKey = getCoopKey(
+					majCoopsObject.contract,
+					coop.code,
+					majCoopsObject.run
+				);
+				const failureContext = {
+					contract: majCoopsObject.contract,
+					run: majCoopsObject.run,
+					activeCoops: majCoopsObject.activeCoops,
+					majCoopData,
+				};
 
 				try {
-					// Pass the includeBuffHistory flag and buffHistoryDelay to getEggCoopCoop
-					const eggCoopCoop = await getEggCoopCoop(
+					// Coops of contracts with running coops are checked before fetching buff histories
+					const checkFinished = majCoopsObject.activeCoops === true;
+					let eggCoopCoop = await getEggCoopCoop(
 						majCoopsObject.contract,
 						coop.code,
-						includeBuffHistory,
+						includeBuffHistory && !checkFinished,
 						buffHistoryDelay
 					);
 
+					// Failed requests still get an error record, running coops wait for a later run
+					if (checkFinished && eggCoopCoop.status !== "error") {
+						if (!isCoopFinished(eggCoopCoop)) {
+							if (!pendingByContract.has(contractRunKey)) {
+								pendingByContract.set(contractRunKey, {
+									...majCoopsObject,
+									coops: [],
+								});
+							}
+							pendingByContract.get(contractRunKey).coops.push(coop);
+							checkpointUpdates.push({ coopKey, status: "pending" });
+							pendingCount++;
+							updateProgress(processedCount + pendingCount);
+							return null;
+						}
+						if (includeBuffHistory) {
+							eggCoopCoop = await addBuffHistory(
+								eggCoopCoop,
+								buffHistoryDelay,
+								{ contract: majCoopsObject.contract, coop: coop.code }
+							);
+						}
+					}
+
 					const fullCoopData = await handleCoop(
 						eggCoopCoop,
 						contractData,
-						coop
+						majCoopData
+					);
+					// Give every user a stable player key, see players.js
+					assignPlayerKeys(fullCoopData);
+					setCoopFailures(
+						coopKey,
+						failureContext,
+						getCoopFailures(eggCoopCoop, fullCoopData)
 					);
+					checkpointUpdates.push({
+						coopKey,
+						status: fullCoopData.error ? "error" : "done",
+					});
 					processedCount++;
 					saveCounter++;
 
+					// Streaming stores write every result right away
+					if (store.streaming) store.append([fullCoopData]);
+
 					// Update progress bar
-					updateProgress(processedCount);
+					updateProgress(processedCount + pendingCount);
 
 					return fullCoopData;
 				} catch (error) {
-					clearLine();
-					console.error(
-						`\nError processing coop ${coop.code} for contract ${majCoopsObject.contract}:`,
-						error
-					);
-					updateProgress(processedCount);
+					// In strict mode, a response that doesn't match its schema stops the run
+					const stage =
+						error instanceof SchemaError ? "schema" : "processing";
+					logger.error("Error processing coop", {
+						contract: majCoopsObject.contract,
+						run: majCoopsObject.run,
+						coop: coop.code,
+						stage,
+						error,
+					});
+					setCoopFailures(coopKey, failureContext, [
+						{ stage, error: error.message },
+					]);
+					if (stage === "schema") {
+						requestShutdown("Stopping because of an invalid response");
+					}
+					checkpointUpdates.push({ coopKey, status: "failed" });
+					updateProgress(processedCount + pendingCount);
 					return null;
 				}
 			});
@@ -183,37 +348,32 @@ async function processCoopsWithRateLimiting(
 			// Wait for all promises in the batch to resolve
 			const batchResults = await Promise.all(batchPromises);
 
-			// Add successful results to the processed coops array
-			const validResults = batchResults.filter(
-				(result) => result !== null
-			);
-			processedCoops.push(...validResults);
-
-			// Periodically save progress
-			if (saveCounter >= SAVE_INTERVAL && processedCoops.length > 0) {
-				clearLine();
-				console.log(
-					`\nSaving progress (${processedCoops.length} new coops processed)...`
+			if (!store.streaming) {
+				// Add successful results to the processed coops array
+				const validResults = batchResults.filter(
+					(result) => result !== null
 				);
+				processedCoops.push(...validResults);
+			} else {
+				saveCheckpointUpdates();
+			}
 
-				// Combine with existing coops and save
-				const combinedCoops = [...existingCoops, ...processedCoops];
-				fs.writeFileSync(
-					coopsPath,
-					JSON.stringify(combinedCoops, null, 2)
+			// Periodically save progress
+			if (saveCounter >= saveInterval && processedCoops.length > 0) {
+				logger.info(
+					`Saving progress (${processedCoops.length} new coops processed)...`
 				);
 
-				// Update existing coops to include what we've saved
-				existingCoops = combinedCoops;
+				// Combine with existing coops and save, replacing retried coops
+				store.append(processedCoops);
 
 				// Clear the processed coops to free memory
 				processedCoops.length = 0;
 				saveCounter = 0;
+				saveCheckpointUpdates();
 
-				console.log(
-					`Progress saved. Total coops so far: ${existingCoops.length}`
-				);
-				updateProgress(processedCount);
+				logger.info(`Progress saved.`);
+				updateProgress(processedCount + pendingCount);
 			}
 
 			// Add delay between batches
@@ -223,414 +383,1114 @@ async function processCoopsWithRateLimiting(
 		}
 	}
 
-	clearLine();
-	console.log(
-		`\nCompleted processing ${processedCount}/${totalCoopCount} coops.`
+	const interrupted = isShutdownRequested();
+	clearProgress();
+	logger.info(
+		`${
+			interrupted ? "Stopped after" : "Completed"
+		} processing ${processedCount}/${totalCoopCount} coops.`
+	);
+	if (pendingCount > 0) {
+		logger.info(
+			`${pendingCount} coops are still running and were left pending.`
+		);
+	}
+	const requestStats = eggCoopRateLimiter.getStats();
+	logger.info(
+		`EggCoop requests: ${requestStats.completed} succeeded, ${
+			requestStats.failed
+		} failed attempts, ${requestStats.averageThroughput.toFixed(
+			1
+		)} req/s on average`
+	);
+	const cacheStats = getCacheStats();
+	logger.info(
+		`Cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses, ${cacheStats.writes} responses stored`
 	);
 
-	// Return the remaining processed coops that haven't been saved yet
+	// Save the processed coops that haven't been saved yet
+	if (processedCoops.length > 0) {
+		store.append(processedCoops);
+		logger.info(`Final save: wrote the last ${processedCoops.length} coops.`);
+	}
+	saveCheckpointUpdates();
+
 	return {
-		remainingProcessedCoops: processedCoops,
-		updatedExistingCoops: existingCoops,
+		processedCount,
+		totalCount: totalCoopCount,
+		pendingCount,
+		pendingCoops: [...pendingByContract.values()],
+		interrupted,
 	};
 }
 
-async function main() {
-	try {
-		// Get all contracts
-		const allContracts = await getEggCoopContractsList();
-		console.log(`Total contracts: ${allContracts.length}`);
-
-		// Get seasonal contracts
-		const seasonalContracts = await getContractsByDate(
-			startingDate,
-			endingDate,
-			seasonId,
+/**
+ * Fetches the contracts between the configured dates or seasons and their coops from the Wonky endpoint,
+ * and writes both lists to the output directory.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ * @returns {Promise<{ seasonalContracts: EggCoop.Contract[], coops: Array<majCoopsObject> }>} The fetched lists.
+ */
+async function fetchCommand(options, paths) {
+	const { start, end, season, startSeason, endSeason, seasonalOnly } =
+		options;
+
+	// Get all contracts
+	startPhase("fetch contracts");
+	const allContracts = await getEggCoopContractsList();
+	logger.info(`Total contracts: ${allContracts.length}`);
+
+	// Get seasonal contracts, either by season boundaries or by date
+	let seasonalContracts;
+	if (startSeason) {
+		seasonalContracts = await getSeasonContracts(
+			startSeason,
+			endSeason,
+			seasonalOnly,
 			true
 		);
-		console.log(
-			`${startingDate} to ${endingDate} contracts: ${seasonalContracts.length}`
+		logger.info(
+			`${startSeason} to ${endSeason ?? "next season"}${
+				seasonalOnly ? " seasonal" : ""
+			} contracts: ${seasonalContracts.length}`
 		);
-
-		const seasonalKevIDs = seasonalContracts.map(
-			(contract) => contract.contractIdentifier
+	} else {
+		seasonalContracts = await getContractsByDate(start, end, season, true);
+		logger.info(
+			`${start.toDateString()} to ${end.toDateString()} contracts: ${
+				seasonalContracts.length
+			}`
 		);
+	}
 
-		const coops = await getMajCoops(seasonalKevIDs);
-		console.log(`Total contracts after filtering: ${coops.length}`);
+	const seasonalKevIDs = seasonalContracts.map(
+		(contract) => contract.contractIdentifier
+	);
 
-		// Write the contracts to contractListPath
-		fs.writeFileSync(
-			contractListPath,
-			JSON.stringify(seasonalContracts, null, 2)
-		);
-		console.log(`Contract list written to ${contractListPath}`);
+	startPhase("fetch coop lists");
+	let coops = await getCoopsFromSources(seasonalKevIDs, options.source, {
+		keepRuns: options.keepRuns,
+		chunkSize: options.wonkyChunkSize,
+		rosterPath: options.roster,
+	});
+	if (options.keepRuns) {
+		// Runs outside the periods of the selected contracts belong to other reruns
+		coops = coops.filter((majCoopsObject) => {
+			if (findContractForRun(seasonalContracts, majCoopsObject)) return true;
+			logger.info(
+				`Excluding run ${getContractRunKey(
+					majCoopsObject.contract,
+					majCoopsObject.run
+				)} because it is outside the selected contract periods.`
+			);
+			return false;
+		});
+	}
+	logger.info(`Total contracts after filtering: ${coops.length}`);
 
-		// Write the coops to coopListPath
-		fs.writeFileSync(coopListPath, JSON.stringify(coops, null, 2));
-		console.log(`Coop list written to ${coopListPath}`);
+	fs.mkdirSync(options.outDir, { recursive: true });
 
-		// Create or read the existing coops array
-		let existingCoops = [];
+	// Write the contracts to contractListPath
+	writeFileAtomic(
+		paths.contractListPath,
+		JSON.stringify(seasonalContracts, null, 2)
+	);
+	logger.info(`Contract list written to ${paths.contractListPath}`);
 
-		// Handle the clearCoopsFile option
-		if (clearCoopsFile) {
-			console.log(
-				`clearCoopsFile is set to true. Starting with an empty coops file.`
-			);
+	// Write the coops to coopListPath
+	writeFileAtomic(paths.coopListPath, JSON.stringify(coops, null, 2));
+	logger.info(`Coop list written to ${paths.coopListPath}`);
 
-			// Create an empty file if it doesn't exist or clear the existing one
-			fs.writeFileSync(coopsPath, JSON.stringify([], null, 2));
-		} else {
-			try {
-				// Check if the file exists and has valid content
-				if (fs.existsSync(coopsPath)) {
-					const fileContent = fs.readFileSync(coopsPath, "utf8");
-					if (fileContent.trim()) {
-						existingCoops = JSON.parse(fileContent);
-						console.log(
-							`Loaded ${existingCoops.length} existing coops from ${coopsPath}`
-						);
-					} else {
-						console.log(
-							`${coopsPath} exists but is empty. Starting with an empty array.`
-						);
-					}
-				} else {
-					console.log(
-						`${coopsPath} does not exist. Starting with an empty array.`
-					);
-				}
-			} catch (error) {
-				console.error(
-					`Error reading existing coops from ${coopsPath}:`,
-					error
+	return { seasonalContracts, coops };
+}
+
+/**
+ * Reads a JSON file written by a previous command.
+ *
+ * @param {string} filePath - Path of the JSON file.
+ * @param {string} hint - Hint on how to create the file, shown if it is missing.
+ * @returns {*} The parsed file content.
+ * @throws {Error} If the file does not exist or is not valid JSON.
+ */
+function readJsonFile(filePath, hint) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`${filePath} does not exist. ${hint}`);
+	}
+	return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Leaves out the coops that already have a successful record in the coops file, so an interrupted
+ * run can be resumed. Coops whose record is an error record are processed again, and so is every
+ * coop of the contracts in refreshContracts.
+ *
+ * @param {Array<majCoopsObject>} coops - The coops to process.
+ * @param {Map<string, { error: boolean }>} existingByKey - Status of the records already in the coops file, by coop key.
+ * @param {string[]} [refreshContracts=[]] - Contract identifiers to reprocess completely.
+ * @returns {Array<majCoopsObject>} The majCoopsObjects with only the coops that still need processing.
+ */
+function filterProcessedCoops(coops, existingByKey, refreshContracts = []) {
+	let skippedCount = 0;
+	let retryCount = 0;
+	let refreshCount = 0;
+
+	const remainingCoops = coops
+		.map((majCoopsObject) => {
+			const refresh = refreshContracts.includes(majCoopsObject.contract);
+			const remaining = majCoopsObject.coops.filter((coop) => {
+				const existing = existingByKey.get(
+					getCoopKey(
+						majCoopsObject.contract,
+						coop.code,
+						majCoopsObject.run
+					)
 				);
-				console.log("Starting with an empty array.");
-			}
+				if (!existing) return true;
+				if (refresh) {
+					refreshCount++;
+					return true;
+				}
+				if (existing.error) {
+					retryCount++;
+					return true;
+				}
+				skippedCount++;
+				return false;
+			});
+			return { ...majCoopsObject, coops: remaining };
+		})
+		.filter((majCoopsObject) => majCoopsObject.coops.length > 0);
+
+	if (skippedCount > 0) {
+		logger.info(`Skipping ${skippedCount} coops that were already processed`);
+	}
+	if (retryCount > 0) {
+		logger.info(`Retrying ${retryCount} coops that failed before`);
+	}
+	if (refreshCount > 0) {
+		logger.info(
+			`Refreshing ${refreshCount} processed coops of the refreshed contracts`
+		);
+	}
+
+	return remainingCoops;
+}
+
+/**
+ * Adds the coops that were still running in an earlier run to the coops to process. Coops that are in
+ * the coop list already keep the entry of the coop list, which has the latest Wonky data. Contracts
+ * that aren't in the contract list anymore are added from the pending file.
+ *
+ * @param {Array<majCoopsObject>} coops - The coops to process.
+ * @param {EggCoop.Contract[]} seasonalContracts - The contracts of the coops.
+ * @param {string} pendingCoopsPath - Path of the pending coops file, see writePendingCoops.
+ * @returns {{ coops: Array<majCoopsObject>, seasonalContracts: EggCoop.Contract[] }} The lists including the pending coops.
+ */
+function addPendingCoops(coops, seasonalContracts, pendingCoopsPath) {
+	if (!fs.existsSync(pendingCoopsPath)) return { coops, seasonalContracts };
+	const pending = JSON.parse(fs.readFileSync(pendingCoopsPath, "utf8"));
+
+	const mergedCoops = coops.map((majCoopsObject) => ({ ...majCoopsObject }));
+	const mergedContracts = [...seasonalContracts];
+	let addedCount = 0;
+	let pendingCount = 0;
+
+	for (const pendingObject of pending.coops ?? []) {
+		pendingCount += pendingObject.coops.length;
+		let majCoopsObject = mergedCoops.find(
+			(candidate) =>
+				candidate.contract === pendingObject.contract &&
+				candidate.run === pendingObject.run
+		);
+		if (!majCoopsObject) {
+			majCoopsObject = { ...pendingObject, coops: [] };
+			mergedCoops.push(majCoopsObject);
 		}
 
-		// Process coops with rate limiting
-		const result = await processCoopsWithRateLimiting(
-			coops,
-			seasonalContracts,
-			existingCoops
+		const codes = new Set(majCoopsObject.coops.map((coop) => coop.code));
+		const missingCoops = pendingObject.coops.filter(
+			(coop) => !codes.has(coop.code)
 		);
+		majCoopsObject.coops = [...majCoopsObject.coops, ...missingCoops];
+		addedCount += missingCoops.length;
 
-		// Get the updated values
-		const { remainingProcessedCoops, updatedExistingCoops } = result;
-		existingCoops = updatedExistingCoops; // Update our reference to existing coops
-
-		// Save any remaining processed coops
-		if (remainingProcessedCoops.length > 0) {
-			const finalCombinedCoops = [
-				...existingCoops,
-				...remainingProcessedCoops,
-			];
-			fs.writeFileSync(
-				coopsPath,
-				JSON.stringify(finalCombinedCoops, null, 2)
-			);
-			console.log(
-				`Final save: Added ${remainingProcessedCoops.length} coops to ${coopsPath}. Total coops: ${finalCombinedCoops.length}`
-			);
-		} else {
-			console.log(
-				`Processing complete. Total coops: ${existingCoops.length}`
-			);
+		const contractData = findContractForRun(
+			pending.contracts ?? [],
+			pendingObject
+		);
+		if (contractData && !findContractForRun(mergedContracts, pendingObject)) {
+			mergedContracts.push(contractData);
 		}
-	} catch (error) {
-		console.error("Error:", error);
 	}
+
+	logger.info(
+		`Found ${pendingCount} pending coops in ${pendingCoopsPath}, ${addedCount} of them aren't in the coop list`
+	);
+	return { coops: mergedCoops, seasonalContracts: mergedContracts };
 }
 
 /**
- * Handles coop data processing and calculates scoring metrics for each user in the coop.
+ * Writes the coops that are still running to the pending coops file, so a later run processes them
+ * once they finished. The file is removed if no coops are pending.
  *
- * @param {Object} eggCoopCoop - The egg coop data containing contributors and achievement status.
- * @param {Object} contract - The contract information potentially requiring grade specifications.
- * @param {Object} majCoopCoop - The major coop data containing grade information.
- * @returns {Promise<Object>} The processed output containing coop, contract, and user data.
- * @throws {Error} If critical data is missing or processing fails.
+ * @param {string} pendingCoopsPath - Path of the pending coops file.
+ * @param {Array<majCoopsObject>} pendingCoops - The coops that are still running.
+ * @param {EggCoop.Contract[]} seasonalContracts - Contract list to take the contract data of the pending coops from.
  */
-async function handleCoop(eggCoopCoop, contract, majCoopCoop) {
-	try {
-		// Validate inputs
-		if (!eggCoopCoop) throw new Error("Missing egg coop data");
-		if (!contract) throw new Error("Missing contract data");
-		if (!majCoopCoop) throw new Error("Missing major coop data");
-
-		// Add grade specs if needed
-		if (!contract.gradeSpecs) {
-			try {
-				contract = await addGradeSpecs(contract);
-			} catch (error) {
-				console.error("Failed to add grade specs:", error);
-				throw new Error(`Failed to add grade specs: ${error.message}`);
-			}
-		}
+function writePendingCoops(pendingCoopsPath, pendingCoops, seasonalContracts) {
+	if (pendingCoops.length === 0) {
+		if (fs.existsSync(pendingCoopsPath)) fs.unlinkSync(pendingCoopsPath);
+		return;
+	}
 
-		let output = {
-			coopData: eggCoopCoop,
-			contractData: contract,
-			majCoopData: majCoopCoop,
-			userData: [],
-		};
+	const contracts = [
+		...new Set(
+			pendingCoops.map((majCoopsObject) =>
+				findContractForRun(seasonalContracts, majCoopsObject)
+			)
+		),
+	].filter(Boolean);
+	writeFileAtomic(
+		pendingCoopsPath,
+		JSON.stringify({ contracts, coops: pendingCoops }, null, 2)
+	);
+	logger.info(`Pending coops written to ${pendingCoopsPath}`);
+}
 
-		// Process grade information
-		if (!majCoopCoop.grade) {
-			throw new Error("Missing grade information in majCoopCoop");
-		}
+/**
+ * Adds the coops of the pending coops file that weren't reached before an interrupted run stopped,
+ * so they stay pending. The coops in the coop list are processed by the next run anyway.
+ *
+ * @param {Array<majCoopsObject>} pendingCoops - The coops that were found to be still running.
+ * @param {EggCoop.Contract[]} seasonalContracts - The contract list.
+ * @param {string} pendingCoopsPath - Path of the pending coops file.
+ * @returns {Array<majCoopsObject>} The coops to write to the pending coops file.
+ */
+function keepUnreachedPendingCoops(
+	pendingCoops,
+	seasonalContracts,
+	pendingCoopsPath
+) {
+	const { coops } = addPendingCoops(
+		pendingCoops,
+		seasonalContracts,
+		pendingCoopsPath
+	);
+	return coops
+		.map((majCoopsObject) => ({
+			...majCoopsObject,
+			coops: majCoopsObject.coops.filter((coop) =>
+				["pending", "remaining"].includes(
+					getCheckpointCoopStatus(
+						getCoopKey(majCoopsObject.contract, coop.code, majCoopsObject.run)
+					)
+				)
+			),
+		}))
+		.filter((majCoopsObject) => majCoopsObject.coops.length > 0);
+}
 
-		const gradeShortString = majCoopCoop.grade;
-		const coopGrade = "GRADE_" + gradeShortString.toUpperCase();
-
-		const gradeMultipliers = {
-			aaa: 7,
-			aa: 5,
-			a: 3.5,
-			b: 2,
-			c: 1,
-		};
-
-		const gradeMultiplier =
-			gradeMultipliers[gradeShortString.toLowerCase()];
-		if (!gradeMultiplier) {
-			throw new Error(`Unknown grade: ${gradeShortString}`);
-		}
+/**
+ * Processes the given coops and saves the results to the coops file.
+ * Coops that were already processed successfully are skipped, see filterProcessedCoops.
+ * Coops that were still running in an earlier run are processed as well, see addPendingCoops.
+ * Reads the contract and coop lists from the output directory if they are not passed in.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ * @param {{ seasonalContracts: EggCoop.Contract[], coops: Array<majCoopsObject> }} [lists] - Lists from fetchCommand.
+ * @returns {Promise<void>}
+ */
+async function processCommand(options, paths, lists) {
+	startPhase("load coops");
+	const hint = "Run the fetch command first.";
+	const { coops, seasonalContracts } = addPendingCoops(
+		lists?.coops ?? readJsonFile(paths.coopListPath, hint),
+		lists?.seasonalContracts ?? readJsonFile(paths.contractListPath, hint),
+		paths.pendingCoopsPath
+	);
 
-		// Extract contract specifications
-		let contractFarmMaximumTimeAllowedSeconds = null;
-		let contractMainGoal = null;
-
-		// Find the appropriate grade specification
-		const gradeSpecs = contract.gradeSpecs || [];
-		for (const gradeSpec of gradeSpecs) {
-			if (gradeSpec.grade && gradeSpec.grade.eiIdentifier === coopGrade) {
-				if (
-					!gradeSpec.goalCollection ||
-					!gradeSpec.goalCollection.goals ||
-					!gradeSpec.goalCollection.goals.length
-				) {
-					throw new Error(
-						`Invalid goal collection for grade ${coopGrade}`
-					);
-				}
+	fs.mkdirSync(options.outDir, { recursive: true });
 
-				const goalsAmount = gradeSpec.goalCollection.goals.length;
-				contractMainGoal =
-					gradeSpec.goalCollection.goals[goalsAmount - 1]
-						.targetAmount;
+	const store = openCoopStore(paths.coopsPath, options.format);
+	if (options.clear) {
+		logger.info(`--clear is set. Starting with an empty coops file.`);
+		store.clear();
+		clearFailureLog();
+	}
 
-				if (!Number.isInteger(gradeSpec.lengthSeconds)) {
-					throw new Error("Contract length must be an integer");
-				}
+	// Only process what isn't in the coops file yet
+	const existingByKey = store.getStatuses();
+	logger.info(`Found ${existingByKey.size} existing coops in ${paths.coopsPath}`);
+	const previousCheckpoint = getCheckpointSummary();
+	if (previousCheckpoint && previousCheckpoint.state !== "finished") {
+		logger.info(
+			`The previous run was ${
+				previousCheckpoint.state === "running"
+					? "stopped without saving"
+					: previousCheckpoint.state
+			} at ${previousCheckpoint.updatedAt} with ${previousCheckpoint.done} of ${
+				previousCheckpoint.coops
+			} coops done, continuing.`
+		);
+	}
+	const remainingCoops = filterProcessedCoops(
+		coops,
+		existingByKey,
+		options.refreshContract
+	);
+	startCheckpoint(coops, existingByKey, paths.coopsPath);
+	saveCheckpoint();
 
-				contractFarmMaximumTimeAllowedSeconds = gradeSpec.lengthSeconds;
-				break;
+	// Ctrl+C finishes the coops in progress and saves everything below
+	installShutdownHandlers();
+	try {
+		startPhase("process coops");
+		const result = await processCoopsWithRateLimiting(
+			remainingCoops,
+			seasonalContracts,
+			store,
+			{
+				saveInterval: options.saveInterval,
+				maxParallel: options.maxParallel,
+				requestDelay: options.requestDelay,
+				batchDelay: options.batchDelay,
+				includeBuffHistory: options.buffHistory,
+				buffHistoryDelay: options.buffHistoryDelay,
 			}
+		);
+		const { pendingCoops, interrupted } = result;
+
+		startPhase("save");
+		writePendingCoops(
+			paths.pendingCoopsPath,
+			interrupted
+				? keepUnreachedPendingCoops(
+						pendingCoops,
+						seasonalContracts,
+						paths.pendingCoopsPath
+					)
+				: pendingCoops,
+			seasonalContracts
+		);
+		savePlayerRegistry();
+		saveFailureLog();
+		saveCheckpoint(interrupted ? "interrupted" : "finished");
+
+		logger.info(
+			`Processing ${interrupted ? "interrupted" : "complete"}. Total coops: ${
+				store.getStatuses().size
+			}`
+		);
+		printFailureSummary(paths);
+		finishRunReport(store, paths, result);
+		if (interrupted) {
+			logger.warn(
+				`Progress is saved in ${paths.checkpointPath}. Run the same command again to continue.`
+			);
+			process.exitCode = getShutdownExitCode();
 		}
+	} finally {
+		removeShutdownHandlers();
+	}
+}
+
+/**
+ * Prints how many coops in the failure log have failures, per stage.
+ *
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ */
+function printFailureSummary(paths) {
+	const failedCoops = getFailedCoops();
+	if (failedCoops.length === 0) return;
+
+	const stages = Object.entries(countFailuresByStage())
+		.map(([stage, count]) => `${stage}: ${count}`)
+		.join(", ");
+	logger.warn(
+		`${failedCoops.length} coops have failures (${stages}), see ${paths.failuresPath}. Run the retry-failed command to process them again.`
+	);
+}
 
+/**
+ * Checks the data quality of the coops file, and writes and prints the run report, see runReport.js.
+ *
+ * @param {Object} store - The coop store, see storage.js.
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ * @param {{ processedCount: number, totalCount: number, pendingCount: number, interrupted: boolean }} result - The result of processCoopsWithRateLimiting.
+ */
+function finishRunReport(store, paths, result) {
+	startPhase("check data quality");
+	const report = saveRunReport(paths.runReportPath, {
+		state: result.interrupted ? "interrupted" : "finished",
+		coops: {
+			processed: result.processedCount,
+			total: result.totalCount,
+			pending: result.pendingCount,
+		},
+		dataQuality: checkDataQuality(store),
+	});
+	printRunReport(report, paths.runReportPath);
+}
+
+/**
+ * Processes the coops in the failure log again and replaces their records in the coops file.
+ * The contract data comes from the stored record of the coop, or from the contract list.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ * @returns {Promise<void>}
+ */
+async function retryFailedCommand(options, paths) {
+	const failedCoops = getFailedCoops();
+	if (failedCoops.length === 0) {
+		logger.info(`No failed coops in ${paths.failuresPath}`);
+		return;
+	}
+	logger.info(
+		`Retrying ${failedCoops.length} coops from ${paths.failuresPath}`
+	);
+
+	startPhase("load coops");
+	fs.mkdirSync(options.outDir, { recursive: true });
+	const store = openCoopStore(paths.coopsPath, options.format);
+
+	// The contracts of the stored records, with their grade specs
+	const failedKeys = new Set(failedCoops.map((entry) => entry.coopKey));
+	const contracts = [];
+	store.forEach((record) => {
+		if (!failedKeys.has(getCoopRecordKey(record))) return;
+		const contract = record.contractData;
 		if (
-			contractFarmMaximumTimeAllowedSeconds === null ||
-			contractMainGoal === null
+			contract?.contractIdentifier &&
+			!contracts.some((known) => known.uuid === contract.uuid)
 		) {
-			throw new Error(
-				`Could not find grade specification for grade ${coopGrade}`
-			);
+			contracts.push(contract);
 		}
+	});
+	if (fs.existsSync(paths.contractListPath)) {
+		contracts.push(...readJsonFile(paths.contractListPath, ""));
+	}
 
-		// Determine green scroll status
-		const greenScroll =
-			(eggCoopCoop.allGoalsAchieved === true &&
-				eggCoopCoop.allMembersReporting === true) ||
-			eggCoopCoop.gracePeriodSecondsRemaining === 0;
+	// One majCoopsObject per contract run, like the coop list
+	const coopsByRun = new Map();
+	for (const entry of failedCoops) {
+		const key = getContractRunKey(entry.contract, entry.run);
+		if (!coopsByRun.has(key)) {
+			coopsByRun.set(key, {
+				contract: entry.contract,
+				...(entry.run && { run: entry.run }),
+				activeCoops: entry.activeCoops,
+				coops: [],
+			});
+		}
+		const { run, ...coop } = entry.majCoopData;
+		coopsByRun.get(key).coops.push(coop);
+	}
+	const retryCoops = [...coopsByRun.values()];
 
-		// Calculate coop duration
-		let coopDurationSeconds;
-		try {
-			coopDurationSeconds = getCoopDuration(
-				eggCoopCoop,
-				contractFarmMaximumTimeAllowedSeconds,
-				contractMainGoal
+	// Coops that weren't reached stay in the failure log
+	installShutdownHandlers();
+	try {
+		startPhase("process coops");
+		const result = await processCoopsWithRateLimiting(
+			retryCoops,
+			contracts,
+			store,
+			{
+				saveInterval: options.saveInterval,
+				maxParallel: options.maxParallel,
+				requestDelay: options.requestDelay,
+				batchDelay: options.batchDelay,
+				includeBuffHistory: options.buffHistory,
+				buffHistoryDelay: options.buffHistoryDelay,
+			}
+		);
+		const { pendingCoops, pendingCount, interrupted } = result;
+
+		// Coops that turned out to be running join the pending coops of earlier runs
+		startPhase("save");
+		if (pendingCoops.length > 0) {
+			const pending = addPendingCoops(
+				pendingCoops,
+				contracts,
+				paths.pendingCoopsPath
 			);
-		} catch (error) {
-			console.error("Error calculating coop duration:", error);
-			throw new Error(
-				`Failed to calculate coop duration: ${error.message}`
+			writePendingCoops(
+				paths.pendingCoopsPath,
+				pending.coops,
+				pending.seasonalContracts
 			);
 		}
+		savePlayerRegistry();
+		saveFailureLog();
+		saveCheckpoint();
+
+		const stillFailing = getFailedCoops().filter((entry) =>
+			failedKeys.has(entry.coopKey)
+		).length;
+		const fixedCount = failedKeys.size - stillFailing - pendingCount;
+		logger.info(
+			`Fixed ${fixedCount} of ${failedKeys.size} failed coops, ${stillFailing} still failing, ${pendingCount} still running.`
+		);
+		printFailureSummary(paths);
+		finishRunReport(store, paths, result);
+		if (interrupted) process.exitCode = getShutdownExitCode();
+	} finally {
+		removeShutdownHandlers();
+	}
+}
 
-		// Calculate base points
-		const basePoints =
-			(1 + contractFarmMaximumTimeAllowedSeconds / 259200) *
-			gradeMultiplier;
+/**
+ * Prints a per-contract summary of the coops file: coops, users, users with an exact CS and failed coops or users.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ * @returns {Promise<void>}
+ */
+async function reportCommand(options, paths) {
+	if (!fs.existsSync(paths.coopsPath)) {
+		throw new Error(
+			`${paths.coopsPath} does not exist. Run the process command first.`
+		);
+	}
+	const store = openCoopStore(paths.coopsPath, options.format);
+
+	const summaries = {};
+	let totalCoops = 0;
+	for (const processedCoop of store.readAll()) {
+		totalCoops++;
+		// Separate contract runs get their own row
+		const contract = getContractRunKey(
+			processedCoop.contractData?.contractIdentifier ?? "unknown",
+			processedCoop.majCoopData?.run
+		);
+		const summary = (summaries[contract] ??= {
+			coops: 0,
+			users: 0,
+			exactUsers: 0,
+			failedCoops: 0,
+			failedUsers: 0,
+		});
 
-		// Process each user's data
-		if (
-			!eggCoopCoop.coopContributors ||
-			!Array.isArray(eggCoopCoop.coopContributors)
-		) {
-			throw new Error("Missing or invalid coop contributors");
+		summary.coops++;
+		if (processedCoop.error) summary.failedCoops++;
+		for (const user of processedCoop.userData) {
+			summary.users++;
+			if (user.exactCS) summary.exactUsers++;
+			if (user.error) summary.failedUsers++;
 		}
+	}
 
-		for (const user of eggCoopCoop.coopContributors) {
-			try {
-				if (!user) {
-					console.warn("Skipping undefined user");
-					continue;
-				}
+	console.table(summaries);
+	console.log(`Total coops: ${totalCoops}`);
+}
 
-				// Calculate buff value
-				const buffHistory = user.buffHistory || [];
-				let buffValue;
-				try {
-					buffValue = calculateBuffTimeValue(
-						buffHistory,
-						eggCoopCoop.secondsSinceAllGoalsAchieved || 0
-					);
-				} catch (buffError) {
-					console.error("Error calculating buff value:", buffError);
-					throw new Error(
-						`Failed to calculate buff value: ${buffError.message}`
-					);
-				}
+/**
+ * Ranks the players over all coops in the coops file, optionally filtered by grade and contract,
+ * and prints the best ones. With --export, the full leaderboard is also written to a CSV or JSON file.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ * @returns {Promise<void>}
+ */
+async function leaderboardCommand(options, paths) {
+	if (!fs.existsSync(paths.coopsPath)) {
+		throw new Error(
+			`${paths.coopsPath} does not exist. Run the process command first.`
+		);
+	}
+	const store = openCoopStore(paths.coopsPath, options.format);
 
-				// Calculate contribution metrics
-				if (typeof user.contributionAmount !== "number") {
-					throw new Error(
-						`Invalid contribution amount for user ${
-							user.userName || "unknown"
-						}`
-					);
-				}
+	const leaderboard = buildLeaderboard(store.readAll(), {
+		grades: options.grade,
+		contracts: options.contract,
+		sort: options.sort,
+	});
 
-				const eggsShipped = user.contributionAmount;
+	const filters = [
+		options.grade.length > 0 && `grades ${options.grade.join(", ")}`,
+		options.contract.length > 0 && `contracts ${options.contract.join(", ")}`,
+	].filter(Boolean);
+	console.log(
+		`Leaderboard of ${leaderboard.length} players, ranked by ${options.sort}${
+			filters.length > 0 ? ` (${filters.join("; ")})` : ""
+		}`
+	);
 
-				if (
-					!Number.isInteger(contractMainGoal) ||
-					!Number.isInteger(contract.maxCoopSize)
-				) {
-					throw new Error(
-						"Contract main goal and max coop size must be integers"
-					);
-				}
+	const shownRows =
+		options.top > 0 ? leaderboard.slice(0, options.top) : leaderboard;
+	if (shownRows.length > 0) {
+		console.table(
+			shownRows.map((row) => ({
+				rank: row.rank,
+				player: row.userName,
+				contracts: row.contractsPlayed,
+				coops: row.coops,
+				totalCS: Math.round(row.totalCS),
+				averageCS: Math.round(row.averageCS),
+				totalUpperCS: Math.round(row.totalUpperCS),
+				averageUpperCS: Math.round(row.averageUpperCS),
+				contributionRatio: Number(row.averageContributionRatio.toFixed(2)),
+				buffRatio: Number(row.averageBuffRatio.toFixed(2)),
+				greenScroll: `${Math.round(row.greenScrollRate * 100)}%`,
+				grades: formatGradeMix(row.grades),
+			}))
+		);
+	}
 
-				const contributionRatio =
-					eggsShipped / (contractMainGoal / contract.maxCoopSize);
+	if (options.export) {
+		const content = options.export.toLowerCase().endsWith(".csv")
+			? formatLeaderboardCsv(leaderboard)
+			: JSON.stringify(leaderboard, null, 2);
+		writeFileAtomic(options.export, content);
+		logger.info(`Wrote the full leaderboard to ${options.export}`);
+	}
+}
 
-				let contributionFactor;
-				try {
-					contributionFactor =
-						calculateContributionFactor(contributionRatio);
-				} catch (factorError) {
-					console.error(
-						"Error calculating contribution factor:",
-						factorError
-					);
-					throw new Error(
-						`Failed to calculate contribution factor: ${factorError.message}`
-					);
-				}
+/**
+ * Links the users of every coop in the coops file to players in the player registry, applies the
+ * merges and separations given on the command line, and lists the suspected duplicate players.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @param {Object} paths - Output file paths, see getOutputPaths.
+ * @returns {Promise<void>}
+ */
+async function playersCommand(options, paths) {
+	if (!fs.existsSync(paths.coopsPath)) {
+		throw new Error(
+			`${paths.coopsPath} does not exist. Run the process command first.`
+		);
+	}
+	const store = openCoopStore(paths.coopsPath, options.format);
+
+	// Also links the users of coops that were processed before the registry existed
+	let linkedCoops = 0;
+	for (const record of store.readAll()) {
+		if (record.error) continue;
+		assignPlayerKeys(record);
+		linkedCoops++;
+	}
 
-				// Calculate time-related bonuses
-				const completionTimeBonus =
-					4 *
-						Math.pow(
-							1 -
-								coopDurationSeconds /
-									contractFarmMaximumTimeAllowedSeconds,
-							3
-						) +
-					1;
-
-				const timeToCompleteFactor =
-					coopDurationSeconds / contractFarmMaximumTimeAllowedSeconds;
-
-				// Calculate teamwork scores
-				const B = Math.min(buffValue / coopDurationSeconds, 2);
-				const teamworkScore = (5 * B) / 19;
-				const teamWork = 0.19 * teamworkScore + 1;
-
-				const upperTeamWorkScore = (5 * B + 6 + 10) / 19;
-				const upperTeamWork = 0.19 * upperTeamWorkScore + 1;
-
-				// Calculate final scores
-				const cs =
-					basePoints *
-					contributionFactor *
-					completionTimeBonus *
-					teamWork *
-					187.5;
-
-				const upperCS =
-					basePoints *
-					contributionFactor *
-					completionTimeBonus *
-					upperTeamWork *
-					187.5;
-
-				// Add user data to output
-				output.userData.push({
-					eiUuid: user.eiUuid || "unknown",
-					userName: user.userName || "unknown",
-					eggsShipped,
-					contributionRatio,
-					contributionFactor,
-					completionTimeBonus,
-					timeToCompleteFactor,
-					contractFarmMaximumTimeAllowedSeconds,
-					contractMainGoal,
-					coopDurationSeconds,
-					greenScroll,
-					buffHistory,
-					buffValue,
-					teamWork,
-					upperTeamWork,
-					cs,
-					upperCS,
-				});
-			} catch (userError) {
-				console.error(
-					`Error processing user data for ${
-						user.userName || "unknown"
-					} (eiUuid from eggcoop: ${user.eiUuid || "unknown"}):`,
-					userError
-				);
+	if (options.merge.length > 0) {
+		mergePlayers(options.merge);
+		logger.info(
+			`Merged ${options.merge.slice(1).join(", ")} into ${options.merge[0]}`
+		);
+	}
+	if (options.keepSeparate.length > 0) {
+		keepPlayersSeparate(options.keepSeparate);
+		logger.info(
+			`Marked ${options.keepSeparate.join(", ")} as different players`
+		);
+	}
 
-				// Add error record for this user
-				output.userData.push({
-					eiUuid: user.eiUuid || "unknown",
-					userName: user.userName || "unknown",
-					error: userError.message,
-					eggsShipped: user.contributionAmount || 0,
-					contributionRatio: 0,
-					contributionFactor: 0,
-					completionTimeBonus: 1,
-					timeToCompleteFactor: 1,
-					greenScroll,
-					buffHistory: [],
-					buffValue: 0,
-					teamWork: 1,
-					upperTeamWork: 1,
-					cs: 0,
-					upperCS: 0,
-				});
-			}
+	savePlayerRegistry();
+	const stats = getPlayerRegistryStats();
+	console.log(
+		`${stats.players} players (${stats.merged} merged) from ${linkedCoops} coops in ${paths.playersPath}`
+	);
+
+	const suspects = getSuspectedDuplicates();
+	if (suspects.length === 0) {
+		console.log("No suspected duplicate players.");
+		return;
+	}
+
+	console.log(`${suspects.length} suspected duplicate players:`);
+	console.table(
+		suspects.map(({ keyA, keyB, reason }) => ({
+			playerA: keyA,
+			namesA: getPlayer(keyA).names.join(", "),
+			playerB: keyB,
+			namesB: getPlayer(keyB).names.join(", "),
+			reason,
+		}))
+	);
+	console.log(
+		"Merge the same players with --merge <key> --merge <key>, or mark different players with --keep-separate <key> --keep-separate <key>."
+	);
+}
+
+/**
+ * Converts a coops file between the JSON array, NDJSON and SQLite formats.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @returns {Promise<void>}
+ */
+async function convertCommand(options) {
+	const count = convertCoopFile(options.in, options.out);
+	logger.info(`Converted ${count} coops from ${options.in} to ${options.out}`);
+}
+
+/**
+ * Compares the cs and upperCS of every user in a coop record before and after recomputing it.
+ * Users are matched by eiUuid and userName, a user missing on one side counts as 0.
+ *
+ * @param {Object} oldRecord - The stored coop record.
+ * @param {Object} newRecord - The recomputed coop record.
+ * @returns {Array<Object>} One entry per user whose cs or upperCS changed.
+ */
+function compareUserScores(oldRecord, newRecord) {
+	const getUserKey = (user) => `${user.eiUuid}/${user.userName}`;
+	const oldUsers = new Map(
+		(oldRecord.userData ?? []).map((user) => [getUserKey(user), user])
+	);
+	const newUsers = new Map(
+		(newRecord.userData ?? []).map((user) => [getUserKey(user), user])
+	);
+
+	const changes = [];
+	for (const key of new Set([...oldUsers.keys(), ...newUsers.keys()])) {
+		const oldUser = oldUsers.get(key);
+		const newUser = newUsers.get(key);
+		const oldCS = oldUser?.cs ?? 0;
+		const newCS = newUser?.cs ?? 0;
+		const oldUpperCS = oldUser?.upperCS ?? 0;
+		const newUpperCS = newUser?.upperCS ?? 0;
+
+		// Ignore floating point noise
+		const ignoreNoise = (change) => (Math.abs(change) < 1e-9 ? 0 : change);
+		const csChange = ignoreNoise(newCS - oldCS);
+		const upperCSChange = ignoreNoise(newUpperCS - oldUpperCS);
+		if (csChange === 0 && upperCSChange === 0) continue;
+
+		changes.push({
+			coop: getCoopRecordKey(newRecord),
+			userName: (newUser ?? oldUser).userName,
+			eiUuid: (newUser ?? oldUser).eiUuid,
+			oldCS,
+			newCS,
+			csChange,
+			oldUpperCS,
+			newUpperCS,
+			upperCSChange,
+		});
+	}
+	return changes;
+}
+
+/**
+ * Recalculates the metrics of every coop in a coops file from the stored coop, contract and Wonky data,
+ * without any API calls, and writes the recomputed coops to a new file.
+ * Prints how many users' cs and upperCS changed and lists the largest changes.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @returns {Promise<void>}
+ */
+async function recomputeCommand(options) {
+	if (!fs.existsSync(options.in)) {
+		throw new Error(`${options.in} does not exist`);
+	}
+	if (fs.existsSync(options.out)) {
+		throw new Error(`${options.out} already exists`);
+	}
+
+	const input = openCoopStore(options.in);
+	const output = openCoopStore(options.out);
+
+	const recomputedCoops = [];
+	const changes = [];
+	let recomputedCount = 0;
+	let keptCount = 0;
+	let fixedCount = 0;
+	let brokenCount = 0;
+	let userCount = 0;
+	let exactUserCount = 0;
+	const coopsPerModel = {};
+
+	for (const record of input.readAll()) {
+		// Coops without a stored status or grade specs need the API, keep them as they are
+		if (!canRecomputeCoopRecord(record)) {
+			keptCount++;
+			recomputedCoops.push(record);
+			continue;
 		}
 
-		return output;
+		const recomputed = recomputeCoopRecord(record);
+		recomputedCount++;
+		userCount += recomputed.userData.length;
+		exactUserCount += recomputed.userData.filter((user) => user.exactCS).length;
+		if (record.error && !recomputed.error) fixedCount++;
+		if (!record.error && recomputed.error) brokenCount++;
+		if (recomputed.scoringModel) {
+			coopsPerModel[recomputed.scoringModel] =
+				(coopsPerModel[recomputed.scoringModel] ?? 0) + 1;
+		}
+
+		changes.push(...compareUserScores(record, recomputed));
+		recomputedCoops.push(recomputed);
+	}
+
+	output.clear();
+	output.append(recomputedCoops);
+
+	console.log(
+		`Recomputed ${recomputedCount} coops from ${options.in} and wrote them to ${options.out}`
+	);
+	console.log(
+		`Scoring models: ${
+			Object.entries(coopsPerModel)
+				.map(([model, count]) => `${model} (${count} coops)`)
+				.join(", ") || "none"
+		}`
+	);
+	if (exactUserCount > 0) {
+		console.log(
+			`Exact CS for ${exactUserCount} users with known token value and chicken runs`
+		);
+	}
+	if (keptCount > 0) {
+		console.log(
+			`Kept ${keptCount} coops unchanged, their status or grade specs were never fetched`
+		);
+	}
+	if (fixedCount > 0) {
+		console.log(`${fixedCount} coops that failed before now succeed`);
+	}
+	if (brokenCount > 0) {
+		console.log(`${brokenCount} coops that succeeded before now fail`);
+	}
+
+	const csChanges = changes.filter((change) => change.csChange !== 0);
+	const upperCSChanges = changes.filter((change) => change.upperCSChange !== 0);
+	console.log(
+		`Changed users: ${changes.length} of ${userCount} (cs changed for ${csChanges.length}, upperCS for ${upperCSChanges.length})`
+	);
+	if (changes.length === 0) return;
+
+	const sum = (values) => values.reduce((total, value) => total + value, 0);
+	const csDeltas = changes.map((change) => change.csChange);
+	const upperCSDeltas = changes.map((change) => change.upperCSChange);
+	console.log(
+		`cs change: average ${(sum(csDeltas) / changes.length).toFixed(2)}, ` +
+			`min ${Math.min(...csDeltas).toFixed(2)}, max ${Math.max(...csDeltas).toFixed(2)}`
+	);
+	console.log(
+		`upperCS change: average ${(sum(upperCSDeltas) / changes.length).toFixed(2)}, ` +
+			`min ${Math.min(...upperCSDeltas).toFixed(2)}, max ${Math.max(...upperCSDeltas).toFixed(2)}`
+	);
+
+	if (options.top > 0) {
+		const largestChanges = changes
+			.sort(
+				(a, b) =>
+					Math.abs(b.csChange) - Math.abs(a.csChange) ||
+					Math.abs(b.upperCSChange) - Math.abs(a.upperCSChange)
+			)
+			.slice(0, options.top);
+		console.log(`Largest changes:`);
+		console.table(
+			largestChanges.map((change) => ({
+				coop: change.coop,
+				user: change.userName,
+				cs: `${change.oldCS.toFixed(2)} -> ${change.newCS.toFixed(2)}`,
+				csChange: Number(change.csChange.toFixed(2)),
+				upperCS: `${change.oldUpperCS.toFixed(2)} -> ${change.newUpperCS.toFixed(2)}`,
+				upperCSChange: Number(change.upperCSChange.toFixed(2)),
+			}))
+		);
+	}
+}
+
+/**
+ * Serves recorded fixtures until the process is stopped.
+ *
+ * @param {Object} options - Parsed command line options.
+ * @returns {Promise<void>}
+ */
+async function serveFixturesCommand(options) {
+	const { server, eggCoopBaseURL, majEndpoint } = await startMockServer(
+		options.fixtures,
+		options.port
+	);
+	logger.info(`Serving fixtures from ${options.fixtures}`);
+	logger.info(`- EggCoop API: ${eggCoopBaseURL}/api/...`);
+	logger.info(`- Wonky endpoint (MAJ_ENDPOINT): ${majEndpoint}`);
+	logger.info("Press Ctrl+C to stop.");
+
+	await new Promise((resolve) => {
+		process.once("SIGINT", () => server.close(resolve));
+	});
+}
+
+async function main() {
+	let cli;
+	try {
+		cli = parseCli(process.argv.slice(2));
 	} catch (error) {
-		console.error("Critical error in handleCoop:", error);
-		// Return a structured error response
-		return {
-			error: error.message,
-			coopData: eggCoopCoop || {},
-			contractData: contract || {},
-			majCoopData: majCoopCoop || {},
-			userData: [],
-		};
+		if (!(error instanceof CliError)) throw error;
+		console.error(`Error: ${error.message}`);
+		console.error("Run node index.js --help for usage.");
+		process.exitCode = 1;
+		return;
 	}
+
+	const { command, options } = cli;
+	if (cli.help) {
+		console.log(formatHelp(command));
+		return;
+	}
+
+	const paths = getOutputPaths(
+		options.outDir,
+		options.format,
+		options.players
+	);
+
+	let level = "info";
+	if (options.quiet) level = "warn";
+	if (options.verbose) level = "debug";
+	let logFile = null;
+	if (options.runLog) {
+		logFile = options.logFile ?? getRunLogPath(paths.logDir, command);
+	}
+	configureLogger({ level, logFile });
+	logger.debug(`Starting ${command}`, {
+		argv: process.argv.slice(2),
+		logFile,
+	});
+
+	configureHttp({
+		retries: options.retries,
+		retryBaseDelayMs: options.retryDelay,
+		timeoutMs: options.timeout,
+	});
+	eggCoopRateLimiter.configure({
+		requestsPerSecond: options.rps,
+		maxInFlight: options.maxInFlight,
+	});
+	configureCache({
+		enabled: options.cache,
+		refresh: options.refresh,
+		cacheDir: options.cacheDir,
+	});
+	configureFixtures({ recordDir: options.record });
+	configureScoring({ model: options.scoringModel });
+	configureSchemas({ mode: options.schemaMode });
+
+	let mockServer = null;
+
+	try {
+		configureTeamworkData({ filePath: options.teamworkData });
+		if (
+			[
+				"run",
+				"process",
+				"retry-failed",
+				"leaderboard",
+				"players",
+			].includes(command)
+		) {
+			configurePlayerRegistry({ filePath: paths.playersPath });
+		}
+		if (["run", "process", "retry-failed"].includes(command)) {
+			startRunReport(command);
+			configureFailureLog({ filePath: paths.failuresPath });
+			configureCheckpoint({ filePath: paths.checkpointPath });
+		}
+
+		if (options.replay) {
+			// Point both APIs at a local server with the recorded responses.
+			// Cached live responses must not mix with them, so the cache is off.
+			const replay = await startMockServer(options.replay);
+			mockServer = replay.server;
+			setEggCoopBaseURL(replay.eggCoopBaseURL);
+			process.env.MAJ_ENDPOINT = replay.majEndpoint;
+			configureCache({ enabled: false });
+			logger.info(`Replaying fixtures from ${options.replay}`);
+		}
+
+		switch (command) {
+			case "fetch":
+				await fetchCommand(options, paths);
+				break;
+			case "process":
+				await processCommand(options, paths);
+				break;
+			case "report":
+				await reportCommand(options, paths);
+				break;
+			case "leaderboard":
+				await leaderboardCommand(options, paths);
+				break;
+			case "players":
+				await playersCommand(options, paths);
+				break;
+			case "retry-failed":
+				await retryFailedCommand(options, paths);
+				break;
+			case "convert":
+				await convertCommand(options);
+				break;
+			case "recompute":
+				await recomputeCommand(options);
+				break;
+			case "serve-fixtures":
+				await serveFixturesCommand(options);
+				break;
+			case "run":
+				await processCommand(
+					options,
+					paths,
+					await fetchCommand(options, paths)
+				);
+				break;
+		}
+	} catch (error) {
+		logger.error(`The ${command} command failed`, { error });
+		if (getLogFile()) {
+			logger.info(`The run log ${getLogFile()} has the details.`);
+		}
+		process.exitCode = 1;
+	} finally {
+		mockServer?.close();
+		logger.debug(`Finished ${command}`, { exitCode: process.exitCode ?? 0 });
+	}
+}
+
+/**
+ * Handles coop data processing and calculates scoring metrics for each user in the coop.
+ * Fetches the grade specs of the contract if needed, the calculation itself is done by calculateCoopRecord.
+ *
+ * @param {Object} eggCoopCoop - The egg coop data containing contributors and achievement status.
+ * @param {Object} contract - The contract information potentially requiring grade specifications.
+ * @param {Object} majCoopCoop - The major coop data containing grade information.
+ * @returns {Promise<Object>} The processed output containing coop, contract, and user data.
+ * @throws {SchemaError} If the grade specs don't match their schema in strict mode.
+ */
+async function handleCoop(eggCoopCoop, contract, majCoopCoop) {
+	// Add grade specs if needed
+	if (contract && !contract.gradeSpecs) {
+		try {
+			contract = await addGradeSpecs(contract);
+		} catch (error) {
+			if (error instanceof SchemaError) throw error;
+			logger.error("Failed to add grade specs", {
+				contract: contract.contractIdentifier,
+				run: majCoopCoop?.run,
+				coop: majCoopCoop?.code,
+				stage: "coop-record",
+				error,
+			});
+			return createCoopErrorRecord(
+				`Failed to add grade specs: ${error.message}`,
+				eggCoopCoop,
+				contract,
+				majCoopCoop
+			);
+		}
+	}
+
+	return calculateCoopRecord(eggCoopCoop, contract, majCoopCoop);
+}
+
+// Only run the CLI when started directly, the tests require handleCoop
+if (require.main === module) {
+	main();
 }
 
-main();
+module.exports = {
+	handleCoop,
+};
@@ -0,0 +1,198 @@
+const {
+	resolvePlayerKey,
+	isAnonymousUser,
+	findPlayerKey,
+	getPlayer,
+} = require("./players");
+const { getContractRunKey } = require("./tools");
+
+/**
+ * Aggregates the userData of processed coops per player, for season standings.
+ */
+
+const GRADES = ["aaa", "aa", "a", "b", "c"];
+
+// Sort orders of the leaderboard, by the row field they rank on
+const LEADERBOARD_SORTS = {
+	"total-cs": "totalCS",
+	"average-cs": "averageCS",
+	"total-upper-cs": "totalUpperCS",
+	"average-upper-cs": "averageUpperCS",
+	coops: "coops",
+};
+
+/**
+ * Returns the key a player is aggregated under: the player key from the player registry, following
+ * merges made after the coop was processed. Users of coops processed before the registry existed are
+ * looked up in it, or fall back to their eiUuid or userName.
+ *
+ * @param {{ eiUuid: string, userName: string, playerKey?: string }} user - A userData entry.
+ * @returns {string} The player key.
+ */
+function getPlayerKey(user) {
+	if (user.playerKey) return resolvePlayerKey(user.playerKey);
+	const key = findPlayerKey(user);
+	if (key) return resolvePlayerKey(key);
+	return user.eiUuid && user.eiUuid !== "unknown"
+		? user.eiUuid
+		: `name:${user.userName}`;
+}
+
+/**
+ * Builds the leaderboard of the processed coops.
+ * Coops that failed, users whose metrics failed and anonymous users (see isAnonymousUser) are left out.
+ *
+ * @param {Iterable<Object>} coopRecords - Processed coop records, without replaced records (see store.readAll).
+ * @param {Object} [filters={}] - Which coops to include.
+ * @param {string[]} [filters.grades=[]] - Only include coops of these grades (lowercase), all grades if empty.
+ * @param {string[]} [filters.contracts=[]] - Only include coops of these contract identifiers, all contracts if empty.
+ * @param {string} [filters.sort="total-cs"] - How to rank the players, see LEADERBOARD_SORTS.
+ * @returns {Array<Object>} One row per player, ranked.
+ * @throws {Error} If the sort is unknown.
+ */
+function buildLeaderboard(coopRecords, filters = {}) {
+	const { grades = [], contracts = [], sort = "total-cs" } = filters;
+	const sortField = LEADERBOARD_SORTS[sort];
+	if (!sortField) {
+		throw new Error(
+			`Unknown leaderboard sort "${sort}", expected one of: ${Object.keys(LEADERBOARD_SORTS).join(", ")}`
+		);
+	}
+
+	const players = new Map();
+
+	for (const record of coopRecords) {
+		if (record.error) continue;
+
+		const contract = record.contractData?.contractIdentifier;
+		const contractRun = getContractRunKey(contract, record.majCoopData?.run);
+		const grade = record.majCoopData?.grade?.toLowerCase();
+		if (grades.length > 0 && !grades.includes(grade)) continue;
+		if (contracts.length > 0 && !contracts.includes(contract)) continue;
+
+		for (const user of record.userData ?? []) {
+			// Anonymous users can't be told apart, they would all count as one player
+			if (user.error || isAnonymousUser(user)) continue;
+
+			const key = getPlayerKey(user);
+			if (!players.has(key)) {
+				players.set(key, {
+					player: key,
+					userName: user.userName,
+					contracts: new Set(),
+					coops: 0,
+					totalCS: 0,
+					totalUpperCS: 0,
+					totalContributionRatio: 0,
+					totalBuffRatio: 0,
+					greenScrolls: 0,
+					grades: {},
+				});
+			}
+			const player = players.get(key);
+
+			// Show the name of the player in the registry, or the most recent name
+			player.userName = getPlayer(key)?.displayName ?? user.userName;
+			player.contracts.add(contractRun);
+			player.coops++;
+			player.totalCS += user.cs;
+			player.totalUpperCS += user.upperCS;
+			player.totalContributionRatio += user.contributionRatio;
+			if (user.coopDurationSeconds > 0) {
+				player.totalBuffRatio += user.buffValue / user.coopDurationSeconds;
+			}
+			if (user.greenScroll) player.greenScrolls++;
+			player.grades[grade] = (player.grades[grade] ?? 0) + 1;
+		}
+	}
+
+	return [...players.values()]
+		.map((player) => ({
+			player: player.player,
+			userName: player.userName,
+			contractsPlayed: player.contracts.size,
+			coops: player.coops,
+			totalCS: player.totalCS,
+			averageCS: player.totalCS / player.coops,
+			totalUpperCS: player.totalUpperCS,
+			averageUpperCS: player.totalUpperCS / player.coops,
+			averageContributionRatio: player.totalContributionRatio / player.coops,
+			averageBuffRatio: player.totalBuffRatio / player.coops,
+			greenScrollRate: player.greenScrolls / player.coops,
+			grades: player.grades,
+		}))
+		.sort((a, b) => b[sortField] - a[sortField])
+		.map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+/**
+ * Formats a grade mix for display, e.g. "AAA:3 AA:1".
+ *
+ * @param {Object<string, number>} grades - Number of coops per lowercase grade.
+ * @returns {string} The grade mix, best grade first.
+ */
+function formatGradeMix(grades) {
+	return GRADES.filter((grade) => grades[grade])
+		.map((grade) => `${grade.toUpperCase()}:${grades[grade]}`)
+		.join(" ");
+}
+
+/**
+ * Quotes a value for a CSV file if needed. Text that a spreadsheet would run as a formula, like a
+ * player named "=HYPERLINK(...)", is prefixed with a quote so it is shown as text.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+	const text = String(value);
+	// Numbers can be negative, only text can be a formula
+	if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+		return `"'${text.replace(/"/g, '""')}"`;
+	}
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a leaderboard as CSV, with one column per grade for the grade mix.
+ *
+ * @param {Array<Object>} rows - Leaderboard rows from buildLeaderboard.
+ * @returns {string} The CSV content, with a header line.
+ */
+function formatLeaderboardCsv(rows) {
+	const columns = [
+		"rank",
+		"player",
+		"userName",
+		"contractsPlayed",
+		"coops",
+		"totalCS",
+		"averageCS",
+		"totalUpperCS",
+		"averageUpperCS",
+		"averageContributionRatio",
+		"averageBuffRatio",
+		"greenScrollRate",
+	];
+	const lines = [
+		[...columns, ...GRADES.map((grade) => `grade${grade.toUpperCase()}`)].join(","),
+	];
+	for (const row of rows) {
+		lines.push(
+			[
+				...columns.map((column) => toCsvField(row[column])),
+				...GRADES.map((grade) => row.grades[grade] ?? 0),
+			].join(",")
+		);
+	}
+	return lines.join("\n") + "\n";
+}
+
+module.exports = {
+	GRADES,
+	LEADERBOARD_SORTS,
+	getPlayerKey,
+	buildLeaderboard,
+	formatGradeMix,
+	formatLeaderboardCsv,
+};
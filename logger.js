@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Logging with levels. Every message goes to the console if its level is enabled, and to the run log
+ * if one is configured. The run log is a JSON-lines file with one entry per message:
+ *
+ * `{ time, level, message, ...context, error: { name, message, stack, status, url } }`
+ *
+ * The context describes what the message is about, e.g. `{ contract, run, coop, eiUuid, stage }`,
+ * and `error` is the Error that was caught, if any. The run log gets every level, including debug.
+ * Errors and warnings are printed to stderr, the other levels to stdout.
+ *
+ * While a progress line is shown (see setProgress), log lines are printed above it and the
+ * progress line is drawn again below them.
+ */
+
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+// Context fields that are also printed on the console, the run log gets all of them
+const CONSOLE_CONTEXT_FIELDS = [
+	"contract",
+	"run",
+	"coop",
+	"eiUuid",
+	"userName",
+	"stage",
+];
+
+const loggerOptions = {
+	level: "info",
+	logFile: null,
+};
+
+let progressText = null;
+let progressLength = 0;
+
+/**
+ * Sets the console level and the run log. Options that are undefined keep their current value.
+ *
+ * @param {Object} options - Logger options.
+ * @param {string} [options.level] - Lowest level printed on the console: "error", "warn", "info" or "debug".
+ * @param {string|null} [options.logFile] - Path of the JSON-lines run log, null for none. Its directory is created if needed.
+ * @throws {Error} If the level is unknown.
+ */
+function configureLogger(options) {
+	if (options.level !== undefined) {
+		if (!LOG_LEVELS.includes(options.level)) {
+			throw new Error(
+				`Unknown log level "${options.level}", expected one of: ${LOG_LEVELS.join(", ")}`
+			);
+		}
+		loggerOptions.level = options.level;
+	}
+	if (options.logFile !== undefined) {
+		loggerOptions.logFile = options.logFile;
+		if (options.logFile) {
+			fs.mkdirSync(path.dirname(options.logFile), { recursive: true });
+		}
+	}
+}
+
+/**
+ * Returns a new run log path in a log directory, named after the command and the start time.
+ *
+ * @param {string} logDir - The log directory.
+ * @param {string} name - Name of the run, e.g. the command.
+ * @param {Date} [startTime=new Date()] - Start time of the run.
+ * @returns {string} The path, e.g. `<logDir>/run-2025-04-12T10-00-00-000Z.jsonl`.
+ */
+function getRunLogPath(logDir, name, startTime = new Date()) {
+	const timestamp = startTime.toISOString().replace(/[:.]/g, "-");
+	return path.join(logDir, `${name}-${timestamp}.jsonl`);
+}
+
+/**
+ * Returns the path of the run log.
+ *
+ * @returns {string|null} The run log, null if there is none.
+ */
+function getLogFile() {
+	return loggerOptions.logFile;
+}
+
+/**
+ * Tells whether messages of a level are printed on the console.
+ *
+ * @param {string} level - The log level.
+ * @returns {boolean} True if the level is enabled.
+ */
+function isLevelEnabled(level) {
+	return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(loggerOptions.level);
+}
+
+/**
+ * Converts a caught error to plain data for the run log.
+ *
+ * @param {*} error - The error, usually an Error.
+ * @returns {Object} The name, message and stack, and the status and url of HTTP errors.
+ */
+function serializeError(error) {
+	if (!(error instanceof Error)) return { message: String(error) };
+	return {
+		name: error.name,
+		message: error.message,
+		stack: error.stack,
+		...(error.status !== undefined && { status: error.status }),
+		...(error.url !== undefined && { url: error.url }),
+	};
+}
+
+/**
+ * Formats a log message for the console: the message, the error message and the context fields.
+ *
+ * @param {string} message - The log message.
+ * @param {Object} context - The context, see the top of this file.
+ * @returns {string} The console line.
+ */
+function formatConsoleLine(message, context) {
+	let line = message;
+	if (context.error !== undefined) {
+		line += `: ${context.error?.message ?? context.error}`;
+	}
+
+	const fields = CONSOLE_CONTEXT_FIELDS.filter(
+		(field) => context[field] !== undefined && context[field] !== null
+	).map((field) => `${field} ${context[field]}`);
+	if (fields.length > 0) line += ` (${fields.join(", ")})`;
+
+	// Stack traces are only printed in verbose mode, the run log always has them
+	if (loggerOptions.level === "debug" && context.error?.stack) {
+		line += `\n${context.error.stack}`;
+	}
+	return line;
+}
+
+/**
+ * Appends an entry to the run log. A run log that can't be written is reported once and then turned off.
+ *
+ * @param {string} level - The log level.
+ * @param {string} message - The log message.
+ * @param {Object} context - The context, see the top of this file.
+ */
+function writeLogEntry(level, message, context) {
+	if (!loggerOptions.logFile) return;
+
+	const { error, ...fields } = context;
+	const line = JSON.stringify({
+		time: new Date().toISOString(),
+		level,
+		message,
+		...fields,
+		...(error !== undefined && { error: serializeError(error) }),
+	});
+	try {
+		fs.appendFileSync(loggerOptions.logFile, line + "\n");
+	} catch (writeError) {
+		const logFile = loggerOptions.logFile;
+		loggerOptions.logFile = null;
+		log("warn", `Failed to write the run log ${logFile}`, {
+			error: writeError,
+		});
+	}
+}
+
+/**
+ * Erases the progress line, so a log line can be printed in its place.
+ */
+function eraseProgress() {
+	if (progressLength > 0) {
+		process.stdout.write("\r" + " ".repeat(progressLength) + "\r");
+		progressLength = 0;
+	}
+}
+
+/**
+ * Draws the current progress line, if any.
+ */
+function drawProgress() {
+	if (progressText === null) return;
+	process.stdout.write(progressText);
+	progressLength = progressText.length;
+}
+
+/**
+ * Logs a message to the console and the run log.
+ *
+ * @param {string} level - The log level, see LOG_LEVELS.
+ * @param {string} message - The log message.
+ * @param {Object} [context={}] - What the message is about and the caught error, see the top of this file.
+ */
+function log(level, message, context = {}) {
+	writeLogEntry(level, message, context);
+	if (!isLevelEnabled(level)) return;
+
+	const stream =
+		level === "error" || level === "warn" ? process.stderr : process.stdout;
+	eraseProgress();
+	stream.write(formatConsoleLine(message, context) + "\n");
+	drawProgress();
+}
+
+const logger = {
+	error: (message, context) => log("error", message, context),
+	warn: (message, context) => log("warn", message, context),
+	info: (message, context) => log("info", message, context),
+	debug: (message, context) => log("debug", message, context),
+};
+
+/**
+ * Shows or replaces the progress line below the log lines. It is only shown on a terminal and at
+ * the info level or lower, and isn't written to the run log.
+ *
+ * @param {string} text - The progress text, on one line.
+ */
+function setProgress(text) {
+	if (!process.stdout.isTTY || !isLevelEnabled("info")) return;
+	eraseProgress();
+	progressText = text;
+	drawProgress();
+}
+
+/**
+ * Removes the progress line.
+ */
+function clearProgress() {
+	eraseProgress();
+	progressText = null;
+}
+
+module.exports = {
+	LOG_LEVELS,
+	configureLogger,
+	getRunLogPath,
+	getLogFile,
+	logger,
+	setProgress,
+	clearProgress,
+};
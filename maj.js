@@ -1,12 +1,28 @@
+const { fetchJSON } = require("./http");
+const { recordWonkyResponse } = require("./fixtures");
+const { getContractRunKey } = require("./tools");
+const { logger } = require("./logger");
+const { SchemaError, validateResponse } = require("./schemas");
+
+// Default maximum number of contracts per Wonky request
+const DEFAULT_CHUNK_SIZE = 25;
+
 /**
  * Filters an array of cooperative objects to keep only the latest entry for each unique contract.
  * The latest entry is determined by the highest startTime value.
+ * With keepRuns, every run of a contract (reruns, or several Wonky registration waves) is kept as a
+ * separate entry instead, tagged with its startTime as `run`. Entries with the same contract and
+ * startTime are still only kept once.
  *
  * @param {Array<majCoopsObject>} coops - Array of majCoops objects, each containing at least contract and startTime properties
- * @returns {Array<majCoopsObject>} Array of unique majCoops objects with the latest startTime for each contract
+ * @param {Object} [options={}] - Filter options.
+ * @param {boolean} [options.keepRuns=false] - Keep every run of a contract as a separate entry.
+ * @returns {Array<majCoopsObject>} Array of unique majCoops objects with the latest startTime for each contract, or with every run
  * @throws {Error} If coops is not an array or if required properties are missing
  */
-function filterUniqueContracts(coops) {
+function filterUniqueContracts(coops, options = {}) {
+	const { keepRuns = false } = options;
+
 	// Input validation
 	if (!Array.isArray(coops)) {
 		throw new Error("Input must be an array of cooperative objects");
@@ -27,8 +43,6 @@ function filterUniqueContracts(coops) {
 			continue; // Skip invalid entries
 		}
 
-		const contract = coop.contract;
-
 		// Ensure startTime is a number
 		let currentStartTime;
 		try {
@@ -40,12 +54,19 @@ function filterUniqueContracts(coops) {
 			continue; // Skip entries with invalid startTime
 		}
 
+		// With keepRuns, every run gets its own entry
+		const contract = keepRuns
+			? getContractRunKey(coop.contract, String(currentStartTime))
+			: coop.contract;
+
 		// If we haven't seen this contract before, or this item has a higher startTime
 		if (
 			!uniqueContracts[contract] ||
 			currentStartTime > parseInt(uniqueContracts[contract].startTime, 10)
 		) {
-			uniqueContracts[contract] = coop;
+			uniqueContracts[contract] = keepRuns
+				? { ...coop, run: String(currentStartTime) }
+				: coop;
 		}
 	}
 
@@ -53,15 +74,93 @@ function filterUniqueContracts(coops) {
 	return Object.values(uniqueContracts);
 }
 
+/**
+ * Builds the Wonky endpoint URL for a list of contracts, with a contract parameter per contract.
+ *
+ * @param {Array<string>} kevIDs - Contract identifiers.
+ * @returns {string} The endpoint URL.
+ */
+function buildMajEndpointUrl(kevIDs) {
+	let endpointLink = process.env.MAJ_ENDPOINT;
+
+	kevIDs.forEach((id, index) => {
+		endpointLink += index === 0 ? "?" : "&";
+		endpointLink += `contract=${encodeURIComponent(id)}`;
+	});
+
+	return endpointLink;
+}
+
+/**
+ * Fetches the Wonky data of contracts in chunks, so long contract lists don't make URLs that proxies
+ * reject and a failing request only loses its own chunk. Chunks are fetched one after another, each
+ * with the retries of fetchJSON, and every chunk reports its success or failure.
+ * Every response is checked against the Wonky schema, see schemas.js.
+ *
+ * @param {Array<string>} kevIDs - Contract identifiers to fetch.
+ * @param {number} chunkSize - Maximum number of contracts per request.
+ * @returns {Promise<Array<{ kevIDs: Array<string>, coops: Array<majCoopsObject>|null, error: Error|null }>>} The result of every chunk, coops is null if it failed.
+ * @throws {SchemaError} If a response doesn't match its schema in strict mode.
+ * @async
+ */
+async function fetchMajCoopChunks(kevIDs, chunkSize) {
+	const chunks = [];
+	for (let i = 0; i < kevIDs.length; i += chunkSize) {
+		chunks.push(kevIDs.slice(i, i + chunkSize));
+	}
+
+	const results = [];
+	for (let i = 0; i < chunks.length; i++) {
+		const chunk = chunks[i];
+		try {
+			// Fetch data from the endpoint, retrying rate limits and server errors
+			const coops = await fetchJSON(
+				buildMajEndpointUrl(chunk),
+				{},
+				{ endpoint: "Wonky" }
+			);
+			validateResponse(
+				"Wonky",
+				coops,
+				`Wonky chunk ${i + 1}/${chunks.length}`
+			);
+			if (!Array.isArray(coops)) {
+				throw new Error("Response is not an array");
+			}
+			recordWonkyResponse(coops);
+
+			logger.info(
+				`Wonky chunk ${i + 1}/${chunks.length}: ${coops.length} entries for ${chunk.length} contracts`
+			);
+			results.push({ kevIDs: chunk, coops, error: null });
+		} catch (error) {
+			// A changed response format fails every chunk, so it stops the run
+			if (error instanceof SchemaError) throw error;
+			logger.warn(
+				`Wonky chunk ${i + 1}/${chunks.length} failed for ${chunk.join(", ")}`,
+				{ stage: "wonky", error }
+			);
+			results.push({ kevIDs: chunk, coops: null, error });
+		}
+	}
+
+	return results;
+}
+
 /**
  * Fetches cooperative data for multiple contract IDs and returns only the latest entry for each unique contract.
+ * Contracts that still have running coops (activeCoops) are included, see processCoopsWithRateLimiting.
  *
  * @param {Array<string>} kevIDs - Array of contract identifiers to fetch
- * @returns {Promise<Array<majCoopsObject>>} Promise resolving to an array of unique cooperative objects
- * @throws {Error} If fetch fails, response is not valid JSON, or if kevIDs is not an array
+ * @param {Object} [options={}] - Fetch options.
+ * @param {boolean} [options.keepRuns=false] - Keep every run of a contract, see filterUniqueContracts.
+ * @param {number} [options.chunkSize=25] - Maximum number of contracts per Wonky request, see fetchMajCoopChunks.
+ * @returns {Promise<Array<majCoopsObject>>} Promise resolving to an array of unique cooperative objects, without the contracts of failed chunks
+ * @throws {Error} If every chunk fails after all retries, or if kevIDs is not an array
+ * @throws {SchemaError} If a response doesn't match its schema in strict mode
  * @async
  */
-async function getMajCoops(kevIDs) {
+async function getMajCoops(kevIDs, options = {}) {
 	// Input validation
 	if (!Array.isArray(kevIDs)) {
 		throw new Error("Input must be an array of contract identifiers");
@@ -73,43 +172,36 @@ async function getMajCoops(kevIDs) {
 	}
 
 	try {
-		// Build endpoint URL with query parameters
-		let endpointLink = process.env.MAJ_ENDPOINT;
-
-		kevIDs.forEach((id, index) => {
-			endpointLink += index === 0 ? "?" : "&";
-			endpointLink += `contract=${encodeURIComponent(id)}`;
-		});
+		const { chunkSize = DEFAULT_CHUNK_SIZE } = options;
+		const results = await fetchMajCoopChunks(kevIDs, chunkSize);
 
-		// Fetch data from the endpoint
-		const response = await fetch(endpointLink);
-
-		// Check if the fetch was successful
-		if (!response.ok) {
-			throw new Error(`HTTP error! Status: ${response.status}`);
+		// A partial result is still used, only the contracts of failed chunks are missing
+		const failedResults = results.filter((result) => result.error);
+		if (failedResults.length > 0 && failedResults.length === results.length) {
+			throw failedResults[0].error;
 		}
+		if (failedResults.length > 0) {
+			const failedKevIDs = failedResults.flatMap((result) => result.kevIDs);
+			logger.warn(
+				`Continuing without the Wonky data of ${failedKevIDs.length} contracts: ${failedKevIDs.join(", ")}`
+			);
+		}
+		const coops = results.flatMap((result) => result.coops ?? []);
 
-		// Parse the JSON response
-		const coops = await response.json();
-
-		// Filter to keep only the highest startTime per unique contract
-		const uniqueCoops = filterUniqueContracts(coops);
+		// Filter to keep only the highest startTime per unique contract, or every run
+		const uniqueCoops = filterUniqueContracts(coops, options);
 
-		// Only return coops where activeCoops is false and log the rest
+		// Contracts with running coops are kept, their coops are checked one by one when processing
 		for (const coop of uniqueCoops) {
 			if (coop.activeCoops === true) {
-				console.log(
-					"Excluding: ",
-					coop.contract,
-					" because coops are still ongoing."
+				logger.info(
+					`Including: ${coop.contract} with ongoing coops, only its finished coops are processed.`
 				);
 			}
 		}
-		const activeUniqueCoops = uniqueCoops.filter(
-			(coop) => !coop.activeCoops
-		);
-		return activeUniqueCoops;
+		return uniqueCoops;
 	} catch (error) {
+		if (error instanceof SchemaError) throw error;
 		throw new Error(`Failed to fetch coop data: ${error.message}`);
 	}
 }
@@ -117,5 +209,6 @@ async function getMajCoops(kevIDs) {
 // Export the functions for use in other modules
 module.exports = {
 	filterUniqueContracts,
+	fetchMajCoopChunks,
 	getMajCoops,
 };
@@ -0,0 +1,115 @@
+const http = require("http");
+const fs = require("fs");
+
+const {
+	getEggCoopFixturePath,
+	getWonkyFixturePath,
+	readFixture,
+} = require("./fixtures");
+
+const WONKY_PATH = "/wonky";
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} response - The response to write to.
+ * @param {number} status - HTTP status code.
+ * @param {*} body - The response body.
+ */
+function sendJson(response, status, body) {
+	response.writeHead(status, { "Content-Type": "application/json" });
+	response.end(JSON.stringify(body));
+}
+
+/**
+ * Answers a Wonky request by merging the recorded entries of every requested contract.
+ * Contracts without a fixture are left out, like the real endpoint does for unknown contracts.
+ *
+ * @param {string} fixturesDir - The fixtures directory.
+ * @param {URLSearchParams} searchParams - The query parameters of the request.
+ * @returns {Array<majCoopsObject>} The merged entries.
+ */
+function getWonkyResponse(fixturesDir, searchParams) {
+	const majCoopsObjects = [];
+	for (const kevID of searchParams.getAll("contract")) {
+		const entries = readFixture(getWonkyFixturePath(fixturesDir, kevID));
+		if (entries) majCoopsObjects.push(...entries);
+	}
+	return majCoopsObjects;
+}
+
+/**
+ * Creates a local HTTP server that mimics the EggCoop API and the Wonky endpoint from recorded fixtures.
+ * EggCoop paths are served under `/api/...`, the Wonky endpoint under `/wonky?contract=...`.
+ * Paths without a fixture get a 404, like unknown paths on the real API.
+ *
+ * @param {string} fixturesDir - Directory with fixtures recorded with --record.
+ * @returns {http.Server} The server, not yet listening.
+ * @throws {Error} If the fixtures directory doesn't exist.
+ */
+function createMockServer(fixturesDir) {
+	if (!fs.existsSync(fixturesDir)) {
+		throw new Error(`Fixtures directory ${fixturesDir} does not exist`);
+	}
+
+	return http.createServer((request, response) => {
+		const { pathname, searchParams } = new URL(
+			request.url,
+			"http://localhost"
+		);
+
+		if (request.method !== "GET") {
+			sendJson(response, 405, { error: "Method not allowed" });
+			return;
+		}
+
+		try {
+			if (pathname === WONKY_PATH) {
+				sendJson(response, 200, getWonkyResponse(fixturesDir, searchParams));
+				return;
+			}
+
+			if (pathname.startsWith("/api/")) {
+				const body = readFixture(
+					getEggCoopFixturePath(fixturesDir, pathname)
+				);
+				if (body !== undefined) {
+					sendJson(response, 200, body);
+					return;
+				}
+			}
+
+			sendJson(response, 404, { error: `No fixture for ${pathname}` });
+		} catch (error) {
+			sendJson(response, 500, { error: error.message });
+		}
+	});
+}
+
+/**
+ * Starts a mock server and returns the base URLs to point the pipeline at.
+ *
+ * @param {string} fixturesDir - Directory with fixtures recorded with --record.
+ * @param {number} [port=0] - Port to listen on, 0 for a random free port.
+ * @returns {Promise<{ server: http.Server, eggCoopBaseURL: string, majEndpoint: string }>} The listening server and its URLs.
+ */
+async function startMockServer(fixturesDir, port = 0) {
+	const server = createMockServer(fixturesDir);
+
+	await new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(port, "127.0.0.1", resolve);
+	});
+
+	const baseURL = `http://127.0.0.1:${server.address().port}`;
+	return {
+		server,
+		eggCoopBaseURL: baseURL,
+		majEndpoint: baseURL + WONKY_PATH,
+	};
+}
+
+module.exports = {
+	createMockServer,
+	startMockServer,
+};
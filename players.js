@@ -0,0 +1,376 @@
+const fs = require("fs");
+
+const { writeFileAtomic } = require("./atomicWrite");
+
+/**
+ * The player registry links the userData entries of all coops to stable player keys, so renamed
+ * players aren't split into several players. It is stored as JSON:
+ *
+ * - `players`: player key to `{ displayName, names, eiUuids, wonkyNames }`. The key is the first eiUuid
+ *   the player was seen with, or `name:<userName>` for players EggCoop doesn't know the eiUuid of.
+ * - `merged`: player keys that were merged into another player, to the key they were merged into.
+ * - `separate`: pairs of player keys that were reviewed and are not the same player.
+ *
+ * Users are linked automatically when they share an eiUuid, or when a user without eiUuid has the
+ * name of exactly one known player. Users without eiUuid and name can't be linked and aren't
+ * registered, see isAnonymousUser. Wonky names that match no contributor of a coop are kept as
+ * aliases of the one contributor that isn't on the Wonky list. Players that share a name or alias
+ * without being linked are suspected duplicates, to be reviewed with the players command.
+ */
+
+const UNKNOWN = "unknown";
+
+let registryPath = null;
+let registry = createEmptyRegistry();
+let indexes = buildIndexes(registry);
+
+/**
+ * Creates a registry without players.
+ *
+ * @returns {{ players: Object, merged: Object, separate: Array<string[]> }} The registry.
+ */
+function createEmptyRegistry() {
+	return { players: {}, merged: {}, separate: [] };
+}
+
+/**
+ * Normalizes a name for comparisons: trimmed and lowercase.
+ *
+ * @param {string} name - A user or Wonky name.
+ * @returns {string} The normalized name.
+ */
+function normalizeName(name) {
+	return String(name).trim().toLowerCase();
+}
+
+/**
+ * Builds the lookup indexes of a registry.
+ *
+ * @param {Object} registry - The registry.
+ * @returns {{ byEiUuid: Map<string, string>, byName: Map<string, Set<string>> }} Player key per eiUuid, player keys per exact userName.
+ */
+function buildIndexes(registry) {
+	const byEiUuid = new Map();
+	const byName = new Map();
+	for (const [key, player] of Object.entries(registry.players)) {
+		for (const eiUuid of player.eiUuids) byEiUuid.set(eiUuid, key);
+		for (const name of player.names) addToIndex(byName, name, key);
+	}
+	return { byEiUuid, byName };
+}
+
+/**
+ * Adds a player key to a name index.
+ *
+ * @param {Map<string, Set<string>>} index - The index.
+ * @param {string} name - The name.
+ * @param {string} key - The player key.
+ */
+function addToIndex(index, name, key) {
+	if (!index.has(name)) index.set(name, new Set());
+	index.get(name).add(key);
+}
+
+/**
+ * Loads the player registry used for assigning player keys.
+ *
+ * @param {Object} options - Registry options.
+ * @param {string} options.filePath - Path of the registry file. It is created by savePlayerRegistry if it doesn't exist yet.
+ * @throws {Error} If the file exists but isn't a valid registry.
+ */
+function configurePlayerRegistry(options) {
+	registryPath = options.filePath;
+	registry = createEmptyRegistry();
+	if (fs.existsSync(registryPath)) {
+		const stored = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+		if (!stored || typeof stored.players !== "object") {
+			throw new Error(`${registryPath} is not a player registry`);
+		}
+		registry = { ...registry, ...stored };
+	}
+	indexes = buildIndexes(registry);
+}
+
+/**
+ * Writes the player registry back to its file.
+ */
+function savePlayerRegistry() {
+	if (!registryPath) return;
+	writeFileAtomic(registryPath, JSON.stringify(registry, null, 2));
+}
+
+/**
+ * Adds a value to a list if it isn't in it yet.
+ *
+ * @param {Array<string>} list - The list.
+ * @param {string} value - The value.
+ * @returns {boolean} True if the value was added.
+ */
+function addUnique(list, value) {
+	if (list.includes(value)) return false;
+	list.push(value);
+	return true;
+}
+
+/**
+ * Follows merges to the player key that is in use now.
+ *
+ * @param {string} key - A player key, possibly of a merged player.
+ * @returns {string} The current player key.
+ */
+function resolvePlayerKey(key) {
+	const seen = new Set();
+	while (registry.merged[key] && !seen.has(key)) {
+		seen.add(key);
+		key = registry.merged[key];
+	}
+	return key;
+}
+
+/**
+ * Returns a player of the registry.
+ *
+ * @param {string} key - The player key, merged keys are resolved.
+ * @returns {Object|undefined} The player, if any.
+ */
+function getPlayer(key) {
+	return registry.players[resolvePlayerKey(key)];
+}
+
+/**
+ * Checks whether a user has neither an eiUuid nor a name. Scoring stores them as "unknown", so these
+ * users would all be linked to the same player.
+ *
+ * @param {{ eiUuid?: string, userName?: string }} user - A userData entry.
+ * @returns {boolean} True if the user can't be linked to a player.
+ */
+function isAnonymousUser(user) {
+	const hasEiUuid = !!user.eiUuid && user.eiUuid !== UNKNOWN;
+	const hasName = !!user.userName && user.userName !== UNKNOWN;
+	return !hasEiUuid && !hasName;
+}
+
+/**
+ * Finds the player key of a user without changing the registry.
+ *
+ * @param {{ eiUuid?: string, userName?: string }} user - A userData entry.
+ * @returns {string|null} The player key, or null if the user is anonymous, isn't known or the name is ambiguous.
+ */
+function findPlayerKey(user) {
+	if (isAnonymousUser(user)) return null;
+	if (user.eiUuid && user.eiUuid !== UNKNOWN) {
+		return indexes.byEiUuid.get(user.eiUuid) ?? null;
+	}
+	const keys = indexes.byName.get(user.userName);
+	return keys?.size === 1 ? [...keys][0] : null;
+}
+
+/**
+ * Links a user to a player, registering a new player if needed.
+ *
+ * @param {{ eiUuid?: string, userName?: string }} user - A userData entry.
+ * @returns {string|null} The player key, or null for an anonymous user, see isAnonymousUser.
+ */
+function linkUser(user) {
+	if (isAnonymousUser(user)) return null;
+	const hasEiUuid = !!user.eiUuid && user.eiUuid !== UNKNOWN;
+	const userName = user.userName || UNKNOWN;
+	let key = findPlayerKey(user);
+
+	if (!key && hasEiUuid) {
+		// A player that was only seen without eiUuid gets it once a coop shows it
+		const keys = [...(indexes.byName.get(userName) ?? [])];
+		const withoutEiUuid = keys.filter(
+			(candidate) => registry.players[candidate].eiUuids.length === 0
+		);
+		if (withoutEiUuid.length === 1) key = withoutEiUuid[0];
+	} else if (!key) {
+		// The name is ambiguous, use the player registered for it without eiUuid
+		const nameKey = resolvePlayerKey(`name:${userName}`);
+		if (registry.players[nameKey]) key = nameKey;
+	}
+
+	if (!key) {
+		key = hasEiUuid ? user.eiUuid : `name:${userName}`;
+		// A name key can be taken by a player that got an eiUuid later
+		while (registry.players[key] || registry.merged[key]) key += "+";
+		registry.players[key] = {
+			displayName: userName,
+			names: [],
+			eiUuids: [],
+			wonkyNames: [],
+		};
+	}
+
+	const player = registry.players[key];
+	player.displayName = userName;
+	if (addUnique(player.names, userName)) {
+		addToIndex(indexes.byName, userName, key);
+	}
+	if (hasEiUuid && addUnique(player.eiUuids, user.eiUuid)) {
+		indexes.byEiUuid.set(user.eiUuid, key);
+	}
+	return key;
+}
+
+/**
+ * Links the users of a coop record to players and stores their player key in userData as playerKey.
+ * Anonymous users don't get one. If exactly one Wonky name matches no contributor and exactly one
+ * contributor isn't on the Wonky list, the Wonky name is added as an alias of that contributor's player.
+ *
+ * @param {Object} record - A processed coop record.
+ */
+function assignPlayerKeys(record) {
+	const userData = record.userData ?? [];
+	for (const user of userData) {
+		const playerKey = linkUser(user);
+		if (playerKey) user.playerKey = playerKey;
+	}
+
+	const wonkyNames = Array.isArray(record.majCoopData?.users)
+		? record.majCoopData.users.filter((name) => typeof name === "string")
+		: [];
+	if (wonkyNames.length === 0) return;
+
+	const contributorNames = new Set(userData.map((user) => normalizeName(user.userName)));
+	const wonkyNameSet = new Set(wonkyNames.map(normalizeName));
+	const unmatchedWonkyNames = wonkyNames.filter(
+		(name) => !contributorNames.has(normalizeName(name))
+	);
+	const unmatchedUsers = userData.filter(
+		(user) => !wonkyNameSet.has(normalizeName(user.userName))
+	);
+	if (
+		unmatchedWonkyNames.length === 1 &&
+		unmatchedUsers.length === 1 &&
+		unmatchedUsers[0].playerKey
+	) {
+		addUnique(
+			registry.players[unmatchedUsers[0].playerKey].wonkyNames,
+			unmatchedWonkyNames[0]
+		);
+	}
+}
+
+/**
+ * Checks whether two players were reviewed as not being the same player.
+ *
+ * @param {string} keyA - A player key.
+ * @param {string} keyB - Another player key.
+ * @returns {boolean} True if they were marked as separate.
+ */
+function areKeptSeparate(keyA, keyB) {
+	return registry.separate.some(
+		([a, b]) =>
+			(resolvePlayerKey(a) === keyA && resolvePlayerKey(b) === keyB) ||
+			(resolvePlayerKey(a) === keyB && resolvePlayerKey(b) === keyA)
+	);
+}
+
+/**
+ * Finds players that might be the same person: players sharing a name or Wonky alias, ignoring case
+ * and whitespace. Pairs that were reviewed as separate are left out.
+ *
+ * @returns {Array<{ keyA: string, keyB: string, reason: string }>} The suspected duplicates.
+ */
+function getSuspectedDuplicates() {
+	const keysByName = new Map();
+	for (const [key, player] of Object.entries(registry.players)) {
+		for (const name of [...player.names, ...player.wonkyNames]) {
+			if (name === UNKNOWN) continue;
+			addToIndex(keysByName, normalizeName(name), key);
+		}
+	}
+
+	const suspects = new Map();
+	for (const [name, keys] of keysByName) {
+		const sortedKeys = [...keys].sort();
+		for (let i = 0; i < sortedKeys.length; i++) {
+			for (let j = i + 1; j < sortedKeys.length; j++) {
+				const [keyA, keyB] = [sortedKeys[i], sortedKeys[j]];
+				const pairKey = `${keyA}\n${keyB}`;
+				if (suspects.has(pairKey) || areKeptSeparate(keyA, keyB)) continue;
+				suspects.set(pairKey, { keyA, keyB, reason: `shared name "${name}"` });
+			}
+		}
+	}
+	return [...suspects.values()];
+}
+
+/**
+ * Merges players into the first one. The merged keys keep resolving to it, see resolvePlayerKey.
+ *
+ * @param {string[]} keys - Player keys, the first is kept.
+ * @throws {Error} If fewer than two players are given or a player doesn't exist.
+ */
+function mergePlayers(keys) {
+	const resolvedKeys = [...new Set(keys.map(resolvePlayerKey))];
+	for (const key of resolvedKeys) {
+		if (!registry.players[key]) throw new Error(`Unknown player ${key}`);
+	}
+	if (resolvedKeys.length < 2) {
+		throw new Error("Merging needs at least two different players");
+	}
+
+	const [targetKey, ...otherKeys] = resolvedKeys;
+	const target = registry.players[targetKey];
+	for (const key of otherKeys) {
+		const player = registry.players[key];
+		for (const name of player.names) addUnique(target.names, name);
+		for (const eiUuid of player.eiUuids) addUnique(target.eiUuids, eiUuid);
+		for (const name of player.wonkyNames) addUnique(target.wonkyNames, name);
+		delete registry.players[key];
+		registry.merged[key] = targetKey;
+	}
+	indexes = buildIndexes(registry);
+}
+
+/**
+ * Marks players as reviewed and not the same, so they aren't suspected duplicates anymore.
+ *
+ * @param {string[]} keys - Player keys that are all different players.
+ * @throws {Error} If fewer than two players are given or a player doesn't exist.
+ */
+function keepPlayersSeparate(keys) {
+	const resolvedKeys = [...new Set(keys.map(resolvePlayerKey))];
+	for (const key of resolvedKeys) {
+		if (!registry.players[key]) throw new Error(`Unknown player ${key}`);
+	}
+	if (resolvedKeys.length < 2) {
+		throw new Error("Keeping players separate needs at least two different players");
+	}
+
+	for (let i = 0; i < resolvedKeys.length; i++) {
+		for (let j = i + 1; j < resolvedKeys.length; j++) {
+			if (!areKeptSeparate(resolvedKeys[i], resolvedKeys[j])) {
+				registry.separate.push([resolvedKeys[i], resolvedKeys[j]]);
+			}
+		}
+	}
+}
+
+/**
+ * Returns the number of players and merged player keys in the registry.
+ *
+ * @returns {{ players: number, merged: number }} The registry counts.
+ */
+function getPlayerRegistryStats() {
+	return {
+		players: Object.keys(registry.players).length,
+		merged: Object.keys(registry.merged).length,
+	};
+}
+
+module.exports = {
+	configurePlayerRegistry,
+	savePlayerRegistry,
+	resolvePlayerKey,
+	getPlayer,
+	isAnonymousUser,
+	findPlayerKey,
+	assignPlayerKeys,
+	getSuspectedDuplicates,
+	mergePlayers,
+	keepPlayersSeparate,
+	getPlayerRegistryStats,
+};
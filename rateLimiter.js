@@ -0,0 +1,160 @@
+/**
+ * Token bucket rate limiter with a cap on the number of tasks in flight.
+ * Tokens refill continuously at `requestsPerSecond`, up to `burst` tokens. Every scheduled task
+ * takes one token when it starts, and at most `maxInFlight` tasks run at the same time.
+ */
+class RateLimiter {
+	/**
+	 * @param {Object} [options={}] - Limiter options.
+	 * @param {number} [options.requestsPerSecond=10] - Maximum average number of tasks started per second.
+	 * @param {number} [options.maxInFlight=20] - Maximum number of tasks running at the same time.
+	 * @param {number} [options.burst] - Bucket size, i.e. how many tasks may start at once after idling (default: requestsPerSecond, at least 1).
+	 * @param {number} [options.throughputWindowMs=10000] - Window over which the live throughput is measured.
+	 */
+	constructor(options = {}) {
+		this.queue = [];
+		this.inFlight = 0;
+		this.completed = 0;
+		this.failed = 0;
+		this.completionTimes = [];
+		this.startedAt = null;
+		this.timer = null;
+		this.throughputWindowMs = options.throughputWindowMs ?? 10000;
+		this.configure({ requestsPerSecond: 10, maxInFlight: 20, ...options });
+		this.lastRefill = Date.now();
+	}
+
+	/**
+	 * Changes the limits. Options that are undefined keep their current value.
+	 *
+	 * @param {Object} options - See the constructor.
+	 */
+	configure({ requestsPerSecond, maxInFlight, burst }) {
+		if (requestsPerSecond !== undefined) {
+			this.requestsPerSecond = requestsPerSecond;
+		}
+		if (maxInFlight !== undefined) this.maxInFlight = maxInFlight;
+		if (burst !== undefined) this.burstOption = burst;
+		this.burst = this.burstOption ?? Math.max(1, this.requestsPerSecond);
+		this.tokens = Math.min(this.tokens ?? this.burst, this.burst);
+	}
+
+	/**
+	 * Runs a task as soon as a token and an in-flight slot are available.
+	 *
+	 * @template T
+	 * @param {() => Promise<T>} task - The task to run.
+	 * @returns {Promise<T>} Resolves or rejects with the result of the task.
+	 */
+	schedule(task) {
+		return new Promise((resolve, reject) => {
+			this.queue.push({ task, resolve, reject });
+			this.drain();
+		});
+	}
+
+	/**
+	 * Adds the tokens earned since the last refill.
+	 */
+	refill() {
+		const now = Date.now();
+		const earned = ((now - this.lastRefill) / 1000) * this.requestsPerSecond;
+		this.tokens = Math.min(this.burst, this.tokens + earned);
+		this.lastRefill = now;
+	}
+
+	/**
+	 * Starts as many queued tasks as the limits allow, and sets a timer for when the next token is available.
+	 */
+	drain() {
+		this.refill();
+
+		while (
+			this.queue.length > 0 &&
+			this.inFlight < this.maxInFlight &&
+			this.tokens >= 1
+		) {
+			this.tokens -= 1;
+			this.run(this.queue.shift());
+		}
+
+		if (
+			this.queue.length > 0 &&
+			this.inFlight < this.maxInFlight &&
+			!this.timer
+		) {
+			const waitMs = ((1 - this.tokens) / this.requestsPerSecond) * 1000;
+			this.timer = setTimeout(() => {
+				this.timer = null;
+				this.drain();
+			}, Math.ceil(waitMs));
+		}
+	}
+
+	/**
+	 * Runs a single queued task and frees its slot when it settles.
+	 *
+	 * @param {{ task: Function, resolve: Function, reject: Function }} entry - The queued task.
+	 */
+	async run({ task, resolve, reject }) {
+		this.startedAt ??= Date.now();
+		this.inFlight++;
+		try {
+			resolve(await task());
+			this.completed++;
+		} catch (error) {
+			reject(error);
+			this.failed++;
+		} finally {
+			this.inFlight--;
+			this.completionTimes.push(Date.now());
+			this.pruneCompletionTimes();
+			this.drain();
+		}
+	}
+
+	/**
+	 * Drops completion times that fall outside the throughput window.
+	 */
+	pruneCompletionTimes() {
+		const windowStart = Date.now() - this.throughputWindowMs;
+		while (
+			this.completionTimes.length > 0 &&
+			this.completionTimes[0] < windowStart
+		) {
+			this.completionTimes.shift();
+		}
+	}
+
+	/**
+	 * Returns counters and the measured throughput.
+	 *
+	 * @returns {{ completed: number, failed: number, inFlight: number, queued: number, throughput: number, averageThroughput: number }}
+	 *          `throughput` is the number of finished tasks per second over the last window,
+	 *          `averageThroughput` since the first task started.
+	 */
+	getStats() {
+		this.pruneCompletionTimes();
+
+		const runningMs = this.startedAt ? Date.now() - this.startedAt : 0;
+		const windowSeconds = Math.min(this.throughputWindowMs, runningMs) / 1000;
+		const lifetimeSeconds = runningMs / 1000;
+
+		return {
+			completed: this.completed,
+			failed: this.failed,
+			inFlight: this.inFlight,
+			queued: this.queue.length,
+			throughput:
+				windowSeconds > 0 ? this.completionTimes.length / windowSeconds : 0,
+			averageThroughput:
+				lifetimeSeconds > 0
+					? (this.completed + this.failed) / lifetimeSeconds
+					: 0,
+		};
+	}
+}
+
+module.exports = {
+	RateLimiter,
+};
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Coop rosters are local lists of coops, e.g. kept by an alliance group. A roster is either:
+ *
+ * - a JSON file with the shape of coopList.json: `[{ "contract": "<kevID>", "startTime": "<optional>", "coops": [{ "code", "grade", "users": [] }] }]`
+ * - a CSV file with a header row and one coop per row. The columns are `contract`, `code`, `grade`,
+ *   `users` (separated by `;`) and optionally `startTime`, in any order.
+ */
+
+const CSV_COLUMNS = ["contract", "code", "grade", "users"];
+
+/**
+ * Parses CSV text into rows of fields. Fields may be quoted, with `""` for a quote inside them.
+ *
+ * @param {string} text - The CSV content.
+ * @returns {Array<string[]>} The rows, without empty lines.
+ */
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	row.push(field);
+	rows.push(row);
+
+	return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Reads a CSV roster into majCoopsObjects, one per contract and start time.
+ *
+ * @param {string} text - The CSV content.
+ * @param {string} filePath - Path of the roster, used in error messages.
+ * @returns {Array<majCoopsObject>} The roster.
+ * @throws {Error} If a required column is missing or a row has no contract or code.
+ */
+function parseCsvRoster(text, filePath) {
+	const [header = [], ...rows] = parseCsv(text);
+	const columns = header.map((name) => name.trim());
+	for (const column of CSV_COLUMNS) {
+		if (!columns.includes(column)) {
+			throw new Error(`Roster ${filePath} has no ${column} column`);
+		}
+	}
+
+	const entries = new Map();
+	rows.forEach((fields, index) => {
+		const row = {};
+		columns.forEach((column, i) => (row[column] = (fields[i] ?? "").trim()));
+		if (!row.contract || !row.code) {
+			throw new Error(
+				`Roster ${filePath} row ${index + 2} needs a contract and a code`
+			);
+		}
+
+		const key = `${row.contract}\n${row.startTime ?? ""}`;
+		if (!entries.has(key)) {
+			entries.set(key, {
+				contract: row.contract,
+				...(row.startTime && { startTime: row.startTime }),
+				coops: [],
+			});
+		}
+		entries.get(key).coops.push({
+			code: row.code,
+			grade: row.grade,
+			users: row.users
+				.split(";")
+				.map((user) => user.trim())
+				.filter(Boolean),
+		});
+	});
+
+	return [...entries.values()];
+}
+
+/**
+ * Checks the majCoopsObjects of a JSON roster.
+ *
+ * @param {*} entries - The parsed JSON.
+ * @param {string} filePath - Path of the roster, used in error messages.
+ * @returns {Array<majCoopsObject>} The roster.
+ * @throws {Error} If the roster isn't an array of contracts with coops.
+ */
+function parseJsonRoster(entries, filePath) {
+	if (!Array.isArray(entries)) {
+		throw new Error(`Roster ${filePath} must contain an array`);
+	}
+	entries.forEach((entry, index) => {
+		if (!entry?.contract || !Array.isArray(entry.coops)) {
+			throw new Error(
+				`Roster ${filePath} entry ${index} needs a contract and a coops array`
+			);
+		}
+		entry.coops.forEach((coop, coopIndex) => {
+			if (!coop?.code) {
+				throw new Error(
+					`Roster ${filePath} entry ${index} coop ${coopIndex} needs a code`
+				);
+			}
+		});
+	});
+	return entries.map((entry) => ({
+		...entry,
+		coops: entry.coops.map((coop) => ({
+			...coop,
+			users: Array.isArray(coop.users) ? coop.users : [],
+		})),
+	}));
+}
+
+/**
+ * Reads a coop roster, see the formats at the top of this file. The format is taken from the extension.
+ *
+ * @param {string} filePath - Path of the .json or .csv roster.
+ * @returns {Array<majCoopsObject>} The contracts and coops of the roster.
+ * @throws {Error} If the file doesn't exist, has an unknown extension or is invalid.
+ */
+function readRoster(filePath) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Roster ${filePath} does not exist`);
+	}
+	const text = fs.readFileSync(filePath, "utf8");
+
+	switch (path.extname(filePath).toLowerCase()) {
+		case ".json":
+			return parseJsonRoster(JSON.parse(text), filePath);
+		case ".csv":
+			return parseCsvRoster(text, filePath);
+		default:
+			throw new Error(`Roster ${filePath} must be a .json or .csv file`);
+	}
+}
+
+module.exports = {
+	readRoster,
+};
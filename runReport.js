@@ -0,0 +1,309 @@
+const { writeFileAtomic } = require("./atomicWrite");
+const { hasGreenScroll } = require("./scoring");
+const { getCoopRecordKey, isCoopDurationProjected } = require("./tools");
+const { logger } = require("./logger");
+
+/**
+ * The run report tells whether the coops file can be trusted before standings are published. It is
+ * made at the end of the run, process and retry-failed commands, printed and written to runReport.json:
+ *
+ * `{ command, state, startedAt, finishedAt, durationMs, phases, requests, coops, dataQuality }`
+ *
+ * - `phases`: wall-clock time per phase of the command, `[{ name, durationMs }]`.
+ * - `requests`: per endpoint, the requests that were sent, served from the cache, the attempts
+ *   including retries, the requests that failed after all retries and the responses that didn't
+ *   match their schema, see schemas.js.
+ * - `coops`: the coops processed by this run, see processCoopsWithRateLimiting.
+ * - `dataQuality`: the issues of every record in the coops file, not only the ones of this run,
+ *   see checkDataQuality.
+ */
+
+// Number of coops or users printed per data quality issue, the report file lists all of them
+const PRINTED_EXAMPLES = 5;
+
+let report = null;
+let currentPhase = null;
+
+/**
+ * Starts a new run report, dropping the counts of an earlier one.
+ *
+ * @param {string} command - The command that is run.
+ */
+function startRunReport(command) {
+	report = {
+		command,
+		startedAt: new Date(),
+		phases: new Map(),
+		requests: new Map(),
+	};
+	currentPhase = null;
+}
+
+/**
+ * Ends the current phase and adds its time. A phase that is started again adds up.
+ */
+function endPhase() {
+	if (!report || !currentPhase) return;
+	const durationMs = Date.now() - currentPhase.startedAt;
+	report.phases.set(
+		currentPhase.name,
+		(report.phases.get(currentPhase.name) ?? 0) + durationMs
+	);
+	currentPhase = null;
+}
+
+/**
+ * Starts a phase of the run and ends the current one. Nothing is timed before startRunReport.
+ *
+ * @param {string} name - Name of the phase, e.g. "process coops".
+ */
+function startPhase(name) {
+	if (!report) return;
+	endPhase();
+	currentPhase = { name, startedAt: Date.now() };
+}
+
+/**
+ * Returns the counts of an endpoint, starting them if needed.
+ *
+ * @param {string} endpoint - The endpoint.
+ * @returns {{ requests: number, cached: number, attempts: number, failed: number, invalid: number }} The counts.
+ */
+function getEndpointCounts(endpoint) {
+	if (!report.requests.has(endpoint)) {
+		report.requests.set(endpoint, {
+			requests: 0,
+			cached: 0,
+			attempts: 0,
+			failed: 0,
+			invalid: 0,
+		});
+	}
+	return report.requests.get(endpoint);
+}
+
+/**
+ * Counts a request to an endpoint. Nothing is counted before startRunReport.
+ *
+ * @param {string} endpoint - The endpoint, without identifiers, e.g. "EggCoop /coop_contributor_uuids/:eiUuid".
+ * @param {Object} [outcome={}] - What happened to the request.
+ * @param {boolean} [outcome.cached=false] - Whether it was served from the cache instead of being sent.
+ * @param {number} [outcome.attempts=1] - Number of attempts that were sent, including retries.
+ * @param {boolean} [outcome.failed=false] - Whether it failed after all retries.
+ */
+function recordRequest(endpoint, outcome = {}) {
+	if (!report) return;
+	const { cached = false, attempts = 1, failed = false } = outcome;
+	const counts = getEndpointCounts(endpoint);
+	if (cached) {
+		counts.cached++;
+		return;
+	}
+	counts.requests++;
+	counts.attempts += attempts;
+	if (failed) counts.failed++;
+}
+
+/**
+ * Counts a response that didn't match its schema, see validateResponse. Nothing is counted before
+ * startRunReport.
+ *
+ * @param {string} endpoint - The endpoint.
+ */
+function recordInvalidResponse(endpoint) {
+	if (!report) return;
+	getEndpointCounts(endpoint).invalid++;
+}
+
+/**
+ * Finds the data quality issues of one record.
+ *
+ * @param {Object} record - A processed coop, as stored in the coops file.
+ * @returns {Object} The issues of the record, see checkDataQuality.
+ */
+function getRecordIssues(record) {
+	if (record.error) return { error: record.error };
+
+	const coopData = record.coopData ?? {};
+	const issues = {
+		notAllMembersReporting: coopData.allMembersReporting !== true,
+		noGreenScroll: !hasGreenScroll(coopData),
+		projectedDuration: isCoopDurationProjected(coopData),
+		users: (record.userData ?? []).length,
+		emptyBuffHistory: [],
+		userErrors: [],
+	};
+	for (const user of record.userData ?? []) {
+		const player = { eiUuid: user.eiUuid, userName: user.userName };
+		// Users whose metrics failed always have an empty buff history, they are listed as user errors
+		if (user.error) {
+			issues.userErrors.push({ ...player, error: user.error });
+		} else if (!user.buffHistory || user.buffHistory.length === 0) {
+			issues.emptyBuffHistory.push(player);
+		}
+	}
+	return issues;
+}
+
+/**
+ * Checks every record of a coops file for data that makes the scores less reliable:
+ *
+ * - `errorRecords`: coops that couldn't be processed, they have no scores at all.
+ * - `notAllMembersReporting`: coops where not every member reported to the server.
+ * - `noGreenScroll`: coops without the green scroll, see hasGreenScroll.
+ * - `projectedDuration`: coops that didn't reach their goal, so their duration is a projection, see getCoopDuration.
+ * - `emptyBuffHistory`: users without any buff history, so their buff value is 0.
+ * - `userErrors`: users whose metrics couldn't be calculated.
+ *
+ * Coops are listed by coop key, users as `{ coopKey, eiUuid, userName }`. Error records aren't
+ * checked for anything else, as they are processed again by the next run. `records` and `users`
+ * count the coops and users that were checked.
+ *
+ * @param {Object} store - The coop store, see storage.js.
+ * @returns {Object} `{ records, users, errorRecords, notAllMembersReporting, noGreenScroll, projectedDuration, emptyBuffHistory, userErrors }`.
+ */
+function checkDataQuality(store) {
+	// Later records replace earlier ones with the same key, so only the issues are kept until the end
+	const issuesByKey = new Map();
+	store.forEach((record) => {
+		const coopKey = getCoopRecordKey(record);
+		if (coopKey) issuesByKey.set(coopKey, getRecordIssues(record));
+	});
+
+	const dataQuality = {
+		records: issuesByKey.size,
+		users: 0,
+		errorRecords: [],
+		notAllMembersReporting: [],
+		noGreenScroll: [],
+		projectedDuration: [],
+		emptyBuffHistory: [],
+		userErrors: [],
+	};
+	for (const [coopKey, issues] of issuesByKey) {
+		if (issues.error) {
+			dataQuality.errorRecords.push({ coopKey, error: issues.error });
+			continue;
+		}
+		dataQuality.users += issues.users;
+		for (const issue of [
+			"notAllMembersReporting",
+			"noGreenScroll",
+			"projectedDuration",
+		]) {
+			if (issues[issue]) dataQuality[issue].push(coopKey);
+		}
+		for (const issue of ["emptyBuffHistory", "userErrors"]) {
+			dataQuality[issue].push(
+				...issues[issue].map((user) => ({ coopKey, ...user }))
+			);
+		}
+	}
+	return dataQuality;
+}
+
+/**
+ * Finishes the run report and writes it. The current phase ends.
+ *
+ * @param {string} filePath - Path of the report file.
+ * @param {Object} details - What the run did.
+ * @param {string} details.state - "finished" or "interrupted".
+ * @param {{ processed: number, total: number, pending: number }} details.coops - The coops of this run.
+ * @param {Object} details.dataQuality - The issues of the coops file, see checkDataQuality.
+ * @returns {Object} The report, see the top of this file.
+ */
+function saveRunReport(filePath, { state, coops, dataQuality }) {
+	endPhase();
+	const finishedAt = new Date();
+	const finished = {
+		command: report.command,
+		state,
+		startedAt: report.startedAt.toISOString(),
+		finishedAt: finishedAt.toISOString(),
+		durationMs: finishedAt - report.startedAt,
+		phases: [...report.phases].map(([name, durationMs]) => ({
+			name,
+			durationMs,
+		})),
+		requests: Object.fromEntries(report.requests),
+		coops,
+		dataQuality,
+	};
+	writeFileAtomic(filePath, JSON.stringify(finished, null, 2));
+	return finished;
+}
+
+/**
+ * Formats a list of coops or users for the console, with a few examples.
+ *
+ * @param {Array<string|{ coopKey: string, userName?: string }>} items - Coop keys, error records or users.
+ * @returns {string} E.g. "kev/abc, kev/def and 3 more".
+ */
+function formatExamples(items) {
+	const examples = items.slice(0, PRINTED_EXAMPLES).map((item) => {
+		if (typeof item === "string") return item;
+		return item.userName ? `${item.userName} in ${item.coopKey}` : item.coopKey;
+	});
+	const more = items.length - examples.length;
+	return examples.join(", ") + (more > 0 ? ` and ${more} more` : "");
+}
+
+/**
+ * Prints the run report: the phases and requests, and a warning per data quality issue.
+ *
+ * @param {Object} finished - The report, see saveRunReport.
+ * @param {string} filePath - Path of the report file.
+ */
+function printRunReport(finished, filePath) {
+	const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+	logger.info(
+		`Run report: ${finished.command} ${finished.state} in ${seconds(
+			finished.durationMs
+		)} (${finished.phases
+			.map((phase) => `${phase.name} ${seconds(phase.durationMs)}`)
+			.join(", ")})`
+	);
+	for (const [endpoint, counts] of Object.entries(finished.requests)) {
+		logger.info(
+			`  ${endpoint}: ${counts.requests} requests, ${counts.failed} failed, ${
+				counts.attempts - counts.requests
+			} retries, ${counts.cached} from the cache, ${counts.invalid} invalid`
+		);
+	}
+
+	const { dataQuality } = finished;
+	const coops = `${dataQuality.records} coops`;
+	const users = `${dataQuality.users} users`;
+	const issues = [
+		["errorRecords", coops, "couldn't be processed"],
+		["notAllMembersReporting", coops, "don't have all members reporting"],
+		["noGreenScroll", coops, "don't have the green scroll"],
+		["projectedDuration", coops, "have a projected duration"],
+		["emptyBuffHistory", users, "have an empty buff history"],
+		["userErrors", users, "have a metrics error"],
+	].filter(([issue]) => dataQuality[issue].length > 0);
+
+	if (issues.length === 0) {
+		logger.info(
+			`No data quality issues in the ${coops}, see ${filePath}`
+		);
+		return;
+	}
+	for (const [issue, total, description] of issues) {
+		const items = dataQuality[issue];
+		logger.warn(
+			`${items.length} of ${total} ${description}: ${formatExamples(items)}`
+		);
+	}
+	logger.info(`The full list is in ${filePath}`);
+}
+
+module.exports = {
+	startRunReport,
+	startPhase,
+	recordRequest,
+	recordInvalidResponse,
+	checkDataQuality,
+	saveRunReport,
+	printRunReport,
+};
@@ -0,0 +1,371 @@
+const { logger } = require("./logger");
+const { recordInvalidResponse } = require("./runReport");
+
+/**
+ * Schemas of the EggCoop and Wonky responses. Responses are checked where they enter the pipeline,
+ * in fetchEggCoopAPI and fetchMajCoopChunks, so a changed upstream field is reported by name instead
+ * of failing deep inside the scoring. A schema is a plain object:
+ *
+ * - `type`: "object", "array", "string", "number", "integer" or "boolean", or an array of them.
+ * - `optional`: the value may be missing. `nullable`: the value may be null.
+ * - `properties`: for objects, the schemas of the fields that are used. Other fields aren't checked.
+ * - `anyOf`: for objects, groups of fields of which at least one must be set.
+ * - `items` and `minItems`: for arrays, the schema of every item and the minimum length.
+ *
+ * In lenient mode, a response that doesn't match is reported as a warning and used anyway. In strict
+ * mode it is rejected with a SchemaError, see validateResponse.
+ */
+
+const SCHEMA_MODES = ["lenient", "strict"];
+
+// Number of issues in the message of a SchemaError, the error lists all of them
+const MAX_MESSAGE_ISSUES = 5;
+
+/**
+ * Error thrown by validateResponse in strict mode.
+ */
+class SchemaError extends Error {
+	/**
+	 * @param {string} message - Error message.
+	 * @param {Object} details - Error details.
+	 * @param {string} details.endpoint - The endpoint of the response, see getEggCoopEndpoint.
+	 * @param {Array<{ path: string, message: string }>} details.issues - Every field that doesn't match.
+	 */
+	constructor(message, { endpoint, issues }) {
+		super(message);
+		this.name = "SchemaError";
+		this.endpoint = endpoint;
+		this.issues = issues;
+	}
+}
+
+// EggCoop.Contract, an item of /contracts
+const CONTRACT_SCHEMA = {
+	type: "object",
+	properties: {
+		contractIdentifier: { type: "string" },
+		uuid: { type: "string" },
+		startTime: { type: "string" },
+		expirationTime: { type: "string" },
+		gradeSpecCollection: { type: "string" },
+		maxCoopSize: { type: "integer" },
+		minutesPerToken: { type: "number" },
+		chickenRunCooldownMinutes: { type: "number" },
+		leggacy: { type: "boolean", optional: true },
+		season: {
+			type: "object",
+			optional: true,
+			nullable: true,
+			properties: { eiSeasonId: { type: "string" } },
+		},
+	},
+};
+
+// The grade specs of a contract, see addGradeSpecs
+const GRADE_SPEC_COLLECTION_SCHEMA = {
+	type: "object",
+	properties: {
+		gradeSpecs: {
+			type: "array",
+			minItems: 1,
+			items: {
+				type: "object",
+				properties: {
+					grade: {
+						type: "object",
+						properties: { eiIdentifier: { type: "string" } },
+					},
+					lengthSeconds: { type: "integer" },
+					goalCollection: {
+						type: "object",
+						properties: {
+							goals: {
+								type: "array",
+								minItems: 1,
+								items: {
+									type: "object",
+									properties: { targetAmount: { type: "integer" } },
+								},
+							},
+						},
+					},
+				},
+			},
+		},
+	},
+};
+
+// EggCoop.Coop (EILib.CoopStatus), the latest status of a coop
+const COOP_STATUS_SCHEMA = {
+	type: "object",
+	properties: {
+		totalAmount: { type: "number" },
+		secondsRemaining: { type: "number" },
+		allGoalsAchieved: { type: "boolean" },
+		allMembersReporting: { type: "boolean" },
+		gracePeriodSecondsRemaining: { type: "number" },
+		secondsSinceAllGoalsAchieved: { type: "number", optional: true },
+		coopContributors: {
+			type: "array",
+			items: {
+				type: "object",
+				properties: {
+					// Contributors without eiUuid are scored without buff history
+					eiUuid: { type: "string", optional: true, nullable: true },
+					userName: { type: "string", optional: true, nullable: true },
+					contributionAmount: { type: "number" },
+					contributionRate: { type: "number", optional: true },
+					contributionRatePerSecond: { type: "number", optional: true },
+					offlineSeconds: { type: "number", optional: true },
+					farmInfo: { type: "object", optional: true, nullable: true },
+				},
+				anyOf: [["contributionRate", "contributionRatePerSecond"]],
+			},
+		},
+	},
+};
+
+// The buff history of a contributor, see addBuffHistory
+const CONTRIBUTOR_SCHEMA = {
+	type: "object",
+	properties: {
+		buffHistory: {
+			type: "array",
+			items: {
+				type: "object",
+				properties: {
+					server_time: { type: "number" },
+					egg_laying_buff: { type: "number" },
+					earnings_buff: { type: "number" },
+				},
+			},
+		},
+	},
+};
+
+// The coops registered to a contract, see getEggCoopCoopList
+const COOP_LISTING_SCHEMA = {
+	type: "array",
+	items: {
+		type: "object",
+		properties: {
+			code: { type: "string" },
+			grade: { type: "string" },
+			coopContributors: {
+				type: "array",
+				optional: true,
+				items: {
+					type: "object",
+					properties: { userName: { type: "string", nullable: true } },
+				},
+			},
+		},
+	},
+};
+
+// majCoopsObject, every contract of a Wonky response
+const MAJ_COOPS_SCHEMA = {
+	type: "array",
+	items: {
+		type: "object",
+		properties: {
+			contract: { type: "string" },
+			startTime: { type: ["string", "integer"] },
+			activeCoops: { type: "boolean", optional: true },
+			coops: {
+				type: "array",
+				items: {
+					type: "object",
+					properties: {
+						code: { type: "string" },
+						grade: { type: "string" },
+						users: {
+							type: "array",
+							optional: true,
+							items: { type: "string" },
+						},
+					},
+				},
+			},
+		},
+	},
+};
+
+// The schema of every endpoint, by its name in the run report
+const RESPONSE_SCHEMAS = {
+	"EggCoop /contracts": { type: "array", items: CONTRACT_SCHEMA },
+	"EggCoop /grade_spec_collections/:id": GRADE_SPEC_COLLECTION_SCHEMA,
+	"EggCoop /coops/:contract/:coop/statuses/latest": COOP_STATUS_SCHEMA,
+	"EggCoop /coop_contributor_uuids/:eiUuid": CONTRIBUTOR_SCHEMA,
+	"EggCoop /coops/:contract": COOP_LISTING_SCHEMA,
+	Wonky: MAJ_COOPS_SCHEMA,
+};
+
+const TYPE_CHECKS = {
+	object: (value) =>
+		typeof value === "object" && value !== null && !Array.isArray(value),
+	array: (value) => Array.isArray(value),
+	string: (value) => typeof value === "string",
+	number: (value) => typeof value === "number" && Number.isFinite(value),
+	integer: (value) => Number.isInteger(value),
+	boolean: (value) => typeof value === "boolean",
+};
+
+const TYPE_NAMES = {
+	object: "an object",
+	array: "an array",
+	string: "a string",
+	number: "a number",
+	integer: "an integer",
+	boolean: "a boolean",
+};
+
+const schemaOptions = {
+	mode: "lenient",
+};
+
+/**
+ * Sets whether invalid responses are used anyway or rejected.
+ *
+ * @param {Object} options - Schema options.
+ * @param {string} [options.mode] - "lenient" or "strict". Keeps the current mode if undefined.
+ * @throws {Error} If the mode is unknown.
+ */
+function configureSchemas(options) {
+	if (options.mode === undefined) return;
+	if (!SCHEMA_MODES.includes(options.mode)) {
+		throw new Error(
+			`Unknown schema mode "${options.mode}", expected one of: ${SCHEMA_MODES.join(", ")}`
+		);
+	}
+	schemaOptions.mode = options.mode;
+}
+
+/**
+ * Describes a value that doesn't match, for an issue message.
+ *
+ * @param {*} value - The value.
+ * @returns {string} E.g. `"12"` for a string, 12 for a number or "an object".
+ */
+function describeValue(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "an array";
+	if (typeof value === "object") return "an object";
+	const text = JSON.stringify(value) ?? String(value);
+	return text.length > 40 ? `${text.slice(0, 40)}...` : text;
+}
+
+/**
+ * Adds a field or array index to a path.
+ *
+ * @param {string} path - The path so far, empty for the response itself.
+ * @param {string|number} key - The field name or array index.
+ * @returns {string} E.g. "coopContributors[2].contributionRate".
+ */
+function joinPath(path, key) {
+	if (typeof key === "number") return `${path}[${key}]`;
+	return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Checks a value against a schema and collects what doesn't match.
+ *
+ * @param {*} value - The value to check.
+ * @param {Object} schema - The schema, see the top of this file.
+ * @param {string} path - Path of the value in the response.
+ * @param {Array<{ path: string, message: string }>} issues - Collects the issues.
+ */
+function checkValue(value, schema, path, issues) {
+	if (value === undefined) {
+		if (!schema.optional) issues.push({ path, message: "missing" });
+		return;
+	}
+	if (value === null && schema.nullable) return;
+
+	const types = [].concat(schema.type);
+	if (!types.some((type) => TYPE_CHECKS[type](value))) {
+		issues.push({
+			path,
+			message: `expected ${types
+				.map((type) => TYPE_NAMES[type])
+				.join(" or ")}, got ${describeValue(value)}`,
+		});
+		return;
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems && value.length < schema.minItems) {
+			issues.push({
+				path,
+				message: `expected at least ${schema.minItems} items, got ${value.length}`,
+			});
+		}
+		if (schema.items) {
+			value.forEach((item, index) =>
+				checkValue(item, schema.items, joinPath(path, index), issues)
+			);
+		}
+		return;
+	}
+
+	if (typeof value === "object") {
+		for (const [field, fieldSchema] of Object.entries(
+			schema.properties ?? {}
+		)) {
+			checkValue(value[field], fieldSchema, joinPath(path, field), issues);
+		}
+		for (const fields of schema.anyOf ?? []) {
+			if (fields.every((field) => value[field] == null)) {
+				issues.push({ path, message: `needs ${fields.join(" or ")}` });
+			}
+		}
+	}
+}
+
+/**
+ * Checks a response against the schema of its endpoint. Endpoints without a schema aren't checked.
+ * A response that doesn't match is counted in the run report, and then reported as a warning and
+ * returned in lenient mode, or rejected in strict mode.
+ *
+ * @param {string} endpoint - The endpoint, e.g. "EggCoop /contracts" or "Wonky", see RESPONSE_SCHEMAS.
+ * @param {*} body - The parsed response.
+ * @param {string} [source=endpoint] - What the response is, for the messages, e.g. the API path.
+ * @returns {*} The response.
+ * @throws {SchemaError} In strict mode, if the response doesn't match, naming the fields that don't.
+ */
+function validateResponse(endpoint, body, source = endpoint) {
+	const schema = RESPONSE_SCHEMAS[endpoint];
+	if (!schema) return body;
+
+	const issues = [];
+	checkValue(body, schema, "", issues);
+	if (issues.length === 0) return body;
+
+	recordInvalidResponse(endpoint);
+	const listed = issues
+		.slice(0, MAX_MESSAGE_ISSUES)
+		.map((issue) => `${issue.path || "response"}: ${issue.message}`);
+	if (issues.length > listed.length) {
+		listed.push(`${issues.length - listed.length} more`);
+	}
+	const error = new SchemaError(
+		`${source} doesn't match its schema: ${listed.join("; ")}`,
+		{ endpoint, issues }
+	);
+	if (schemaOptions.mode === "strict") throw error;
+
+	logger.warn("Using an invalid response in lenient schema mode", {
+		stage: "schema",
+		error,
+		issues,
+	});
+	return body;
+}
+
+module.exports = {
+	SCHEMA_MODES,
+	SchemaError,
+	RESPONSE_SCHEMAS,
+	configureSchemas,
+	validateResponse,
+};
@@ -0,0 +1,496 @@
+const { calculateBuffTimeValue, getCoopDuration } = require("./tools");
+
+const { getScoringModelForContract } = require("./scoringModels");
+
+const { getUserTeamworkData } = require("./teamworkData");
+
+const { analyzeBuffHistory } = require("./buffAnalysis");
+
+const { logger } = require("./logger");
+
+/**
+ * Calculates the scoring metrics of a coop from the stored data alone, without any API calls.
+ * This is what handleCoop runs after fetching, and what the recompute command runs on stored records.
+ * The formula itself comes from the scoring model of the contract, see scoringModels.js.
+ */
+
+/**
+ * Returns the most chicken runs and the highest token value a user can actually reach in a coop.
+ * Every run goes to another member, so a coop of n players allows n - 1 runs, and only as many as the
+ * run cooldown allows during the coop. Tokens arrive every minutesPerToken minutes, so short coops
+ * can't reach the highest token value either. Both are capped by the maximums of the scoring model.
+ *
+ * For example, fast-toys-2024 (maxCoopSize 5, chickenRunCooldownMinutes 180, minutesPerToken 60) with
+ * a coop of 200000 seconds (3333 minutes) and the v1 model (at most 6 runs and token value 10):
+ *
+ * - maxChickenRuns = min(6, 5 - 1, floor(3333 / 180) + 1 = 19) = 4
+ * - maxTokenValue = min(10, floor(3333 / 60) = 55) = 10
+ *
+ * Both are counts, like the chickenRuns and tokenValue terms of getTeamWork. The buff term is a ratio
+ * instead: calculateBuffTimeValue weighs every second by its buffs, so a 20% deflector for the whole
+ * coop is worth 200000 * 7.5 * 0.2 = 300000, and divided by the coop duration that is a buffRatio of
+ * 1.5. The upperTeamWork of v1 is then 0.19 * (5 * 1.5 + 4 + 10) / 19 + 1 = 1.215.
+ *
+ * @param {Object} scoringModel - The scoring model, see scoringModels.js.
+ * @param {EggCoop.Contract} contract - The contract.
+ * @param {number} coopDurationSeconds - How long the coop ran.
+ * @returns {{ maxChickenRuns: number, maxTokenValue: number }} The achievable maximums.
+ */
+function getAchievableTeamworkMaximums(scoringModel, contract, coopDurationSeconds) {
+	const coopDurationMinutes = coopDurationSeconds / 60;
+	let maxChickenRuns = scoringModel.maxChickenRuns;
+	let maxTokenValue = scoringModel.maxTokenValue;
+
+	if (Number.isInteger(contract.maxCoopSize) && contract.maxCoopSize > 0) {
+		maxChickenRuns = Math.min(maxChickenRuns, contract.maxCoopSize - 1);
+	}
+	if (contract.chickenRunCooldownMinutes > 0) {
+		// A run can be started right away and again after every cooldown
+		maxChickenRuns = Math.min(
+			maxChickenRuns,
+			Math.floor(coopDurationMinutes / contract.chickenRunCooldownMinutes) + 1
+		);
+	}
+	if (contract.minutesPerToken > 0) {
+		maxTokenValue = Math.min(
+			maxTokenValue,
+			Math.floor(coopDurationMinutes / contract.minutesPerToken)
+		);
+	}
+
+	return { maxChickenRuns, maxTokenValue };
+}
+
+/**
+ * Clamps a known teamwork value to the range that counts for the score.
+ *
+ * @param {number|null} value - The known value, or null if unknown.
+ * @param {number} max - The highest value that counts.
+ * @returns {number|null} The clamped value, or null if unknown.
+ */
+function clampTeamworkValue(value, max) {
+	if (value === null) return null;
+	return Math.min(Math.max(value, 0), max);
+}
+
+/**
+ * Checks whether a coop gets the green scroll: all goals were achieved and every member reported
+ * afterwards, or the grace period is over.
+ *
+ * @param {Object} eggCoopCoop - The egg coop data.
+ * @returns {boolean} True if the coop has the green scroll.
+ */
+function hasGreenScroll(eggCoopCoop) {
+	return (
+		(eggCoopCoop.allGoalsAchieved === true &&
+			eggCoopCoop.allMembersReporting === true) ||
+		eggCoopCoop.gracePeriodSecondsRemaining === 0
+	);
+}
+
+/**
+ * Builds the record of a coop that couldn't be processed.
+ *
+ * @param {string} message - The error message.
+ * @param {Object} eggCoopCoop - The egg coop data, if any.
+ * @param {Object} contract - The contract information, if any.
+ * @param {Object} majCoopCoop - The major coop data, if any.
+ * @returns {Object} The error record.
+ */
+function createCoopErrorRecord(message, eggCoopCoop, contract, majCoopCoop) {
+	return {
+		error: message,
+		coopData: eggCoopCoop || {},
+		contractData: contract || {},
+		majCoopData: majCoopCoop || {},
+		userData: [],
+	};
+}
+
+/**
+ * Calculates the scoring metrics for each user in the coop, with the scoring model of the contract.
+ * The contract must already have its grade specs, see addGradeSpecs.
+ *
+ * @param {Object} eggCoopCoop - The egg coop data containing contributors and achievement status.
+ * @param {Object} contract - The contract information, including grade specifications.
+ * @param {Object} majCoopCoop - The major coop data containing grade information.
+ * @returns {Object} The processed output containing coop, contract, and user data and the id of the scoring model, or an error record if critical data is missing. Player keys are assigned by the caller, see assignPlayerKeys.
+ */
+function calculateCoopRecord(eggCoopCoop, contract, majCoopCoop) {
+	// Added to every log message of this coop
+	const logContext = {
+		contract: contract?.contractIdentifier,
+		run: majCoopCoop?.run,
+		coop: majCoopCoop?.code,
+	};
+
+	try {
+		// Validate inputs
+		if (!eggCoopCoop) throw new Error("Missing egg coop data");
+		if (!contract) throw new Error("Missing contract data");
+		if (!majCoopCoop) throw new Error("Missing major coop data");
+
+		const scoringModel = getScoringModelForContract(contract);
+
+		let output = {
+			coopData: eggCoopCoop,
+			contractData: contract,
+			majCoopData: majCoopCoop,
+			scoringModel: scoringModel.id,
+			userData: [],
+		};
+
+		// Process grade information
+		if (!majCoopCoop.grade) {
+			throw new Error("Missing grade information in majCoopCoop");
+		}
+
+		const gradeShortString = majCoopCoop.grade;
+		const coopGrade = "GRADE_" + gradeShortString.toUpperCase();
+
+		const gradeMultiplier =
+			scoringModel.gradeMultipliers[gradeShortString.toLowerCase()];
+		if (!gradeMultiplier) {
+			throw new Error(`Unknown grade: ${gradeShortString}`);
+		}
+
+		// Extract contract specifications
+		let contractFarmMaximumTimeAllowedSeconds = null;
+		let contractMainGoal = null;
+
+		// Find the appropriate grade specification
+		const gradeSpecs = contract.gradeSpecs || [];
+		for (const gradeSpec of gradeSpecs) {
+			if (gradeSpec.grade && gradeSpec.grade.eiIdentifier === coopGrade) {
+				if (
+					!gradeSpec.goalCollection ||
+					!gradeSpec.goalCollection.goals ||
+					!gradeSpec.goalCollection.goals.length
+				) {
+					throw new Error(
+						`Invalid goal collection for grade ${coopGrade}`
+					);
+				}
+
+				const goalsAmount = gradeSpec.goalCollection.goals.length;
+				contractMainGoal =
+					gradeSpec.goalCollection.goals[goalsAmount - 1]
+						.targetAmount;
+
+				if (!Number.isInteger(gradeSpec.lengthSeconds)) {
+					throw new Error("Contract length must be an integer");
+				}
+
+				contractFarmMaximumTimeAllowedSeconds = gradeSpec.lengthSeconds;
+				break;
+			}
+		}
+
+		if (
+			contractFarmMaximumTimeAllowedSeconds === null ||
+			contractMainGoal === null
+		) {
+			throw new Error(
+				`Could not find grade specification for grade ${coopGrade}`
+			);
+		}
+
+		// Determine green scroll status
+		const greenScroll = hasGreenScroll(eggCoopCoop);
+
+		// Calculate coop duration
+		let coopDurationSeconds;
+		try {
+			coopDurationSeconds = getCoopDuration(
+				eggCoopCoop,
+				contractFarmMaximumTimeAllowedSeconds,
+				contractMainGoal
+			);
+		} catch (error) {
+			logger.debug("Error calculating coop duration", {
+				...logContext,
+				stage: "coop-record",
+				error,
+			});
+			throw new Error(
+				`Failed to calculate coop duration: ${error.message}`
+			);
+		}
+
+		const { maxChickenRuns, maxTokenValue } = getAchievableTeamworkMaximums(
+			scoringModel,
+			contract,
+			coopDurationSeconds
+		);
+
+		// Calculate base points
+		const basePoints = scoringModel.getBasePoints(
+			contractFarmMaximumTimeAllowedSeconds,
+			gradeMultiplier
+		);
+
+		// Process each user's data
+		if (
+			!eggCoopCoop.coopContributors ||
+			!Array.isArray(eggCoopCoop.coopContributors)
+		) {
+			throw new Error("Missing or invalid coop contributors");
+		}
+
+		for (const user of eggCoopCoop.coopContributors) {
+			try {
+				if (!user) {
+					logger.warn("Skipping undefined user", {
+						...logContext,
+						stage: "user-metrics",
+					});
+					continue;
+				}
+
+				// Calculate buff value
+				const buffHistory = user.buffHistory || [];
+				let buffValue;
+				try {
+					buffValue = calculateBuffTimeValue(
+						buffHistory,
+						eggCoopCoop.secondsSinceAllGoalsAchieved || 0,
+						scoringModel.buffWeights
+					);
+				} catch (buffError) {
+					logger.debug("Error calculating buff value", {
+						...logContext,
+						eiUuid: user.eiUuid,
+						stage: "user-metrics",
+						error: buffError,
+					});
+					throw new Error(
+						`Failed to calculate buff value: ${buffError.message}`
+					);
+				}
+
+				// Break the buff history down for coaching, the coop started this many seconds ago
+				const buffAnalysis = analyzeBuffHistory(
+					buffHistory,
+					eggCoopCoop.secondsSinceAllGoalsAchieved || 0,
+					contractFarmMaximumTimeAllowedSeconds - eggCoopCoop.secondsRemaining
+				);
+
+				// Calculate contribution metrics
+				if (typeof user.contributionAmount !== "number") {
+					throw new Error(
+						`Invalid contribution amount for user ${
+							user.userName || "unknown"
+						}`
+					);
+				}
+
+				const eggsShipped = user.contributionAmount;
+
+				if (
+					!Number.isInteger(contractMainGoal) ||
+					!Number.isInteger(contract.maxCoopSize)
+				) {
+					throw new Error(
+						"Contract main goal and max coop size must be integers"
+					);
+				}
+
+				const contributionRatio =
+					eggsShipped / (contractMainGoal / contract.maxCoopSize);
+
+				let contributionFactor;
+				try {
+					contributionFactor =
+						scoringModel.getContributionFactor(contributionRatio);
+				} catch (factorError) {
+					logger.debug("Error calculating contribution factor", {
+						...logContext,
+						eiUuid: user.eiUuid,
+						stage: "user-metrics",
+						error: factorError,
+					});
+					throw new Error(
+						`Failed to calculate contribution factor: ${factorError.message}`
+					);
+				}
+
+				// Calculate time-related bonuses
+				const timeToCompleteFactor =
+					coopDurationSeconds / contractFarmMaximumTimeAllowedSeconds;
+
+				const completionTimeBonus =
+					scoringModel.getCompletionTimeBonus(timeToCompleteFactor);
+
+				// Use the chicken runs and token value where they are known from teamwork data
+				const teamworkData = getUserTeamworkData(
+					contract.contractIdentifier,
+					majCoopCoop.code,
+					user,
+					majCoopCoop.run
+				);
+				const chickenRuns = clampTeamworkValue(
+					teamworkData?.chickenRuns ?? null,
+					scoringModel.maxChickenRuns
+				);
+				const tokenValue = clampTeamworkValue(
+					teamworkData?.tokenValue ?? null,
+					scoringModel.maxTokenValue
+				);
+				const exactCS = chickenRuns !== null && tokenValue !== null;
+
+				// Calculate teamwork scores, with the fewest and with the most chicken runs and token value that are possible
+				const buffRatio = buffValue / coopDurationSeconds;
+				const teamWork = scoringModel.getTeamWork({
+					buffRatio,
+					chickenRuns: chickenRuns ?? 0,
+					tokenValue: tokenValue ?? 0,
+				});
+
+				const upperTeamWork = scoringModel.getTeamWork({
+					buffRatio,
+					chickenRuns: chickenRuns ?? maxChickenRuns,
+					tokenValue: tokenValue ?? maxTokenValue,
+				});
+
+				// Calculate final scores
+				const cs = scoringModel.getContractScore({
+					basePoints,
+					contributionFactor,
+					completionTimeBonus,
+					teamWork,
+				});
+
+				const upperCS = scoringModel.getContractScore({
+					basePoints,
+					contributionFactor,
+					completionTimeBonus,
+					teamWork: upperTeamWork,
+				});
+
+				// Add user data to output
+				output.userData.push({
+					eiUuid: user.eiUuid || "unknown",
+					userName: user.userName || "unknown",
+					eggsShipped,
+					contributionRatio,
+					contributionFactor,
+					completionTimeBonus,
+					timeToCompleteFactor,
+					contractFarmMaximumTimeAllowedSeconds,
+					contractMainGoal,
+					coopDurationSeconds,
+					greenScroll,
+					buffHistory,
+					buffValue,
+					buffAnalysis,
+					chickenRuns,
+					tokenValue,
+					maxChickenRuns,
+					maxTokenValue,
+					teamWork,
+					upperTeamWork,
+					cs,
+					upperCS,
+					exactCS,
+				});
+			} catch (userError) {
+				logger.error("Error processing user data", {
+					...logContext,
+					eiUuid: user.eiUuid || "unknown",
+					userName: user.userName || "unknown",
+					stage: "user-metrics",
+					error: userError,
+				});
+
+				// Add error record for this user
+				output.userData.push({
+					eiUuid: user.eiUuid || "unknown",
+					userName: user.userName || "unknown",
+					error: userError.message,
+					eggsShipped: user.contributionAmount || 0,
+					contributionRatio: 0,
+					contributionFactor: 0,
+					completionTimeBonus: 1,
+					timeToCompleteFactor: 1,
+					greenScroll,
+					buffHistory: [],
+					buffValue: 0,
+					teamWork: 1,
+					upperTeamWork: 1,
+					cs: 0,
+					upperCS: 0,
+				});
+			}
+		}
+
+		return output;
+	} catch (error) {
+		logger.error("Critical error in calculateCoopRecord", {
+			...logContext,
+			stage: "coop-record",
+			error,
+		});
+		// Return a structured error response
+		return createCoopErrorRecord(
+			error.message,
+			eggCoopCoop,
+			contract,
+			majCoopCoop
+		);
+	}
+}
+
+/**
+ * Checks whether a stored coop record has everything calculateCoopRecord needs, so its metrics can
+ * be recomputed offline. Records of coops whose status or grade specs couldn't be fetched can't.
+ *
+ * @param {Object} record - A stored coop record.
+ * @returns {boolean} True if the metrics can be recomputed.
+ */
+function canRecomputeCoopRecord(record) {
+	return (
+		Array.isArray(record?.coopData?.coopContributors) &&
+		Array.isArray(record?.contractData?.gradeSpecs) &&
+		!!record?.majCoopData?.code
+	);
+}
+
+/**
+ * Recalculates the userData of a stored coop record from its stored coop, contract and Wonky data.
+ * Other fields of the record are kept, except the scoring model, which is set to the model used now.
+ * Users keep the player key they were stored with, so the player registry isn't needed.
+ *
+ * @param {Object} record - A stored coop record, see canRecomputeCoopRecord.
+ * @returns {Object} The record with fresh userData, and an error if the calculation failed.
+ */
+function recomputeCoopRecord(record) {
+	const { error, userData, scoringModel, ...rest } = record;
+	const recomputed = {
+		...rest,
+		...calculateCoopRecord(
+			record.coopData,
+			record.contractData,
+			record.majCoopData
+		),
+	};
+
+	const playerKeys = new Map(
+		(userData ?? [])
+			.filter((user) => user.playerKey)
+			.map((user) => [`${user.eiUuid}\n${user.userName}`, user.playerKey])
+	);
+	for (const user of recomputed.userData) {
+		const playerKey = playerKeys.get(`${user.eiUuid}\n${user.userName}`);
+		if (playerKey) user.playerKey = playerKey;
+	}
+	return recomputed;
+}
+
+module.exports = {
+	getAchievableTeamworkMaximums,
+	hasGreenScroll,
+	createCoopErrorRecord,
+	calculateCoopRecord,
+	canRecomputeCoopRecord,
+	recomputeCoopRecord,
+};
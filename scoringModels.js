@@ -0,0 +1,183 @@
+const { calculateContributionFactor } = require("./tools");
+
+/**
+ * Scoring models hold every part of the contract score (CS) formula that Egg Inc may change.
+ * Each model has:
+ *
+ * - `id`: the version stored in every coop record it scored, e.g. "v1".
+ * - `description`: a short description for the help text.
+ * - `validFrom`: ISO date from which contracts use this model when models are selected automatically, null for the first model.
+ * - `gradeMultipliers`: multiplier per lowercase grade.
+ * - `buffWeights`: `{ deflector, siab }` weights of the buff time value, see calculateBuffTimeValue.
+ * - `maxChickenRuns` and `maxTokenValue`: the highest chicken runs and token value that count for teamwork.
+ * - `getBasePoints(contractLengthSeconds, gradeMultiplier)`
+ * - `getContributionFactor(contributionRatio)`
+ * - `getCompletionTimeBonus(timeToCompleteFactor)`
+ * - `getTeamWork({ buffRatio, chickenRuns, tokenValue })`
+ * - `getContractScore({ basePoints, contributionFactor, completionTimeBonus, teamWork })`
+ */
+
+const AUTO_SCORING_MODEL = "auto";
+
+const scoringModels = new Map();
+
+const scoringOptions = {
+	model: AUTO_SCORING_MODEL,
+};
+
+/**
+ * Adds a scoring model to the registry.
+ *
+ * @param {Object} model - The scoring model, see the model shape at the top of this file.
+ * @throws {Error} If the model has no id, its id is taken or a formula function is missing.
+ */
+function registerScoringModel(model) {
+	if (!model?.id || model.id === AUTO_SCORING_MODEL) {
+		throw new Error(`Invalid scoring model id: ${model?.id}`);
+	}
+	if (scoringModels.has(model.id)) {
+		throw new Error(`Scoring model ${model.id} is already registered`);
+	}
+	for (const name of [
+		"getBasePoints",
+		"getContributionFactor",
+		"getCompletionTimeBonus",
+		"getTeamWork",
+		"getContractScore",
+	]) {
+		if (typeof model[name] !== "function") {
+			throw new Error(`Scoring model ${model.id} is missing ${name}`);
+		}
+	}
+	scoringModels.set(model.id, model);
+}
+
+/**
+ * Returns the ids of all registered scoring models.
+ *
+ * @returns {string[]} The model ids, in registration order.
+ */
+function getScoringModelIds() {
+	return [...scoringModels.keys()];
+}
+
+/**
+ * Returns a registered scoring model.
+ *
+ * @param {string} id - The model id.
+ * @returns {Object} The scoring model.
+ * @throws {Error} If no model has this id.
+ */
+function getScoringModel(id) {
+	const model = scoringModels.get(id);
+	if (!model) {
+		throw new Error(
+			`Unknown scoring model "${id}", expected one of: ${getScoringModelIds().join(", ")}`
+		);
+	}
+	return model;
+}
+
+/**
+ * Sets the scoring options.
+ *
+ * @param {Object} options - Scoring options.
+ * @param {string} [options.model] - Id of the model to score every coop with, or "auto" to select it by contract start date (default: auto).
+ * @throws {Error} If the model is unknown.
+ */
+function configureScoring(options) {
+	if (options.model === undefined) return;
+	if (options.model !== AUTO_SCORING_MODEL) getScoringModel(options.model);
+	scoringOptions.model = options.model;
+}
+
+/**
+ * Returns the scoring model for a contract: the configured model, or in auto mode the model with the
+ * latest validFrom at or before the contract's start time.
+ *
+ * @param {EggCoop.Contract} contract - The contract.
+ * @returns {Object} The scoring model.
+ * @throws {Error} If no model is valid for the contract.
+ */
+function getScoringModelForContract(contract) {
+	if (scoringOptions.model !== AUTO_SCORING_MODEL) {
+		return getScoringModel(scoringOptions.model);
+	}
+
+	const getValidFrom = (model) =>
+		model.validFrom ? Date.parse(model.validFrom) : -Infinity;
+	// NaN if unknown, which never compares as later, so those contracts get the newest model
+	const startTime = Date.parse(contract?.startTime);
+
+	let selected = null;
+	for (const model of scoringModels.values()) {
+		if (getValidFrom(model) > startTime) continue;
+		if (!selected || getValidFrom(model) >= getValidFrom(selected)) {
+			selected = model;
+		}
+	}
+
+	if (!selected) {
+		throw new Error(
+			`No scoring model is valid for contracts starting at ${contract.startTime}`
+		);
+	}
+	return selected;
+}
+
+// The formula as it has been used since the start of this project
+registerScoringModel({
+	id: "v1",
+	description: "The current formula, with up to 6 chicken runs and a token value of 10",
+	validFrom: null,
+	gradeMultipliers: {
+		aaa: 7,
+		aa: 5,
+		a: 3.5,
+		b: 2,
+		c: 1,
+	},
+	buffWeights: {
+		deflector: 7.5,
+		siab: 0.75,
+	},
+	maxChickenRuns: 6,
+	maxTokenValue: 10,
+	getBasePoints(contractLengthSeconds, gradeMultiplier) {
+		return (1 + contractLengthSeconds / 259200) * gradeMultiplier;
+	},
+	getContributionFactor(contributionRatio) {
+		return calculateContributionFactor(contributionRatio);
+	},
+	getCompletionTimeBonus(timeToCompleteFactor) {
+		return 4 * Math.pow(1 - timeToCompleteFactor, 3) + 1;
+	},
+	getTeamWork({ buffRatio, chickenRuns, tokenValue }) {
+		const B = Math.min(buffRatio, 2);
+		const teamworkScore = (5 * B + chickenRuns + tokenValue) / 19;
+		return 0.19 * teamworkScore + 1;
+	},
+	getContractScore({
+		basePoints,
+		contributionFactor,
+		completionTimeBonus,
+		teamWork,
+	}) {
+		return (
+			basePoints *
+			contributionFactor *
+			completionTimeBonus *
+			teamWork *
+			187.5
+		);
+	},
+});
+
+module.exports = {
+	AUTO_SCORING_MODEL,
+	registerScoringModel,
+	getScoringModelIds,
+	getScoringModel,
+	configureScoring,
+	getScoringModelForContract,
+};
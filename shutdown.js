@@ -0,0 +1,102 @@
+const os = require("os");
+
+const { logger } = require("./logger");
+
+/**
+ * Graceful shutdown on SIGINT (Ctrl+C) and SIGTERM. While the handlers are installed, the first
+ * signal only requests a shutdown: long running loops check isShutdownRequested, let the work in
+ * flight finish and save what they have. A second signal exits right away.
+ * The code can request a shutdown as well, see requestShutdown.
+ */
+
+const SHUTDOWN_SIGNALS = ["SIGINT", "SIGTERM"];
+
+// The requested shutdown, `{ exitCode }`, null while none is requested
+let shutdownRequest = null;
+let installed = false;
+
+/**
+ * Returns the exit code of a process stopped by a signal, like the shell reports it.
+ *
+ * @param {string} signal - The signal name.
+ * @returns {number} 128 plus the signal number, e.g. 130 for SIGINT.
+ */
+function getSignalExitCode(signal) {
+	return 128 + os.constants.signals[signal];
+}
+
+/**
+ * Requests a shutdown on the first signal and exits on the second one.
+ *
+ * @param {string} signal - The received signal.
+ */
+function handleSignal(signal) {
+	if (shutdownRequest) {
+		logger.warn(`Received ${signal} again, exiting without saving.`);
+		process.exit(getSignalExitCode(signal));
+	}
+	shutdownRequest = { exitCode: getSignalExitCode(signal) };
+	logger.warn(
+		`Received ${signal}, finishing the coops in progress and saving. Send it again (Ctrl+C) to exit right away.`
+	);
+}
+
+/**
+ * Installs the signal handlers. Until removeShutdownHandlers is called, signals no longer stop the process.
+ */
+function installShutdownHandlers() {
+	if (installed) return;
+	installed = true;
+	shutdownRequest = null;
+	for (const signal of SHUTDOWN_SIGNALS) process.on(signal, handleSignal);
+}
+
+/**
+ * Removes the signal handlers, so signals stop the process again.
+ */
+function removeShutdownHandlers() {
+	if (!installed) return;
+	installed = false;
+	for (const signal of SHUTDOWN_SIGNALS) {
+		process.removeListener(signal, handleSignal);
+	}
+}
+
+/**
+ * Requests a shutdown like the first signal does, e.g. after an error that makes going on pointless.
+ * Only the first request counts.
+ *
+ * @param {string} reason - Why the run stops, printed as a warning.
+ * @param {number} [exitCode=1] - Exit code of the process.
+ */
+function requestShutdown(reason, exitCode = 1) {
+	if (shutdownRequest) return;
+	shutdownRequest = { exitCode };
+	logger.warn(`${reason}, finishing the coops in progress and saving.`);
+}
+
+/**
+ * Tells whether a shutdown was requested since the handlers were installed.
+ *
+ * @returns {boolean} True after the first signal or requestShutdown.
+ */
+function isShutdownRequested() {
+	return shutdownRequest !== null;
+}
+
+/**
+ * Returns the exit code for the requested shutdown, see getSignalExitCode and requestShutdown.
+ *
+ * @returns {number|null} The exit code, null if no shutdown was requested.
+ */
+function getShutdownExitCode() {
+	return shutdownRequest?.exitCode ?? null;
+}
+
+module.exports = {
+	installShutdownHandlers,
+	removeShutdownHandlers,
+	requestShutdown,
+	isShutdownRequested,
+	getShutdownExitCode,
+};
@@ -0,0 +1,495 @@
+const fs = require("fs");
+const path = require("path");
+
+const { getCoopRecordKey } = require("./tools");
+const { logger } = require("./logger");
+
+/**
+ * Normalized schema of the SQLite coops store.
+ * Every table keeps the fields that are useful in queries as columns, and the rest of the original
+ * object in a raw_json column, so records can be rebuilt exactly as they were stored.
+ * Buff histories are only stored once, in buff_events, even though a coop record holds them both in
+ * coopData.coopContributors and in userData.
+ */
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS contracts (
+	uuid TEXT PRIMARY KEY,
+	contract_identifier TEXT NOT NULL,
+	name TEXT,
+	start_time TEXT,
+	expiration_time TEXT,
+	length_seconds INTEGER,
+	max_coop_size INTEGER,
+	minutes_per_token INTEGER,
+	chicken_run_cooldown_minutes INTEGER,
+	leggacy INTEGER,
+	season_id TEXT,
+	raw_json TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS grade_specs (
+	contract_uuid TEXT NOT NULL REFERENCES contracts (uuid),
+	grade TEXT NOT NULL,
+	length_seconds INTEGER,
+	main_goal REAL,
+	raw_json TEXT NOT NULL,
+	PRIMARY KEY (contract_uuid, grade)
+);
+
+CREATE TABLE IF NOT EXISTS coops (
+	coop_key TEXT PRIMARY KEY,
+	contract_identifier TEXT NOT NULL,
+	contract_uuid TEXT REFERENCES contracts (uuid),
+	coop_code TEXT NOT NULL,
+	grade TEXT,
+	error TEXT,
+	all_goals_achieved INTEGER,
+	all_members_reporting INTEGER,
+	grace_period_seconds_remaining REAL,
+	seconds_remaining REAL,
+	seconds_since_all_goals_achieved REAL,
+	total_amount REAL,
+	status_json TEXT NOT NULL,
+	maj_coop_json TEXT NOT NULL,
+	extra_json TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS contributors (
+	coop_key TEXT NOT NULL REFERENCES coops (coop_key),
+	position INTEGER NOT NULL,
+	ei_uuid TEXT,
+	user_name TEXT,
+	contribution_amount REAL,
+	contribution_rate REAL,
+	raw_json TEXT NOT NULL,
+	PRIMARY KEY (coop_key, position)
+);
+
+CREATE TABLE IF NOT EXISTS buff_events (
+	coop_key TEXT NOT NULL,
+	contributor_position INTEGER NOT NULL,
+	position INTEGER NOT NULL,
+	server_time REAL,
+	egg_laying_buff REAL,
+	earnings_buff REAL,
+	raw_json TEXT NOT NULL,
+	PRIMARY KEY (coop_key, contributor_position, position),
+	FOREIGN KEY (coop_key, contributor_position) REFERENCES contributors (coop_key, position)
+);
+
+CREATE TABLE IF NOT EXISTS user_metrics (
+	coop_key TEXT NOT NULL REFERENCES coops (coop_key),
+	position INTEGER NOT NULL,
+	contributor_position INTEGER,
+	ei_uuid TEXT,
+	user_name TEXT,
+	eggs_shipped REAL,
+	contribution_ratio REAL,
+	contribution_factor REAL,
+	completion_time_bonus REAL,
+	time_to_complete_factor REAL,
+	coop_duration_seconds REAL,
+	green_scroll INTEGER,
+	buff_value REAL,
+	team_work REAL,
+	upper_team_work REAL,
+	cs REAL,
+	upper_cs REAL,
+	error TEXT,
+	raw_json TEXT NOT NULL,
+	PRIMARY KEY (coop_key, position)
+);
+
+CREATE INDEX IF NOT EXISTS coops_contract ON coops (contract_identifier);
+CREATE INDEX IF NOT EXISTS user_metrics_user ON user_metrics (user_name);
+`;
+
+// Tables with rows per coop, in the order they are deleted in
+const COOP_TABLES = ["buff_events", "user_metrics", "contributors", "coops"];
+
+/**
+ * Loads better-sqlite3, which is only needed for the SQLite store.
+ *
+ * @returns {Function} The better-sqlite3 Database constructor.
+ * @throws {Error} If better-sqlite3 is not installed.
+ */
+function loadSqlite() {
+	try {
+		return require("better-sqlite3");
+	} catch (error) {
+		throw new Error(
+			"The SQLite store needs the better-sqlite3 package. Install it with: npm install better-sqlite3"
+		);
+	}
+}
+
+/**
+ * Converts a value to something SQLite can bind: booleans to 0/1, undefined to null.
+ *
+ * @param {*} value - The value to convert.
+ * @returns {*} The bindable value.
+ */
+function toSqlValue(value) {
+	if (value === undefined) return null;
+	if (typeof value === "boolean") return value ? 1 : 0;
+	if (typeof value === "number" && !Number.isFinite(value)) return null;
+	return value;
+}
+
+/**
+ * Returns a copy of an object without the given keys.
+ *
+ * @param {Object} object - The object to copy.
+ * @param {string[]} keys - Keys to leave out.
+ * @returns {Object} The copy.
+ */
+function omit(object, keys) {
+	const copy = { ...object };
+	for (const key of keys) delete copy[key];
+	return copy;
+}
+
+/**
+ * Creates a coop store backed by an SQLite database with a normalized schema, see SCHEMA.
+ * It has the same shape as the stores in storage.js. Every appended record is written in its own
+ * transaction, so the store is streaming and a crash never leaves half a coop behind.
+ *
+ * @param {string} filePath - Path of the database file.
+ * @returns {Object} The coop store.
+ * @throws {Error} If better-sqlite3 is not installed.
+ */
+function createSqliteCoopStore(filePath) {
+	const Database = loadSqlite();
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+	const db = new Database(filePath);
+	db.exec(SCHEMA);
+
+	const statements = {
+		insertContract: db.prepare(`
+			INSERT OR REPLACE INTO contracts (uuid, contract_identifier, name, start_time, expiration_time,
+				length_seconds, max_coop_size, minutes_per_token, chicken_run_cooldown_minutes, leggacy, season_id, raw_json)
+			VALUES (@uuid, @contractIdentifier, @name, @startTime, @expirationTime,
+				@lengthSeconds, @maxCoopSize, @minutesPerToken, @chickenRunCooldownMinutes, @leggacy, @seasonId, @rawJson)
+		`),
+		insertGradeSpec: db.prepare(`
+			INSERT OR REPLACE INTO grade_specs (contract_uuid, grade, length_seconds, main_goal, raw_json)
+			VALUES (@contractUuid, @grade, @lengthSeconds, @mainGoal, @rawJson)
+		`),
+		insertCoop: db.prepare(`
+			INSERT INTO coops (coop_key, contract_identifier, contract_uuid, coop_code, grade, error,
+				all_goals_achieved, all_members_reporting, grace_period_seconds_remaining, seconds_remaining,
+				seconds_since_all_goals_achieved, total_amount, status_json, maj_coop_json, extra_json)
+			VALUES (@coopKey, @contractIdentifier, @contractUuid, @coopCode, @grade, @error,
+				@allGoalsAchieved, @allMembersReporting, @gracePeriodSecondsRemaining, @secondsRemaining,
+				@secondsSinceAllGoalsAchieved, @totalAmount, @statusJson, @majCoopJson, @extraJson)
+		`),
+		insertContributor: db.prepare(`
+			INSERT INTO contributors (coop_key, position, ei_uuid, user_name, contribution_amount, contribution_rate, raw_json)
+			VALUES (@coopKey, @position, @eiUuid, @userName, @contributionAmount, @contributionRate, @rawJson)
+		`),
+		insertBuffEvent: db.prepare(`
+			INSERT INTO buff_events (coop_key, contributor_position, position, server_time, egg_laying_buff, earnings_buff, raw_json)
+			VALUES (@coopKey, @contributorPosition, @position, @serverTime, @eggLayingBuff, @earningsBuff, @rawJson)
+		`),
+		insertUserMetrics: db.prepare(`
+			INSERT INTO user_metrics (coop_key, position, contributor_position, ei_uuid, user_name, eggs_shipped,
+				contribution_ratio, contribution_factor, completion_time_bonus, time_to_complete_factor,
+				coop_duration_seconds, green_scroll, buff_value, team_work, upper_team_work, cs, upper_cs, error, raw_json)
+			VALUES (@coopKey, @position, @contributorPosition, @eiUuid, @userName, @eggsShipped,
+				@contributionRatio, @contributionFactor, @completionTimeBonus, @timeToCompleteFactor,
+				@coopDurationSeconds, @greenScroll, @buffValue, @teamWork, @upperTeamWork, @cs, @upperCS, @error, @rawJson)
+		`),
+		deleteCoop: COOP_TABLES.map((table) =>
+			db.prepare(`DELETE FROM ${table} WHERE coop_key = ?`)
+		),
+		selectCoopKeys: db.prepare("SELECT coop_key FROM coops ORDER BY rowid"),
+		selectStatuses: db.prepare("SELECT coop_key, error FROM coops"),
+		selectCoop: db.prepare("SELECT * FROM coops WHERE coop_key = ?"),
+		selectContract: db.prepare("SELECT raw_json FROM contracts WHERE uuid = ?"),
+		selectGradeSpecs: db.prepare(
+			"SELECT raw_json FROM grade_specs WHERE contract_uuid = ? ORDER BY rowid"
+		),
+		selectContributors: db.prepare(
+			"SELECT position, raw_json FROM contributors WHERE coop_key = ? ORDER BY position"
+		),
+		selectBuffEvents: db.prepare(
+			"SELECT contributor_position, raw_json FROM buff_events WHERE coop_key = ? ORDER BY contributor_position, position"
+		),
+		selectUserMetrics: db.prepare(
+			"SELECT contributor_position, error, raw_json FROM user_metrics WHERE coop_key = ? ORDER BY position"
+		),
+	};
+
+	/**
+	 * Binds an object of named parameters, converting every value with toSqlValue.
+	 *
+	 * @param {Object} params - The parameters.
+	 * @returns {Object} The bindable parameters.
+	 */
+	const bind = (params) => {
+		const bound = {};
+		for (const [key, value] of Object.entries(params)) {
+			bound[key] = toSqlValue(value);
+		}
+		return bound;
+	};
+
+	/**
+	 * Stores a contract and its grade specs.
+	 *
+	 * @param {EggCoop.Contract} contract - The contract, with gradeSpecs if they were fetched.
+	 */
+	const insertContract = (contract) => {
+		statements.insertContract.run(
+			bind({
+				uuid: contract.uuid,
+				contractIdentifier: contract.contractIdentifier,
+				name: contract.name,
+				startTime: contract.startTime,
+				expirationTime: contract.expirationTime,
+				lengthSeconds: contract.lengthSeconds,
+				maxCoopSize: contract.maxCoopSize,
+				minutesPerToken: contract.minutesPerToken,
+				chickenRunCooldownMinutes: contract.chickenRunCooldownMinutes,
+				leggacy: contract.leggacy,
+				seasonId: contract.season?.eiSeasonId || null,
+				rawJson: JSON.stringify(omit(contract, ["gradeSpecs"])),
+			})
+		);
+
+		for (const gradeSpec of contract.gradeSpecs ?? []) {
+			const goals = gradeSpec.goalCollection?.goals ?? [];
+			statements.insertGradeSpec.run(
+				bind({
+					contractUuid: contract.uuid,
+					grade: gradeSpec.grade?.eiIdentifier ?? "UNKNOWN",
+					lengthSeconds: gradeSpec.lengthSeconds,
+					mainGoal: goals[goals.length - 1]?.targetAmount,
+					rawJson: JSON.stringify(gradeSpec),
+				})
+			);
+		}
+	};
+
+	/**
+	 * Stores one coop record in all tables, replacing an earlier record with the same coop key.
+	 *
+	 * @param {Object} record - A processed coop record.
+	 * @param {string} coopKey - The coop key of the record.
+	 */
+	const insertRecord = (record, coopKey) => {
+		const coopData = record.coopData ?? {};
+		const contractData = record.contractData ?? {};
+		const majCoopData = record.majCoopData ?? {};
+		const contributors = Array.isArray(coopData.coopContributors)
+			? coopData.coopContributors
+			: [];
+
+		for (const statement of statements.deleteCoop) statement.run(coopKey);
+
+		if (contractData.uuid) insertContract(contractData);
+
+		statements.insertCoop.run(
+			bind({
+				coopKey,
+				contractIdentifier: contractData.contractIdentifier,
+				contractUuid: contractData.uuid,
+				coopCode: majCoopData.code,
+				grade: majCoopData.grade,
+				error: record.error,
+				allGoalsAchieved: coopData.allGoalsAchieved,
+				allMembersReporting: coopData.allMembersReporting,
+				gracePeriodSecondsRemaining: coopData.gracePeriodSecondsRemaining,
+				secondsRemaining: coopData.secondsRemaining,
+				secondsSinceAllGoalsAchieved: coopData.secondsSinceAllGoalsAchieved,
+				totalAmount: coopData.totalAmount,
+				statusJson: JSON.stringify(omit(coopData, ["coopContributors"])),
+				majCoopJson: JSON.stringify(majCoopData),
+				extraJson: JSON.stringify(
+					omit(record, [
+						"coopData",
+						"contractData",
+						"majCoopData",
+						"userData",
+						"error",
+					])
+				),
+			})
+		);
+
+		contributors.forEach((contributor, position) => {
+			statements.insertContributor.run(
+				bind({
+					coopKey,
+					position,
+					eiUuid: contributor?.eiUuid,
+					userName: contributor?.userName,
+					contributionAmount: contributor?.contributionAmount,
+					contributionRate:
+						contributor?.contributionRate ??
+						contributor?.contributionRatePerSecond,
+					rawJson: JSON.stringify(
+						contributor ? omit(contributor, ["buffHistory"]) : null
+					),
+				})
+			);
+
+			(contributor?.buffHistory ?? []).forEach((buff, buffPosition) => {
+				statements.insertBuffEvent.run(
+					bind({
+						coopKey,
+						contributorPosition: position,
+						position: buffPosition,
+						serverTime: buff.server_time,
+						eggLayingBuff: buff.egg_laying_buff,
+						earningsBuff: buff.earnings_buff,
+						rawJson: JSON.stringify(buff),
+					})
+				);
+			});
+		});
+
+		(record.userData ?? []).forEach((user, position) => {
+			// Link the metrics to the contributor they were calculated for, to share its buff history
+			const contributorPosition = contributors.findIndex(
+				(contributor) =>
+					contributor &&
+					(contributor.eiUuid || "unknown") === user.eiUuid &&
+					(contributor.userName || "unknown") === user.userName
+			);
+
+			statements.insertUserMetrics.run(
+				bind({
+					coopKey,
+					position,
+					contributorPosition:
+						contributorPosition === -1 ? null : contributorPosition,
+					eiUuid: user.eiUuid,
+					userName: user.userName,
+					eggsShipped: user.eggsShipped,
+					contributionRatio: user.contributionRatio,
+					contributionFactor: user.contributionFactor,
+					completionTimeBonus: user.completionTimeBonus,
+					timeToCompleteFactor: user.timeToCompleteFactor,
+					coopDurationSeconds: user.coopDurationSeconds,
+					greenScroll: user.greenScroll,
+					buffValue: user.buffValue,
+					teamWork: user.teamWork,
+					upperTeamWork: user.upperTeamWork,
+					cs: user.cs,
+					upperCS: user.upperCS,
+					error: user.error,
+					rawJson: JSON.stringify(omit(user, ["buffHistory"])),
+				})
+			);
+		});
+	};
+
+	/**
+	 * Rebuilds a coop record from all tables.
+	 *
+	 * @param {string} coopKey - The coop key of the record.
+	 * @returns {Object} The coop record as it was stored.
+	 */
+	const readRecord = (coopKey) => {
+		const coop = statements.selectCoop.get(coopKey);
+
+		let contractData = {};
+		if (coop.contract_uuid) {
+			const contract = statements.selectContract.get(coop.contract_uuid);
+			contractData = JSON.parse(contract.raw_json);
+			const gradeSpecs = statements.selectGradeSpecs
+				.all(coop.contract_uuid)
+				.map((row) => JSON.parse(row.raw_json));
+			if (gradeSpecs.length > 0) contractData.gradeSpecs = gradeSpecs;
+		}
+
+		const buffHistories = new Map();
+		for (const row of statements.selectBuffEvents.all(coopKey)) {
+			if (!buffHistories.has(row.contributor_position)) {
+				buffHistories.set(row.contributor_position, []);
+			}
+			buffHistories.get(row.contributor_position).push(JSON.parse(row.raw_json));
+		}
+
+		const coopData = JSON.parse(coop.status_json);
+		coopData.coopContributors = statements.selectContributors
+			.all(coopKey)
+			.map((row) => {
+				const contributor = JSON.parse(row.raw_json);
+				if (contributor) {
+					contributor.buffHistory = buffHistories.get(row.position) ?? [];
+				}
+				return contributor;
+			});
+
+		const userData = statements.selectUserMetrics.all(coopKey).map((row) => ({
+			...JSON.parse(row.raw_json),
+			// Error records never carry a buff history
+			buffHistory:
+				row.error === null
+					? buffHistories.get(row.contributor_position) ?? []
+					: [],
+		}));
+
+		const record = JSON.parse(coop.extra_json);
+		if (coop.error !== null) record.error = coop.error;
+		return {
+			...record,
+			coopData,
+			contractData,
+			majCoopData: JSON.parse(coop.maj_coop_json),
+			userData,
+		};
+	};
+
+	const appendRecords = db.transaction((records) => {
+		for (const record of records) {
+			const coopKey = getCoopRecordKey(record);
+			if (!coopKey) {
+				logger.warn("Skipping a coop record without contract or coop code");
+				continue;
+			}
+			insertRecord(record, coopKey);
+		}
+	});
+
+	const store = {
+		format: "sqlite",
+		streaming: true,
+		forEach(callback) {
+			// Collect the keys first, better-sqlite3 can't run other queries while iterating
+			const coopKeys = statements.selectCoopKeys.all().map((row) => row.coop_key);
+			for (const coopKey of coopKeys) callback(readRecord(coopKey));
+		},
+		readAll() {
+			const records = [];
+			store.forEach((record) => records.push(record));
+			return records;
+		},
+		getStatuses() {
+			const statuses = new Map();
+			for (const row of statements.selectStatuses.all()) {
+				statuses.set(row.coop_key, { error: row.error !== null });
+			}
+			return statuses;
+		},
+		append(records) {
+			// A transaction per record, so a crash halfway never loses more than one record
+			for (const record of records) appendRecords([record]);
+		},
+		clear() {
+			db.transaction(() => {
+				for (const table of [...COOP_TABLES, "grade_specs", "contracts"]) {
+					db.prepare(`DELETE FROM ${table}`).run();
+				}
+			})();
+		},
+	};
+	return store;
+}
+
+module.exports = {
+	createSqliteCoopStore,
+};
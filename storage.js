@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const { StringDecoder } = require("string_decoder");
+
+const { getCoopRecordKey, mergeCoopRecords } = require("./tools");
+const { createSqliteCoopStore } = require("./sqliteStore");
+const { writeFileAtomic } = require("./atomicWrite");
+const { logger } = require("./logger");
+
+/**
+ * Coop stores read and write processed coop records. Every store has the same shape:
+ *
+ * - `format`: the storage format.
+ * - `streaming`: whether appending is cheap enough to do for every single record.
+ * - `forEach(callback)`: calls back with every stored record, in order. Later records replace earlier ones with the same coop key.
+ * - `readAll()`: returns all records, with replaced records left out.
+ * - `getStatuses()`: returns a Map of coop key to `{ error }`, without keeping the records in memory.
+ * - `append(records)`: stores new records, replacing stored records with the same coop key.
+ * - `clear()`: removes all records.
+ */
+
+const COOP_FILE_FORMATS = ["json", "ndjson", "sqlite"];
+
+// Size of the chunks NDJSON files are read in
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Determines the storage format from a file extension.
+ *
+ * @param {string} filePath - Path of the coops file.
+ * @returns {string} "ndjson" for .ndjson and .jsonl files, "sqlite" for .sqlite, .sqlite3 and .db files, "json" otherwise.
+ */
+function detectCoopFileFormat(filePath) {
+	const extension = path.extname(filePath).toLowerCase();
+	if (extension === ".ndjson" || extension === ".jsonl") return "ndjson";
+	if ([".sqlite", ".sqlite3", ".db"].includes(extension)) return "sqlite";
+	return "json";
+}
+
+/**
+ * Builds the coop key to status Map of a store, see the store shape above.
+ *
+ * @param {Object} store - A coop store.
+ * @returns {Map<string, { error: boolean }>} Status per coop key.
+ */
+function collectStatuses(store) {
+	const statuses = new Map();
+	store.forEach((record) => {
+		const key = getCoopRecordKey(record);
+		if (key) statuses.set(key, { error: !!record.error });
+	});
+	return statuses;
+}
+
+/**
+ * Creates a store for a JSON file holding one array of records, the original coops.json format.
+ * Every append rewrites the whole file, so records should be appended in batches.
+ *
+ * @param {string} filePath - Path of the JSON file.
+ * @returns {Object} The coop store.
+ */
+function createJsonCoopStore(filePath) {
+	let records = null;
+
+	const load = () => {
+		if (records) return records;
+		records = [];
+		if (fs.existsSync(filePath)) {
+			const fileContent = fs.readFileSync(filePath, "utf8");
+			if (fileContent.trim()) records = JSON.parse(fileContent);
+		}
+		return records;
+	};
+
+	// The whole file is rewritten, so a write that is cut off must not replace it
+	const write = () => {
+		writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+	};
+
+	const store = {
+		format: "json",
+		streaming: false,
+		forEach(callback) {
+			load().forEach((record) => callback(record));
+		},
+		readAll() {
+			return mergeCoopRecords([], load());
+		},
+		getStatuses() {
+			return collectStatuses(store);
+		},
+		append(newRecords) {
+			records = mergeCoopRecords(load(), newRecords);
+			write();
+		},
+		clear() {
+			records = [];
+			write();
+		},
+	};
+	return store;
+}
+
+/**
+ * Creates a store for an NDJSON file, with one record per line.
+ * Records are appended as they arrive, so nothing is rewritten and a crash loses at most the line
+ * being written. A truncated last line is skipped when reading.
+ *
+ * @param {string} filePath - Path of the NDJSON file.
+ * @returns {Object} The coop store.
+ */
+function createNdjsonCoopStore(filePath) {
+	let checkedEnding = false;
+
+	/**
+	 * Calls back with every non-empty line of the file, reading it in chunks.
+	 *
+	 * @param {(line: string, lineNumber: number) => void} callback - Called for every line.
+	 */
+	const forEachLine = (callback) => {
+		if (!fs.existsSync(filePath)) return;
+
+		const fd = fs.openSync(filePath, "r");
+		try {
+			const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+			// The decoder keeps characters that are split over two chunks intact
+			const decoder = new StringDecoder("utf8");
+			let remainder = "";
+			let lineNumber = 0;
+			let bytesRead;
+
+			const handleLine = (line) => {
+				lineNumber++;
+				if (line.trim()) callback(line, lineNumber);
+			};
+
+			while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE)) > 0) {
+				const lines = (
+					remainder + decoder.write(buffer.subarray(0, bytesRead))
+				).split("\n");
+				remainder = lines.pop();
+				lines.forEach(handleLine);
+			}
+			handleLine(remainder + decoder.end());
+		} finally {
+			fs.closeSync(fd);
+		}
+	};
+
+	const store = {
+		format: "ndjson",
+		streaming: true,
+		forEach(callback) {
+			forEachLine((line, lineNumber) => {
+				let record;
+				try {
+					record = JSON.parse(line);
+				} catch (error) {
+					logger.warn(`Skipping invalid line ${lineNumber} of ${filePath}`, {
+						error,
+					});
+					return;
+				}
+				callback(record);
+			});
+		},
+		readAll() {
+			const records = [];
+			store.forEach((record) => records.push(record));
+			return mergeCoopRecords([], records);
+		},
+		getStatuses() {
+			return collectStatuses(store);
+		},
+		append(newRecords) {
+			if (newRecords.length === 0) return;
+
+			// Start on a new line if an earlier write was cut off halfway
+			let prefix = "";
+			if (!checkedEnding) {
+				checkedEnding = true;
+				const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+				if (size > 0) {
+					const fd = fs.openSync(filePath, "r");
+					const lastByte = Buffer.alloc(1);
+					fs.readSync(fd, lastByte, 0, 1, size - 1);
+					fs.closeSync(fd);
+					if (lastByte.toString() !== "\n") prefix = "\n";
+				} else {
+					fs.mkdirSync(path.dirname(filePath), { recursive: true });
+				}
+			}
+
+			const lines = newRecords.map((record) => JSON.stringify(record));
+			fs.appendFileSync(filePath, prefix + lines.join("\n") + "\n");
+		},
+		clear() {
+			writeFileAtomic(filePath, "");
+			checkedEnding = true;
+		},
+	};
+	return store;
+}
+
+/**
+ * Opens a coop store for a file.
+ *
+ * @param {string} filePath - Path of the coops file.
+ * @param {string} [format] - "json", "ndjson" or "sqlite". Detected from the file extension if omitted.
+ * @returns {Object} The coop store, see the store shape at the top of this file.
+ * @throws {Error} If the format is unknown.
+ */
+function openCoopStore(filePath, format = detectCoopFileFormat(filePath)) {
+	switch (format) {
+		case "json":
+			return createJsonCoopStore(filePath);
+		case "ndjson":
+			return createNdjsonCoopStore(filePath);
+		case "sqlite":
+			return createSqliteCoopStore(filePath);
+		default:
+			throw new Error(
+				`Unknown coops file format "${format}", expected one of: ${COOP_FILE_FORMATS.join(", ")}`
+			);
+	}
+}
+
+/**
+ * Converts a coops file to another format, e.g. coops.json to coops.ndjson or back.
+ * This is also how existing coops.json files are imported into an SQLite database.
+ * Replaced records are left out of the output.
+ *
+ * @param {string} inputPath - Path of the file to convert.
+ * @param {string} outputPath - Path of the converted file. Must not exist yet.
+ * @param {Object} [formats={}] - Formats of the files, detected from the extensions if omitted.
+ * @param {string} [formats.inputFormat] - Format of the input file.
+ * @param {string} [formats.outputFormat] - Format of the output file.
+ * @returns {number} The number of records written.
+ * @throws {Error} If the input doesn't exist, the output already exists or a format is unknown.
+ */
+function convertCoopFile(inputPath, outputPath, formats = {}) {
+	if (!fs.existsSync(inputPath)) {
+		throw new Error(`${inputPath} does not exist`);
+	}
+	if (fs.existsSync(outputPath)) {
+		throw new Error(`${outputPath} already exists`);
+	}
+
+	const input = openCoopStore(inputPath, formats.inputFormat);
+	const output = openCoopStore(outputPath, formats.outputFormat);
+
+	const records = input.readAll();
+	output.clear();
+	output.append(records);
+	return records.length;
+}
+
+module.exports = {
+	COOP_FILE_FORMATS,
+	detectCoopFileFormat,
+	openCoopStore,
+	convertCoopFile,
+};
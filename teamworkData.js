@@ -0,0 +1,136 @@
+const fs = require("fs");
+
+const { getCoopKey } = require("./tools");
+const { logger } = require("./logger");
+
+/**
+ * Teamwork data is what the coop status doesn't tell: the token value (TVal) and chicken runs of a user,
+ * e.g. from Discord bot logs. It is read from a JSON file with an array of entries:
+ *
+ * `{ "contract": "<kevID>", "coop": "<coop code>", "userName": "<name>", "eiUuid": "<id>", "tokenValue": 3.5, "chickenRuns": 6 }`
+ *
+ * Every entry needs the contract, the coop code and a userName or eiUuid. tokenValue and chickenRuns
+ * may each be left out if only the other one is known. Users are matched on eiUuid first, then userName.
+ * If contract runs are kept separate, an entry can have a `"run"` (the Wonky start time of the run) to
+ * only apply to that run; entries without a run apply to every run of the contract.
+ */
+
+let teamworkData = null;
+
+/**
+ * Checks that a teamwork value is a number if it is given.
+ *
+ * @param {Object} entry - The teamwork entry.
+ * @param {string} field - The field to check.
+ * @param {number} index - Index of the entry, used in error messages.
+ * @throws {Error} If the field is set but isn't a finite number.
+ */
+function validateTeamworkValue(entry, field, index) {
+	if (entry[field] === undefined || entry[field] === null) return;
+	if (typeof entry[field] !== "number" || !Number.isFinite(entry[field])) {
+		throw new Error(
+			`Teamwork entry ${index}: ${field} must be a number, got ${JSON.stringify(entry[field])}`
+		);
+	}
+}
+
+/**
+ * Reads a teamwork data file into a lookup per coop key.
+ *
+ * @param {string} filePath - Path of the JSON file, see the format at the top of this file.
+ * @returns {Map<string, { byEiUuid: Map<string, Object>, byUserName: Map<string, Object> }>} Entries per coop key.
+ * @throws {Error} If the file doesn't exist or an entry is invalid.
+ */
+function loadTeamworkData(filePath) {
+	if (!fs.existsSync(filePath)) {
+		throw new Error(`Teamwork data file ${filePath} does not exist`);
+	}
+	const entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+	if (!Array.isArray(entries)) {
+		throw new Error(`Teamwork data file ${filePath} must contain an array`);
+	}
+
+	const coops = new Map();
+	entries.forEach((entry, index) => {
+		if (!entry?.contract || !entry.coop || !(entry.userName || entry.eiUuid)) {
+			throw new Error(
+				`Teamwork entry ${index} needs a contract, a coop and a userName or eiUuid`
+			);
+		}
+		validateTeamworkValue(entry, "tokenValue", index);
+		validateTeamworkValue(entry, "chickenRuns", index);
+
+		const coopKey = getCoopKey(entry.contract, entry.coop, entry.run);
+		if (!coops.has(coopKey)) {
+			coops.set(coopKey, { byEiUuid: new Map(), byUserName: new Map() });
+		}
+		const users = coops.get(coopKey);
+		if (entry.eiUuid) users.byEiUuid.set(entry.eiUuid, entry);
+		if (entry.userName) users.byUserName.set(entry.userName, entry);
+	});
+	return coops;
+}
+
+/**
+ * Sets the teamwork data used when scoring coops.
+ *
+ * @param {Object} options - Teamwork data options.
+ * @param {string|null} [options.filePath] - Teamwork data file to load, or null to use none.
+ * @throws {Error} If the file can't be read, see loadTeamworkData.
+ */
+function configureTeamworkData(options) {
+	if (options.filePath === undefined) return;
+	teamworkData = options.filePath ? loadTeamworkData(options.filePath) : null;
+	if (teamworkData) {
+		let userCount = 0;
+		for (const users of teamworkData.values()) {
+			userCount += new Set([
+				...users.byEiUuid.values(),
+				...users.byUserName.values(),
+			]).size;
+		}
+		logger.info(
+			`Loaded teamwork data of ${userCount} users in ${teamworkData.size} coops from ${options.filePath}`
+		);
+	}
+}
+
+/**
+ * Returns the known token value and chicken runs of a user in a coop.
+ *
+ * @param {string} contractIdentifier - The contract identifier (kevID).
+ * @param {string} coopCode - The coop code.
+ * @param {{ eiUuid?: string, userName?: string }} user - The contributor.
+ * @param {string|null} [run=null] - The contract run of the coop, see getContractRunKey.
+ * @returns {{ tokenValue: number|null, chickenRuns: number|null }|null} The known values, null where unknown, or null if nothing is known about the user.
+ */
+function getUserTeamworkData(contractIdentifier, coopCode, user, run = null) {
+	// Entries for the run come before entries for every run of the contract
+	const coopKeys = [
+		...new Set([
+			getCoopKey(contractIdentifier, coopCode, run),
+			getCoopKey(contractIdentifier, coopCode),
+		]),
+	];
+
+	let entry = null;
+	for (const coopKey of coopKeys) {
+		const users = teamworkData?.get(coopKey);
+		if (!users) continue;
+		entry =
+			(user.eiUuid && users.byEiUuid.get(user.eiUuid)) ||
+			(user.userName && users.byUserName.get(user.userName));
+		if (entry) break;
+	}
+	if (!entry) return null;
+
+	return {
+		tokenValue: entry.tokenValue ?? null,
+		chickenRuns: entry.chickenRuns ?? null,
+	};
+}
+
+module.exports = {
+	configureTeamworkData,
+	getUserTeamworkData,
+};
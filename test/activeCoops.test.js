@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { isCoopFinished } = require("../tools");
+
+const INDEX_PATH = path.join(__dirname, "..", "index.js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+
+/**
+ * Runs the run command against replayed fixtures.
+ *
+ * @param {string} fixturesDir - The fixtures to replay.
+ * @param {string} outDir - The output directory.
+ * @returns {import("child_process").SpawnSyncReturns<string>} The finished process.
+ */
+function runCli(fixturesDir, outDir) {
+	return spawnSync(
+		process.execPath,
+		[
+			INDEX_PATH,
+			"run",
+			"--start",
+			"2024-12-20",
+			"--end",
+			"2024-12-31",
+			"--replay",
+			fixturesDir,
+			"--out-dir",
+			outDir,
+		],
+		{ cwd: outDir, encoding: "utf8", timeout: 120000 }
+	);
+}
+
+/**
+ * Reads a JSON file.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {*} The parsed content.
+ */
+function readJson(filePath) {
+	return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Writes a JSON file.
+ *
+ * @param {string} filePath - Path of the file.
+ * @param {*} content - The content.
+ */
+function writeJson(filePath, content) {
+	fs.writeFileSync(filePath, JSON.stringify(content, null, 1));
+}
+
+describe("isCoopFinished", () => {
+	it("needs every member to report, or the grace period to be over", () => {
+		const finished = { allGoalsAchieved: true, allMembersReporting: true };
+		assert.equal(isCoopFinished(finished), true);
+		assert.equal(
+			isCoopFinished({ ...finished, allMembersReporting: false }),
+			false
+		);
+		assert.equal(
+			isCoopFinished({
+				...finished,
+				allMembersReporting: false,
+				gracePeriodSecondsRemaining: 0,
+			}),
+			true
+		);
+	});
+
+	it("treats a coop without time left as finished", () => {
+		assert.equal(isCoopFinished({ secondsRemaining: 0 }), true);
+		assert.equal(isCoopFinished({ secondsRemaining: 282000 }), false);
+		assert.equal(isCoopFinished(null), false);
+	});
+});
+
+describe("contracts with active coops", () => {
+	let tempDir;
+	let fixturesDir;
+	let outDir;
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "active-coops-"));
+		fixturesDir = path.join(tempDir, "fixtures");
+		outDir = path.join(tempDir, "out");
+		fs.cpSync(FIXTURES_DIR, fixturesDir, { recursive: true });
+		fs.mkdirSync(outDir);
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("processes the finished coops and picks up the pending ones later", () => {
+		const wonkyPath = path.join(fixturesDir, "wonky", "fast-toys-2024.json");
+		const [majCoopsObject] = readJson(wonkyPath);
+		writeJson(wonkyPath, [{ ...majCoopsObject, activeCoops: true }]);
+
+		const first = runCli(fixturesDir, outDir);
+		assert.equal(first.status, 0, first.stderr);
+		assert.deepEqual(
+			readJson(path.join(outDir, "coops.json")).map(
+				(record) => record.majCoopData.code
+			),
+			["fast-0"]
+		);
+		const pending = readJson(path.join(outDir, "pendingCoops.json"));
+		assert.deepEqual(
+			pending.coops.map((entry) => entry.coops.map((coop) => coop.code)),
+			[["fast-5"]]
+		);
+
+		// fast-5 finished and Wonky doesn't list it anymore
+		const statusPath = path.join(
+			fixturesDir,
+			"eggcoop/api/coops/fast-toys-2024/fast-5/statuses/latest.json"
+		);
+		writeJson(statusPath, {
+			...readJson(statusPath),
+			allGoalsAchieved: true,
+			gracePeriodSecondsRemaining: 0,
+			secondsSinceAllGoalsAchieved: 1000,
+		});
+		writeJson(wonkyPath, [
+			{
+				...majCoopsObject,
+				coops: majCoopsObject.coops.filter((coop) => coop.code !== "fast-5"),
+			},
+		]);
+
+		const second = runCli(fixturesDir, outDir);
+		assert.equal(second.status, 0, second.stderr);
+		assert.deepEqual(
+			readJson(path.join(outDir, "coops.json")).map(
+				(record) => record.majCoopData.code
+			),
+			["fast-0", "fast-5"]
+		);
+		assert.equal(fs.existsSync(path.join(outDir, "pendingCoops.json")), false);
+	});
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeBuffHistory } = require("../buffAnalysis");
+
+describe("analyzeBuffHistory", () => {
+	// The coop started 10000 seconds ago and ended 1000 seconds ago
+	const COOP_START = 10000;
+	const COOP_END = 1000;
+
+	it("breaks the coop down into deflector and SIAB levels", () => {
+		const buffHistory = [
+			{ server_time: 1500, egg_laying_buff: 1.2, earnings_buff: 1 },
+			{ server_time: 12000, egg_laying_buff: 1, earnings_buff: 1 },
+			{ server_time: 9000, egg_laying_buff: 1.2, earnings_buff: 1.5 },
+			// Set after the coop ended
+			{ server_time: 500, egg_laying_buff: 1, earnings_buff: 1 },
+		];
+
+		assert.deepEqual(analyzeBuffHistory(buffHistory, COOP_END, COOP_START), {
+			deflectorSeconds: { 0: 1000, 20: 8000 },
+			siabSeconds: { 0: 1500, 50: 7500 },
+			secondsWithoutBuffData: 0,
+			secondsUntilFirstDeflector: 1000,
+			siabRemovedNearEnd: true,
+			siabRemovedSecondsBeforeEnd: 500,
+			buffChanges: 2,
+		});
+	});
+
+	it("counts the time before the first entry as without buff data", () => {
+		const buffHistory = [
+			{ server_time: 4000, egg_laying_buff: 1.2, earnings_buff: 1.5 },
+			{ server_time: 3000, egg_laying_buff: 1.2 },
+		];
+
+		const analysis = analyzeBuffHistory(buffHistory, COOP_END, COOP_START);
+		assert.equal(analysis.secondsWithoutBuffData, 6000);
+		assert.deepEqual(analysis.deflectorSeconds, { 20: 3000 });
+		assert.equal(analysis.siabRemovedSecondsBeforeEnd, null);
+		assert.equal(
+			analyzeBuffHistory([], COOP_END, COOP_START).secondsWithoutBuffData,
+			9000
+		);
+	});
+
+	it("rejects a missing buff history or coop times", () => {
+		assert.throws(
+			() => analyzeBuffHistory(null, COOP_END, COOP_START),
+			TypeError
+		);
+		assert.throws(() => analyzeBuffHistory([], NaN, COOP_START), TypeError);
+	});
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+	configureCache,
+	readCachedResponse,
+	writeCachedResponse,
+} = require("../cache");
+
+const BASE_URL = "https://eggcoop.org";
+const FINISHED = { allGoalsAchieved: true, allMembersReporting: true };
+const RUNNING = { allGoalsAchieved: false, secondsRemaining: 282000 };
+
+/**
+ * Writes a response to the cache and reads it back.
+ *
+ * @param {string} apiPath - Normalized API path.
+ * @param {*} body - The response body.
+ * @param {Object} [hints] - Hints of the caller, see writeCachedResponse.
+ * @returns {*} The cached body, undefined if it wasn't cached.
+ */
+function cacheAndRead(apiPath, body, hints) {
+	writeCachedResponse(apiPath, BASE_URL + apiPath, body, hints);
+	return readCachedResponse(apiPath, BASE_URL + apiPath);
+}
+
+describe("response cache", () => {
+	let cacheDir;
+
+	before(() => {
+		cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-"));
+		configureCache({ enabled: true, refresh: false, cacheDir });
+	});
+
+	after(() => {
+		configureCache({ enabled: false, refresh: false });
+		fs.rmSync(cacheDir, { recursive: true, force: true });
+	});
+
+	it("keeps the statuses of finished coops only", () => {
+		const finishedPath = "/api/coops/fast-toys-2024/fast-0/statuses/latest";
+		const runningPath = "/api/coops/fast-toys-2024/fast-5/statuses/latest";
+
+		assert.deepEqual(cacheAndRead(finishedPath, FINISHED), FINISHED);
+		assert.equal(cacheAndRead(runningPath, RUNNING), undefined);
+	});
+
+	it("keeps buff histories once the coop has finished", () => {
+		const body = { buffHistory: [] };
+
+		assert.equal(
+			cacheAndRead("/api/coop_contributor_uuids/u0", body, {
+				coopFinished: false,
+			}),
+			undefined
+		);
+		assert.deepEqual(
+			cacheAndRead("/api/coop_contributor_uuids/u1", body, {
+				coopFinished: true,
+			}),
+			body
+		);
+	});
+
+	it("refetches expired contract lists and every response with refresh", () => {
+		const contractsDir = path.join(cacheDir, "contracts");
+		configureCache({ cacheDir: contractsDir });
+		const contractsPath = "/api/contracts";
+		assert.deepEqual(cacheAndRead(contractsPath, []), []);
+
+		// Expire the contract list, the only entry in its directory
+		const [entryPath] = fs
+			.readdirSync(contractsDir, { recursive: true })
+			.filter((name) => name.endsWith(".json"))
+			.map((name) => path.join(contractsDir, name));
+		const entry = JSON.parse(fs.readFileSync(entryPath, "utf8"));
+		fs.writeFileSync(entryPath, JSON.stringify({ ...entry, expiresAt: 0 }));
+		assert.equal(
+			readCachedResponse(contractsPath, BASE_URL + contractsPath),
+			undefined
+		);
+
+		configureCache({ refresh: true });
+		const gradeSpecPath = "/api/grade_spec_collections/fbc886e6";
+		assert.equal(cacheAndRead(gradeSpecPath, { gradeSpecs: [] }), undefined);
+		configureCache({ refresh: false });
+		assert.deepEqual(
+			readCachedResponse(gradeSpecPath, BASE_URL + gradeSpecPath),
+			{ gradeSpecs: [] }
+		);
+	});
+});
@@ -0,0 +1,59 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+	configureCheckpoint,
+	startCheckpoint,
+	getCheckpointSummary,
+} = require("../checkpoint");
+
+describe("checkpoint manifest", () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+	const filePath = path.join(dir, "checkpoint.json");
+
+	after(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("rejects an unknown coop status on load", () => {
+		fs.writeFileSync(
+			filePath,
+			JSON.stringify({
+				state: "interrupted",
+				contracts: [
+					{
+						key: "fast-toys-2024",
+						contract: "fast-toys-2024",
+						run: null,
+						coops: { "fast-0": "done", "fast-5": "skipped" },
+					},
+				],
+			})
+		);
+		assert.throws(
+			() => configureCheckpoint({ filePath }),
+			/unknown status "skipped" for fast-toys-2024\/fast-5/
+		);
+	});
+
+	it("doesn't count contracts without coops as complete", () => {
+		fs.rmSync(filePath, { force: true });
+		configureCheckpoint({ filePath });
+		startCheckpoint(
+			[
+				{ contract: "fast-toys-2024", coops: [{ code: "fast-0" }] },
+				{ contract: "snow-shipping-2024", coops: [] },
+			],
+			new Map([["fast-toys-2024/fast-0", { error: false }]]),
+			"coops.json"
+		);
+
+		const summary = getCheckpointSummary();
+		assert.equal(summary.contracts, 1);
+		assert.equal(summary.completeContracts, 1);
+		assert.equal(summary.done, 1);
+	});
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCli, CliError } = require("../cli");
+
+describe("parseCli", () => {
+	it("runs by default and converts the option values", () => {
+		const { command, help, options } = parseCli([
+			"--start",
+			"2024-12-20",
+			"--end",
+			"2024-12-31",
+			"--max-parallel",
+			"10",
+			"--no-buff-history",
+		]);
+
+		assert.equal(command, "run");
+		assert.equal(help, false);
+		assert.deepEqual(options.start, new Date("2024-12-20"));
+		assert.deepEqual(options.end, new Date("2024-12-31"));
+		assert.equal(options.maxParallel, 10);
+		assert.equal(options.buffHistory, false);
+		assert.equal(options.outDir, "./files");
+	});
+
+	it("only sets the command of the help when one is given", () => {
+		assert.deepEqual(parseCli(["--help"]), {
+			command: undefined,
+			help: true,
+			options: {},
+		});
+		assert.equal(parseCli(["report", "-h"]).command, "report");
+	});
+
+	it("rejects unknown commands, invalid values and conflicting options", () => {
+		const dates = ["--start", "2024-12-20", "--end", "2024-12-31"];
+		const invalidArgs = [
+			[["publish"], /Unknown command "publish"/],
+			[["fetch", "--start", "2024-12-20"], /fetch requires/],
+			[
+				["fetch", "--start", "2024-12-31", "--end", "2024-12-20"],
+				/--start must not be after --end/,
+			],
+			[["run", ...dates, "--max-parallel", "0"], /--max-parallel/],
+			[
+				["run", ...dates, "--buff-history", "--no-buff-history"],
+				/cannot be combined/,
+			],
+			[["report", "--clear"], /--clear is not supported by report/],
+		];
+
+		for (const [args, message] of invalidArgs) {
+			assert.throws(() => parseCli(args), CliError);
+			assert.throws(() => parseCli(args), message);
+		}
+	});
+});
@@ -0,0 +1,241 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+	registerCoopSource,
+	getCoopsFromSources,
+} = require("../coopSources");
+const { startMockServer } = require("../mockServer");
+const { setEggCoopBaseURL } = require("../eggcoop");
+const { configureCache } = require("../cache");
+const { parseCli, CliError } = require("../cli");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+
+// Sources that return fixed entries, to check how the lists are merged
+registerCoopSource({
+	id: "test-runs",
+	description: "Two runs of fast-toys-2024",
+	getCoops: async () => [
+		{
+			contract: "fast-toys-2024",
+			run: "1734973200",
+			coops: [{ code: "fast-0", grade: "", users: ["player0"] }],
+		},
+		{
+			contract: "fast-toys-2024",
+			run: "1700000000",
+			coops: [{ code: "old-0", grade: "aaa", users: ["player9"] }],
+		},
+	],
+});
+registerCoopSource({
+	id: "test-latest",
+	description: "fast-toys-2024 without a run",
+	getCoops: async () => [
+		{
+			contract: "fast-toys-2024",
+			activeCoops: true,
+			coops: [
+				{
+					code: "fast-0",
+					grade: "GRADE_AA",
+					users: ["player0", "player1"],
+				},
+				{ code: "fast-1", grade: 2, users: ["player2"] },
+			],
+		},
+	],
+});
+registerCoopSource({
+	id: "test-failing",
+	description: "Always fails",
+	getCoops: async () => {
+		throw new Error("Source is down");
+	},
+});
+
+describe("merging coop sources", () => {
+	it("merges the coops of every source into the latest run", async () => {
+		const entries = await getCoopsFromSources(
+			["fast-toys-2024"],
+			["test-runs", "test-latest"]
+		);
+
+		assert.deepEqual(entries, [
+			{
+				contract: "fast-toys-2024",
+				run: "1734973200",
+				activeCoops: true,
+				coops: [
+					{ code: "fast-0", grade: "aa", users: ["player0", "player1"] },
+					{ code: "fast-1", grade: "b", users: ["player2"] },
+				],
+			},
+			{
+				contract: "fast-toys-2024",
+				run: "1700000000",
+				coops: [{ code: "old-0", grade: "aaa", users: ["player9"] }],
+			},
+		]);
+	});
+
+	it("skips a failing source, unless every source fails", async () => {
+		const entries = await getCoopsFromSources(
+			["fast-toys-2024"],
+			["test-failing", "test-latest"]
+		);
+		assert.deepEqual(
+			entries.map((entry) => entry.coops.length),
+			[2]
+		);
+
+		await assert.rejects(
+			getCoopsFromSources(["fast-toys-2024"], ["test-failing"]),
+			/Source is down/
+		);
+	});
+});
+
+describe("roster source", () => {
+	let tempDir;
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "roster-"));
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("reads a CSV roster with quoted fields and runs", async () => {
+		const rosterPath = path.join(tempDir, "roster.csv");
+		fs.writeFileSync(
+			rosterPath,
+			[
+				"code,contract,grade,users,startTime",
+				'fast-0,fast-toys-2024,aaa,"player0; player1",1734973200',
+				"fast-1,fast-toys-2024,GRADE_AA,,1734973200",
+				"other-0,other-2024,aaa,player2,",
+			].join("\r\n")
+		);
+
+		const entries = await getCoopsFromSources(
+			["fast-toys-2024"],
+			["roster"],
+			{ rosterPath, keepRuns: true }
+		);
+		assert.deepEqual(entries, [
+			{
+				contract: "fast-toys-2024",
+				startTime: "1734973200",
+				activeCoops: true,
+				run: "1734973200",
+				coops: [
+					{ code: "fast-0", grade: "aaa", users: ["player0", "player1"] },
+					{ code: "fast-1", grade: "aa", users: [] },
+				],
+			},
+		]);
+	});
+
+	it("reads a JSON roster that knows its coops have finished", async () => {
+		const rosterPath = path.join(tempDir, "roster.json");
+		fs.writeFileSync(
+			rosterPath,
+			JSON.stringify([
+				{
+					contract: "fast-toys-2024",
+					activeCoops: false,
+					coops: [{ code: "fast-0", grade: "aaa" }],
+				},
+			])
+		);
+
+		const entries = await getCoopsFromSources(
+			["fast-toys-2024"],
+			["roster"],
+			{ rosterPath }
+		);
+		assert.deepEqual(entries, [
+			{
+				contract: "fast-toys-2024",
+				activeCoops: false,
+				coops: [{ code: "fast-0", grade: "aaa", users: [] }],
+			},
+		]);
+	});
+
+	it("rejects a CSV roster without a required column", async () => {
+		const rosterPath = path.join(tempDir, "no-users.csv");
+		fs.writeFileSync(
+			rosterPath,
+			"contract,code,grade\nfast-toys-2024,fast-0,aaa"
+		);
+
+		await assert.rejects(
+			getCoopsFromSources(["fast-toys-2024"], ["roster"], { rosterPath }),
+			/has no users column/
+		);
+	});
+});
+
+describe("eggcoop source", () => {
+	let server;
+
+	before(async () => {
+		configureCache({ enabled: false });
+		const replay = await startMockServer(FIXTURES_DIR);
+		server = replay.server;
+		setEggCoopBaseURL(replay.eggCoopBaseURL);
+	});
+
+	after(() => {
+		server.close();
+	});
+
+	it("lists the registered coops, and none for contracts without a listing", async () => {
+		const entries = await getCoopsFromSources(
+			["fast-toys-2024", "unknown-2024"],
+			["eggcoop"]
+		);
+
+		assert.deepEqual(entries, [
+			{
+				contract: "fast-toys-2024",
+				activeCoops: true,
+				coops: [
+					{ code: "fast-0", grade: "aaa", users: ["player0", "player1"] },
+					{
+						code: "fast-5",
+						grade: "a",
+						users: ["player0", "player1", "player2"],
+					},
+				],
+			},
+		]);
+	});
+
+	it("can't be combined with --keep-runs", () => {
+		assert.throws(
+			() =>
+				parseCli([
+					"run",
+					"--start",
+					"2024-12-20",
+					"--end",
+					"2024-12-31",
+					"--source",
+					"eggcoop",
+					"--keep-runs",
+				]),
+			(error) =>
+				error instanceof CliError &&
+				error.message ===
+					"--keep-runs cannot be combined with --source eggcoop"
+		);
+	});
+});
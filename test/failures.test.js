@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { addBuffHistory } = require("../eggcoop");
+const { getCoopFailures } = require("../failures");
+const { configureLogger } = require("../logger");
+
+const INDEX_PATH = path.join(__dirname, "..", "index.js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+
+/**
+ * Runs a command of the CLI against replayed fixtures.
+ *
+ * @param {string[]} args - The command and its own options, e.g. ["retry-failed"].
+ * @param {string} fixturesDir - The fixtures to replay.
+ * @param {string} outDir - The output directory.
+ * @returns {import("child_process").SpawnSyncReturns<string>} The finished process.
+ */
+function runCli(args, fixturesDir, outDir) {
+	return spawnSync(
+		process.execPath,
+		[
+			INDEX_PATH,
+			...args,
+			"--replay",
+			fixturesDir,
+			"--out-dir",
+			outDir,
+			"--buff-history-delay",
+			"0",
+		],
+		{ cwd: outDir, encoding: "utf8", timeout: 120000 }
+	);
+}
+
+describe("getCoopFailures", () => {
+	before(() => {
+		configureLogger({ level: "error" });
+	});
+
+	it("reports a contributor without an eiUuid as a buff history failure", async () => {
+		const coop = {
+			coopContributors: [{ userName: "player0" }],
+		};
+		await addBuffHistory(coop, 0);
+
+		assert.deepEqual(coop.coopContributors[0].buffHistory, []);
+		assert.deepEqual(getCoopFailures(coop, { userData: [] }), [
+			{
+				stage: "buff-history",
+				contributor: null,
+				userName: "player0",
+				error: "Contributor has no eiUuid",
+			},
+		]);
+	});
+
+	it("only reports a coop status that couldn't be fetched", () => {
+		const coop = { status: "error", message: "404 Not Found" };
+		const record = { error: "Missing coop data" };
+
+		assert.deepEqual(getCoopFailures(coop, record), [
+			{
+				stage: "coop-status",
+				contributor: null,
+				userName: null,
+				error: "404 Not Found",
+			},
+		]);
+	});
+
+	it("reports a failed record and failed user metrics", () => {
+		const record = {
+			error: "Missing grade specs",
+			userData: [
+				{ eiUuid: "u0", userName: "player0" },
+				{ eiUuid: "u1", userName: "player1", error: "No contribution" },
+			],
+		};
+
+		assert.deepEqual(getCoopFailures({ coopContributors: [] }, record), [
+			{
+				stage: "coop-record",
+				contributor: null,
+				userName: null,
+				error: "Missing grade specs",
+			},
+			{
+				stage: "user-metrics",
+				contributor: "u1",
+				userName: "player1",
+				error: "No contribution",
+			},
+		]);
+	});
+});
+
+describe("retry-failed", () => {
+	let tempDir;
+	let fixturesDir;
+	let outDir;
+	const buffHistoryFixture = path.join(
+		"eggcoop",
+		"api",
+		"coop_contributor_uuids",
+		"fast-toys-2024-fast-0-u1.json"
+	);
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "retry-failed-"));
+		fixturesDir = path.join(tempDir, "fixtures");
+		outDir = path.join(tempDir, "out");
+		fs.cpSync(FIXTURES_DIR, fixturesDir, { recursive: true });
+		fs.mkdirSync(outDir);
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("processes a coop with a missing buff history again", () => {
+		// The buff history of one contributor can't be fetched during the run
+		fs.rmSync(path.join(fixturesDir, buffHistoryFixture));
+		const run = runCli(
+			["run", "--start", "2024-12-20", "--end", "2024-12-31"],
+			fixturesDir,
+			outDir
+		);
+		assert.equal(run.status, 0, run.stderr);
+
+		const failures = JSON.parse(
+			fs.readFileSync(path.join(outDir, "failures.json"), "utf8")
+		);
+		assert.deepEqual(
+			failures.map((entry) => [entry.coopKey, entry.failures[0].stage]),
+			[["fast-toys-2024/fast-0", "buff-history"]]
+		);
+
+		// It can be fetched again when retrying
+		fs.copyFileSync(
+			path.join(FIXTURES_DIR, buffHistoryFixture),
+			path.join(fixturesDir, buffHistoryFixture)
+		);
+		const retry = runCli(["retry-failed"], fixturesDir, outDir);
+		assert.equal(retry.status, 0, retry.stderr);
+
+		assert.equal(fs.existsSync(path.join(outDir, "failures.json")), false);
+		const records = JSON.parse(
+			fs.readFileSync(path.join(outDir, "coops.json"), "utf8")
+		);
+		assert.equal(records.length, 2);
+		const fast0 = records.find(
+			(record) => record.majCoopData.code === "fast-0"
+		);
+		assert.ok(fast0.userData.every((user) => !user.error));
+		assert.ok(
+			fast0.coopData.coopContributors.every(
+				(contributor) =>
+					contributor.buffHistory.length > 0 && !contributor.buffHistoryError
+			)
+		);
+	});
+});
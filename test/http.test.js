@@ -0,0 +1,40 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { configureHttp, fetchJSON } = require("../http");
+
+describe("fetchJSON retries", () => {
+	let server;
+	let url;
+	let requests = 0;
+
+	before(async () => {
+		// The first request is rate limited for an hour, the retry succeeds
+		server = http.createServer((request, response) => {
+			requests++;
+			if (requests === 1) {
+				response.writeHead(429, { "Retry-After": "3600" });
+				response.end();
+				return;
+			}
+			response.writeHead(200, { "Content-Type": "application/json" });
+			response.end(JSON.stringify({ ok: true }));
+		});
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		url = `http://127.0.0.1:${server.address().port}/`;
+	});
+
+	after(() => {
+		server.close();
+	});
+
+	it("waits at most the maximum backoff delay for a Retry-After", async () => {
+		configureHttp({ retries: 1, retryMaxDelayMs: 100 });
+		const startedAt = Date.now();
+
+		assert.deepEqual(await fetchJSON(url), { ok: true });
+		assert.equal(requests, 2);
+		assert.ok(Date.now() - startedAt < 5000);
+	});
+});
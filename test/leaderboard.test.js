@@ -0,0 +1,50 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { formatLeaderboardCsv } = require("../leaderboard");
+
+/**
+ * Creates a leaderboard row for a player.
+ *
+ * @param {string} userName - The name of the player.
+ * @returns {Object} The row, like buildLeaderboard makes it.
+ */
+function createRow(userName) {
+	return {
+		rank: 1,
+		player: "u0",
+		userName,
+		contractsPlayed: 1,
+		coops: 1,
+		totalCS: -5,
+		averageCS: -5,
+		totalUpperCS: 10,
+		averageUpperCS: 10,
+		averageContributionRatio: 1,
+		averageBuffRatio: 1,
+		greenScrollRate: 1,
+		grades: { aaa: 1 },
+	};
+}
+
+describe("formatLeaderboardCsv", () => {
+	it("shows names that look like formulas as text", () => {
+		for (const [userName, field] of [
+			['=HYPERLINK("x")', `"'=HYPERLINK(""x"")"`],
+			["+1", `"'+1"`],
+			["-1", `"'-1"`],
+			["@SUM(A1)", `"'@SUM(A1)"`],
+		]) {
+			const csv = formatLeaderboardCsv([createRow(userName)]);
+			assert.equal(csv.split("\n")[1].split(",")[2], field);
+		}
+	});
+
+	it("keeps negative numbers and plain names as they are", () => {
+		const csv = formatLeaderboardCsv([createRow("player0")]);
+		assert.equal(
+			csv.split("\n")[1],
+			"1,u0,player0,1,1,-5,-5,10,10,1,1,1,1,0,0,0,0"
+		);
+	});
+});
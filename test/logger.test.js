@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { configureLogger, getRunLogPath, logger } = require("../logger");
+
+/**
+ * Calls a function and collects what it writes to stdout and stderr.
+ *
+ * @param {Function} callback - The function to call.
+ * @returns {{ stdout: string, stderr: string }} The written text.
+ */
+function captureOutput(callback) {
+	const output = { stdout: "", stderr: "" };
+	const originalWrites = {};
+	for (const name of ["stdout", "stderr"]) {
+		originalWrites[name] = process[name].write;
+		process[name].write = (chunk) => {
+			output[name] += chunk;
+			return true;
+		};
+	}
+	try {
+		callback();
+	} finally {
+		for (const name of ["stdout", "stderr"]) {
+			process[name].write = originalWrites[name];
+		}
+	}
+	return output;
+}
+
+describe("logger", () => {
+	let tempDir;
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "logger-"));
+	});
+
+	after(() => {
+		configureLogger({ level: "info", logFile: null });
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("prints the enabled levels and writes every level to the run log", () => {
+		const logFile = path.join(tempDir, "logs", "run.jsonl");
+		configureLogger({ level: "warn", logFile });
+
+		const error = new Error("HTTP error! Status: 500");
+		error.status = 500;
+		const output = captureOutput(() => {
+			logger.info("Processing coops", { contract: "fast-toys-2024" });
+			logger.warn("Failed to fetch the buff history", {
+				contract: "fast-toys-2024",
+				coop: "fast-0",
+				eiUuid: "EI123",
+				stage: "buff-history",
+				error,
+			});
+		});
+
+		assert.equal(output.stdout, "");
+		assert.equal(
+			output.stderr,
+			"Failed to fetch the buff history: HTTP error! Status: 500 " +
+				"(contract fast-toys-2024, coop fast-0, eiUuid EI123, stage buff-history)\n"
+		);
+
+		const entries = fs
+			.readFileSync(logFile, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		assert.deepEqual(
+			entries.map(({ time, error, ...entry }) => entry),
+			[
+				{
+					level: "info",
+					message: "Processing coops",
+					contract: "fast-toys-2024",
+				},
+				{
+					level: "warn",
+					message: "Failed to fetch the buff history",
+					contract: "fast-toys-2024",
+					coop: "fast-0",
+					eiUuid: "EI123",
+					stage: "buff-history",
+				},
+			]
+		);
+		assert.equal(entries[1].error.message, "HTTP error! Status: 500");
+		assert.equal(entries[1].error.status, 500);
+		assert.ok(entries[1].error.stack);
+	});
+
+	it("rejects unknown levels", () => {
+		assert.throws(
+			() => configureLogger({ level: "trace" }),
+			/Unknown log level "trace"/
+		);
+	});
+
+	it("names run logs after the command and start time", () => {
+		assert.equal(
+			getRunLogPath("logs", "run", new Date("2025-04-12T10:00:00Z")),
+			path.join("logs", "run-2025-04-12T10-00-00-000Z.jsonl")
+		);
+	});
+});
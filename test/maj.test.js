@@ -0,0 +1,216 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { filterUniqueContracts, getMajCoops } = require("../maj");
+const { configureHttp } = require("../http");
+const { findContractForRun, getCoopKey } = require("../tools");
+
+const INDEX_PATH = path.join(__dirname, "..", "index.js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+
+// The first run of fast-toys-2024, a second registration wave and a rerun a year later
+const ENTRIES = [
+	{ contract: "fast-toys-2024", startTime: "1734973200", coops: [] },
+	{ contract: "fast-toys-2024", startTime: "1735059600", coops: [] },
+	{ contract: "fast-toys-2024", startTime: "1766509200", coops: [] },
+	{ contract: "fast-toys-2024", startTime: "1766509200", coops: [] },
+	{ contract: "other-2024", startTime: "invalid", coops: [] },
+];
+
+describe("filterUniqueContracts", () => {
+	it("keeps the latest run of every contract", () => {
+		assert.deepEqual(filterUniqueContracts(ENTRIES), [ENTRIES[2]]);
+	});
+
+	it("keeps every run with keepRuns", () => {
+		assert.deepEqual(
+			filterUniqueContracts(ENTRIES, { keepRuns: true }).map(
+				(entry) => entry.run
+			),
+			["1734973200", "1735059600", "1766509200"]
+		);
+	});
+});
+
+describe("findContractForRun", () => {
+	const contracts = [
+		{
+			contractIdentifier: "fast-toys-2024",
+			uuid: "first",
+			startTime: "2024-12-23T17:00:00Z",
+			expirationTime: "2025-01-13T17:00:00Z",
+		},
+		{
+			contractIdentifier: "fast-toys-2024",
+			uuid: "rerun",
+			startTime: "2025-12-23T17:00:00Z",
+			expirationTime: "2026-01-13T17:00:00Z",
+		},
+	];
+
+	it("finds the contract period a run started in", () => {
+		const [first, wave, rerun] = filterUniqueContracts(ENTRIES, {
+			keepRuns: true,
+		});
+		assert.equal(findContractForRun(contracts, first).uuid, "first");
+		assert.equal(findContractForRun(contracts, wave).uuid, "first");
+		assert.equal(findContractForRun(contracts, rerun).uuid, "rerun");
+		assert.equal(
+			findContractForRun(contracts, { ...rerun, run: "1800000000" }),
+			null
+		);
+	});
+
+	it("takes the first period for entries without a run", () => {
+		assert.equal(findContractForRun(contracts, ENTRIES[2]).uuid, "first");
+	});
+});
+
+describe("getCoopKey", () => {
+	it("keeps the coops of different runs apart", () => {
+		assert.equal(
+			getCoopKey("fast-toys-2024", "fast-0"),
+			"fast-toys-2024/fast-0"
+		);
+		assert.equal(
+			getCoopKey("fast-toys-2024", "fast-0", "1766509200"),
+			"fast-toys-2024@1766509200/fast-0"
+		);
+	});
+});
+
+describe("--keep-runs", () => {
+	let tempDir;
+	let fixturesDir;
+	let outDir;
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "keep-runs-"));
+		fixturesDir = path.join(tempDir, "fixtures");
+		outDir = path.join(tempDir, "out");
+		fs.cpSync(FIXTURES_DIR, fixturesDir, { recursive: true });
+		fs.mkdirSync(outDir);
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("stores the same coop code of two runs as separate coops", () => {
+		// Two registration waves of the same contract period reuse the code fast-0
+		const wonkyPath = path.join(fixturesDir, "wonky/fast-toys-2024.json");
+		const [majCoopsObject] = JSON.parse(fs.readFileSync(wonkyPath, "utf8"));
+		const fast0 = majCoopsObject.coops.filter(
+			(coop) => coop.code === "fast-0"
+		);
+		fs.writeFileSync(
+			wonkyPath,
+			JSON.stringify([
+				{ ...majCoopsObject, coops: fast0 },
+				{ ...majCoopsObject, startTime: "1735059600", coops: fast0 },
+			])
+		);
+
+		const run = spawnSync(
+			process.execPath,
+			[
+				INDEX_PATH,
+				"run",
+				"--start",
+				"2024-12-20",
+				"--end",
+				"2024-12-31",
+				"--keep-runs",
+				"--replay",
+				fixturesDir,
+				"--out-dir",
+				outDir,
+			],
+			{ cwd: outDir, encoding: "utf8", timeout: 120000 }
+		);
+		assert.equal(run.status, 0, run.stderr);
+
+		const records = JSON.parse(
+			fs.readFileSync(path.join(outDir, "coops.json"), "utf8")
+		);
+		assert.deepEqual(
+			records.map((record) => [
+				record.majCoopData.run,
+				record.majCoopData.code,
+				record.contractData.contractIdentifier,
+			]),
+			[
+				["1734973200", "fast-0", "fast-toys-2024"],
+				["1735059600", "fast-0", "fast-toys-2024"],
+			]
+		);
+	});
+});
+
+describe("getMajCoops", () => {
+	let server;
+	const requestedChunks = [];
+	const originalEndpoint = process.env.MAJ_ENDPOINT;
+
+	before(async () => {
+		// Answers every contract with one entry, and fails chunks with broken-2024
+		server = http.createServer((request, response) => {
+			const { searchParams } = new URL(request.url, "http://localhost");
+			const kevIDs = searchParams.getAll("contract");
+			requestedChunks.push(kevIDs);
+			if (kevIDs.includes("broken-2024")) {
+				response.writeHead(500);
+				response.end();
+				return;
+			}
+			response.writeHead(200, { "Content-Type": "application/json" });
+			response.end(
+				JSON.stringify(
+					kevIDs.map((contract) => ({
+						contract,
+						startTime: "1734973200",
+						coops: [{ code: `${contract}-0`, grade: "aaa", users: [] }],
+					}))
+				)
+			);
+		});
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		const { port } = server.address();
+		process.env.MAJ_ENDPOINT = `http://127.0.0.1:${port}/wonky`;
+		configureHttp({ retries: 0 });
+	});
+
+	after(() => {
+		server.close();
+		if (originalEndpoint === undefined) delete process.env.MAJ_ENDPOINT;
+		else process.env.MAJ_ENDPOINT = originalEndpoint;
+	});
+
+	it("continues without the contracts of a failed chunk", async () => {
+		requestedChunks.length = 0;
+		const kevIDs = ["a-2024", "b-2024", "broken-2024", "c-2024", "d-2024"];
+		const coops = await getMajCoops(kevIDs, { chunkSize: 2 });
+
+		assert.deepEqual(requestedChunks, [
+			["a-2024", "b-2024"],
+			["broken-2024", "c-2024"],
+			["d-2024"],
+		]);
+		assert.deepEqual(
+			coops.map((entry) => entry.contract),
+			["a-2024", "b-2024", "d-2024"]
+		);
+	});
+
+	it("fails if every chunk fails", async () => {
+		await assert.rejects(
+			getMajCoops(["broken-2024"], { chunkSize: 1 }),
+			/Failed to fetch coop data: HTTP error! Status: 500/
+		);
+	});
+});
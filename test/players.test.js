@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { assignPlayerKeys, getPlayerRegistryStats } = require("../players");
+const { buildLeaderboard } = require("../leaderboard");
+
+/**
+ * Creates a processed coop record with the given users.
+ *
+ * @param {string} code - The coop code.
+ * @param {Array<{ eiUuid: string, userName: string }>} users - The users of the coop.
+ * @returns {Object} The coop record.
+ */
+function createRecord(code, users) {
+	return {
+		contractData: { contractIdentifier: "fast-toys-2024" },
+		majCoopData: { code, grade: "aaa" },
+		userData: users.map((user) => ({
+			...user,
+			cs: 100,
+			upperCS: 200,
+			contributionRatio: 1,
+			buffValue: 0,
+			coopDurationSeconds: 1000,
+			greenScroll: true,
+		})),
+	};
+}
+
+describe("anonymous users", () => {
+	const anonymous = { eiUuid: "unknown", userName: "unknown" };
+	const records = [
+		createRecord("anonymous-0", [
+			anonymous,
+			{ eiUuid: "u0", userName: "player0" },
+		]),
+		createRecord("anonymous-1", [anonymous]),
+	];
+
+	it("aren't registered as players", () => {
+		const before = getPlayerRegistryStats().players;
+		for (const record of records) assignPlayerKeys(record);
+
+		assert.equal(getPlayerRegistryStats().players, before + 1);
+		assert.equal(records[0].userData[0].playerKey, undefined);
+		assert.equal(records[0].userData[1].playerKey, "u0");
+		assert.equal(records[1].userData[0].playerKey, undefined);
+	});
+
+	it("are left out of the leaderboard", () => {
+		const rows = buildLeaderboard(records);
+		assert.deepEqual(
+			rows.map((row) => row.player),
+			["u0"]
+		);
+	});
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { RateLimiter } = require("../rateLimiter");
+
+/**
+ * Returns a promise and the function that resolves it.
+ *
+ * @returns {{ promise: Promise<void>, resolve: Function }} The deferred promise.
+ */
+function createDeferred() {
+	let resolve;
+	const promise = new Promise((done) => (resolve = done));
+	return { promise, resolve };
+}
+
+describe("RateLimiter", () => {
+	it("starts a burst at once and the rest at the refill rate", async () => {
+		const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+		const startTimes = [];
+		const startedAt = Date.now();
+
+		await Promise.all(
+			Array.from({ length: 4 }, () =>
+				limiter.schedule(async () => startTimes.push(Date.now() - startedAt))
+			)
+		);
+
+		// A token every 50 ms after the burst of two
+		assert.ok(startTimes[1] < 40);
+		assert.ok(startTimes[2] >= 40);
+		assert.ok(startTimes[3] >= 90);
+	});
+
+	it("runs at most maxInFlight tasks at the same time", async () => {
+		const limiter = new RateLimiter({
+			requestsPerSecond: 1000,
+			maxInFlight: 2,
+		});
+		const tasks = Array.from({ length: 3 }, createDeferred);
+		let running = 0;
+		let mostRunning = 0;
+
+		const results = tasks.map((deferred, index) =>
+			limiter.schedule(async () => {
+				running++;
+				mostRunning = Math.max(mostRunning, running);
+				await deferred.promise;
+				running--;
+				return index;
+			})
+		);
+		assert.equal(limiter.getStats().inFlight, 2);
+		assert.equal(limiter.getStats().queued, 1);
+
+		for (const deferred of tasks) deferred.resolve();
+		assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+		assert.equal(mostRunning, 2);
+	});
+
+	it("passes on failed tasks and counts them", async () => {
+		const limiter = new RateLimiter();
+
+		await assert.rejects(
+			limiter.schedule(async () => {
+				throw new Error("HTTP error! Status: 500");
+			}),
+			/Status: 500/
+		);
+		await limiter.schedule(async () => null);
+
+		const { completed, failed } = limiter.getStats();
+		assert.deepEqual({ completed, failed }, { completed: 1, failed: 1 });
+	});
+});
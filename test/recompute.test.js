@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const INDEX_PATH = path.join(__dirname, "..", "index.js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+
+/**
+ * Runs a command of the CLI in the output directory.
+ *
+ * @param {string} cwd - The output directory.
+ * @param {string[]} args - The command and its options.
+ * @returns {import("child_process").SpawnSyncReturns<string>} The finished process.
+ */
+function runCli(cwd, args) {
+	return spawnSync(process.execPath, [INDEX_PATH, ...args], {
+		cwd,
+		encoding: "utf8",
+		timeout: 120000,
+	});
+}
+
+/**
+ * Reads a JSON file.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {*} The parsed content.
+ */
+function readJson(filePath) {
+	return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Returns the scores of the users of a coop record.
+ *
+ * @param {Object} record - The coop record.
+ * @returns {Array<{ cs: number, upperCS: number, playerKey: string }>} The scores.
+ */
+function getScores(record) {
+	return record.userData.map(({ cs, upperCS, playerKey }) => ({
+		cs,
+		upperCS,
+		playerKey,
+	}));
+}
+
+describe("recompute command", () => {
+	let tempDir;
+	let outDir;
+	let coopsPath;
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "recompute-"));
+		outDir = path.join(tempDir, "out");
+		fs.mkdirSync(outDir);
+		const result = runCli(outDir, [
+			"run",
+			"--start",
+			"2024-12-20",
+			"--end",
+			"2024-12-31",
+			"--replay",
+			FIXTURES_DIR,
+			"--out-dir",
+			outDir,
+		]);
+		assert.equal(result.status, 0, result.stderr);
+		coopsPath = path.join(outDir, "coops.json");
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("recalculates the same metrics and keeps the player keys", () => {
+		const records = readJson(coopsPath);
+		records[0].userData[0].playerKey = "linked-player";
+		// A coop whose status was never fetched
+		records.push({
+			contractData: { contractIdentifier: "fast-toys-2024" },
+			majCoopData: { code: "fast-9", grade: "aaa" },
+			error: "HTTP error! Status: 404",
+		});
+		fs.writeFileSync(coopsPath, JSON.stringify(records, null, 1));
+
+		const outPath = path.join(outDir, "coops-recomputed.json");
+		const result = runCli(outDir, [
+			"recompute",
+			"--in",
+			coopsPath,
+			"--out",
+			outPath,
+		]);
+		assert.equal(result.status, 0, result.stderr);
+
+		const recomputed = readJson(outPath);
+		assert.equal(recomputed.length, 3);
+		for (const [index, record] of records.slice(0, 2).entries()) {
+			assert.deepEqual(getScores(recomputed[index]), getScores(record));
+		}
+		assert.equal(recomputed[0].userData[0].playerKey, "linked-player");
+		assert.deepEqual(recomputed[2], records[2]);
+	});
+
+	it("refuses to overwrite an existing file", () => {
+		const result = runCli(outDir, [
+			"recompute",
+			"--in",
+			coopsPath,
+			"--out",
+			coopsPath,
+		]);
+		assert.notEqual(result.status, 0);
+		assert.match(result.stderr, /already exists/);
+	});
+});
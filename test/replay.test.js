@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { startMockServer } = require("../mockServer");
+const {
+	getEggCoopContractsList,
+	getEggCoopCoop,
+	setEggCoopBaseURL,
+} = require("../eggcoop");
+const { getMajCoops } = require("../maj");
+const { configureCache } = require("../cache");
+const { configureLogger } = require("../logger");
+const { getCoopDuration } = require("../tools");
+const { handleCoop } = require("../index");
+
+/**
+ * Processes the coops of fast-toys-2024 recorded in test/fixtures/replay, the way the run command
+ * does: the coop status with buff history from EggCoop, the grade from Wonky, then handleCoop.
+ *
+ * - fast-0 (grade AAA) reached its goal 10000 seconds before the status, with 222000 seconds left.
+ * - fast-5 (grade A) didn't reach its goal yet, so its duration is projected.
+ *
+ * Every grade of the contract lasts 432000 seconds, the goals are listed in the grade specs fixture.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+const CONTRACT = "fast-toys-2024";
+const CONTRACT_LENGTH_SECONDS = 432000;
+
+/**
+ * Returns the main goal of a grade, the last goal of its grade spec.
+ *
+ * @param {Object} contract - The contract, with its grade specs.
+ * @param {string} grade - The grade, e.g. "aaa".
+ * @returns {number} The target amount of the last goal.
+ */
+function getMainGoal(contract, grade) {
+	const gradeSpec = contract.gradeSpecs.find(
+		(spec) => spec.grade.eiIdentifier === `GRADE_${grade.toUpperCase()}`
+	);
+	return gradeSpec.goalCollection.goals.at(-1).targetAmount;
+}
+
+describe("replaying recorded fixtures", () => {
+	let server;
+	const records = new Map();
+
+	before(async () => {
+		configureLogger({ level: "error" });
+		configureCache({ enabled: false });
+		const replay = await startMockServer(FIXTURES_DIR);
+		server = replay.server;
+		setEggCoopBaseURL(replay.eggCoopBaseURL);
+		process.env.MAJ_ENDPOINT = replay.majEndpoint;
+
+		const contracts = await getEggCoopContractsList();
+		const contract = contracts.find(
+			(contract) => contract.contractIdentifier === CONTRACT
+		);
+		const [majCoopsObject] = await getMajCoops([CONTRACT]);
+		for (const coop of majCoopsObject.coops) {
+			const eggCoopCoop = await getEggCoopCoop(CONTRACT, coop.code, true, 0);
+			records.set(coop.code, await handleCoop(eggCoopCoop, contract, coop));
+		}
+	});
+
+	after(() => {
+		server?.close();
+	});
+
+	it("processes every recorded coop without errors", () => {
+		assert.deepEqual([...records.keys()], ["fast-0", "fast-5"]);
+		for (const record of records.values()) {
+			assert.equal(record.error, undefined);
+			assert.equal(record.contractData.contractIdentifier, CONTRACT);
+			assert.equal(
+				record.userData.length,
+				record.coopData.coopContributors.length
+			);
+		}
+	});
+
+	it("uses the final duration of a coop that reached its goal", () => {
+		const record = records.get("fast-0");
+		const expected = CONTRACT_LENGTH_SECONDS - 222000 - 10000;
+		assert.equal(
+			getCoopDuration(
+				record.coopData,
+				CONTRACT_LENGTH_SECONDS,
+				getMainGoal(record.contractData, "aaa")
+			),
+			expected
+		);
+		for (const user of record.userData) {
+			assert.equal(user.coopDurationSeconds, expected);
+			assert.equal(user.greenScroll, true);
+			assert.ok(user.buffHistory.length > 0);
+		}
+	});
+
+	it("projects the duration of a coop that didn't reach its goal", () => {
+		const record = records.get("fast-5");
+		const { coopContributors, totalAmount, secondsRemaining } =
+			record.coopData;
+
+		// The eggs shipped while offline count, the rest is shipped at the current rates
+		const totalRate = coopContributors.reduce(
+			(sum, contributor) => sum + contributor.contributionRatePerSecond,
+			0
+		);
+		const offlineEggs = coopContributors.reduce(
+			(sum, contributor) =>
+				sum + contributor.contributionRatePerSecond * contributor.offlineSeconds,
+			0
+		);
+		const mainGoal = getMainGoal(record.contractData, "a");
+		const expected =
+			CONTRACT_LENGTH_SECONDS -
+			secondsRemaining +
+			(mainGoal - totalAmount - offlineEggs) / totalRate;
+
+		const duration = getCoopDuration(
+			record.coopData,
+			CONTRACT_LENGTH_SECONDS,
+			mainGoal
+		);
+		assert.ok(Number.isFinite(duration));
+		assert.ok(Math.abs(duration - expected) < 1e-6);
+		for (const user of record.userData) {
+			assert.equal(user.coopDurationSeconds, duration);
+			assert.equal(user.greenScroll, false);
+		}
+	});
+});
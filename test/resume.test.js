@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const INDEX_PATH = path.join(__dirname, "..", "index.js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+
+/**
+ * Runs the run command against replayed fixtures.
+ *
+ * @param {string} fixturesDir - The fixtures to replay.
+ * @param {string} outDir - The output directory.
+ * @param {string[]} [args=[]] - Additional options.
+ * @returns {import("child_process").SpawnSyncReturns<string>} The finished process.
+ */
+function runCli(fixturesDir, outDir, args = []) {
+	return spawnSync(
+		process.execPath,
+		[
+			INDEX_PATH,
+			"run",
+			"--start",
+			"2024-12-20",
+			"--end",
+			"2024-12-31",
+			"--replay",
+			fixturesDir,
+			"--out-dir",
+			outDir,
+			...args,
+		],
+		{ cwd: outDir, encoding: "utf8", timeout: 120000 }
+	);
+}
+
+describe("resuming a run", () => {
+	let tempDir;
+	let fixturesDir;
+	let outDir;
+
+	/**
+	 * Returns the path of a recorded coop status.
+	 *
+	 * @param {string} dir - The fixtures directory.
+	 * @param {string} code - The coop code.
+	 * @returns {string} Path of the fixture.
+	 */
+	const getStatusPath = (dir, code) =>
+		path.join(
+			dir,
+			"eggcoop/api/coops/fast-toys-2024",
+			code,
+			"statuses/latest.json"
+		);
+
+	/**
+	 * Returns whether the coops in the coops file failed, by coop code.
+	 *
+	 * @returns {Object<string, boolean>} Whether each coop has an error record.
+	 */
+	const readErrors = () =>
+		Object.fromEntries(
+			JSON.parse(fs.readFileSync(path.join(outDir, "coops.json"), "utf8")).map(
+				(record) => [record.majCoopData.code, !!record.error]
+			)
+		);
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "resume-"));
+		fixturesDir = path.join(tempDir, "fixtures");
+		outDir = path.join(tempDir, "out");
+		fs.cpSync(FIXTURES_DIR, fixturesDir, { recursive: true });
+		fs.mkdirSync(outDir);
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("skips processed coops and retries failed ones", () => {
+		fs.rmSync(getStatusPath(fixturesDir, "fast-5"));
+		const first = runCli(fixturesDir, outDir);
+		assert.equal(first.status, 0, first.stderr);
+		assert.deepEqual(readErrors(), { "fast-0": false, "fast-5": true });
+
+		// fast-0 would fail now, but it isn't fetched again
+		fs.rmSync(getStatusPath(fixturesDir, "fast-0"));
+		fs.cpSync(
+			getStatusPath(FIXTURES_DIR, "fast-5"),
+			getStatusPath(fixturesDir, "fast-5")
+		);
+		const second = runCli(fixturesDir, outDir);
+		assert.equal(second.status, 0, second.stderr);
+		assert.deepEqual(readErrors(), { "fast-0": false, "fast-5": false });
+	});
+
+	it("processes every coop of a refreshed contract again", () => {
+		const refreshed = runCli(fixturesDir, outDir, [
+			"--refresh-contract",
+			"fast-toys-2024",
+		]);
+		assert.equal(refreshed.status, 0, refreshed.stderr);
+		assert.deepEqual(readErrors(), { "fast-0": true, "fast-5": false });
+	});
+});
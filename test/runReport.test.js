@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+	startRunReport,
+	startPhase,
+	recordRequest,
+	recordInvalidResponse,
+	checkDataQuality,
+	saveRunReport,
+} = require("../runReport");
+
+const BUFF_HISTORY = [
+	{ server_time: 1734973200, egg_laying_buff: 1.1, earnings_buff: 1.2 },
+];
+
+/**
+ * Creates a processed coop record of fast-toys-2024.
+ *
+ * @param {string} code - The coop code.
+ * @param {Object} coopData - The coop status.
+ * @param {Array<Object>} userData - The users.
+ * @returns {Object} The coop record.
+ */
+function createRecord(code, coopData, userData) {
+	return {
+		coopData,
+		contractData: { contractIdentifier: "fast-toys-2024" },
+		majCoopData: { code, grade: "aaa" },
+		userData,
+	};
+}
+
+/**
+ * Creates a coop store that only reads records.
+ *
+ * @param {Array<Object>} records - The stored records.
+ * @returns {Object} The coop store, see storage.js.
+ */
+function createStore(records) {
+	return { forEach: (callback) => records.forEach(callback) };
+}
+
+describe("checkDataQuality", () => {
+	const finished = { allGoalsAchieved: true, allMembersReporting: true };
+	const player0 = { eiUuid: "u0", userName: "player0" };
+	const player1 = { eiUuid: "u1", userName: "player1" };
+
+	it("lists the coops and users with issues", () => {
+		const store = createStore([
+			createRecord("fast-0", { allGoalsAchieved: false }, []),
+			createRecord("fast-1", finished, [{ ...player0, buffHistory: [] }]),
+			createRecord(
+				"fast-5",
+				{ allGoalsAchieved: false, allMembersReporting: false },
+				[
+					{ ...player0, buffHistory: [] },
+					{ ...player1, buffHistory: [], error: "No contribution" },
+				]
+			),
+			{ ...createRecord("fast-9", {}, []), error: "404 Not Found" },
+			// Replaces the earlier fast-0 record
+			createRecord("fast-0", finished, [
+				{ ...player0, buffHistory: BUFF_HISTORY },
+			]),
+		]);
+
+		assert.deepEqual(checkDataQuality(store), {
+			records: 4,
+			users: 4,
+			errorRecords: [
+				{ coopKey: "fast-toys-2024/fast-9", error: "404 Not Found" },
+			],
+			notAllMembersReporting: ["fast-toys-2024/fast-5"],
+			noGreenScroll: ["fast-toys-2024/fast-5"],
+			projectedDuration: ["fast-toys-2024/fast-5"],
+			emptyBuffHistory: [
+				{ coopKey: "fast-toys-2024/fast-1", ...player0 },
+				{ coopKey: "fast-toys-2024/fast-5", ...player0 },
+			],
+			userErrors: [
+				{
+					coopKey: "fast-toys-2024/fast-5",
+					...player1,
+					error: "No contribution",
+				},
+			],
+		});
+	});
+});
+
+describe("saveRunReport", () => {
+	let tempDir;
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "run-report-"));
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("writes the requests and phases of the run", () => {
+		const filePath = path.join(tempDir, "runReport.json");
+		startRunReport("run");
+		startPhase("fetch contracts");
+		recordRequest("EggCoop /contracts");
+		startPhase("process coops");
+		recordRequest("Wonky", { attempts: 3, failed: true });
+		recordRequest("Wonky", { attempts: 2 });
+		recordRequest("Wonky", { cached: true });
+		recordInvalidResponse("Wonky");
+		const dataQuality = checkDataQuality(createStore([]));
+
+		const report = saveRunReport(filePath, {
+			state: "finished",
+			coops: { processed: 2, total: 3, pending: 1 },
+			dataQuality,
+		});
+
+		assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), report);
+		assert.equal(report.command, "run");
+		assert.equal(report.state, "finished");
+		assert.deepEqual(
+			report.phases.map((phase) => phase.name),
+			["fetch contracts", "process coops"]
+		);
+		assert.deepEqual(report.requests, {
+			"EggCoop /contracts": {
+				requests: 1,
+				cached: 0,
+				attempts: 1,
+				failed: 0,
+				invalid: 0,
+			},
+			Wonky: { requests: 2, cached: 1, attempts: 5, failed: 1, invalid: 1 },
+		});
+		assert.deepEqual(report.coops, { processed: 2, total: 3, pending: 1 });
+	});
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+	configureSchemas,
+	validateResponse,
+	SchemaError,
+} = require("../schemas");
+const { configureLogger } = require("../logger");
+
+const LISTING_ENDPOINT = "EggCoop /coops/:contract";
+const STATUS_ENDPOINT = "EggCoop /coops/:contract/:coop/statuses/latest";
+const COOPS_DIR = path.join(
+	__dirname,
+	"fixtures/replay/eggcoop/api/coops/fast-toys-2024"
+);
+
+/**
+ * Returns a copy of the recorded fast-5 status.
+ *
+ * @returns {EggCoop.Coop} The coop status.
+ */
+function getStatus() {
+	return structuredClone(
+		require(path.join(COOPS_DIR, "fast-5/statuses/latest.json"))
+	);
+}
+
+describe("validateResponse", () => {
+	before(() => {
+		configureLogger({ level: "error" });
+	});
+
+	after(() => {
+		configureSchemas({ mode: "lenient" });
+	});
+
+	it("accepts the recorded responses", () => {
+		configureSchemas({ mode: "strict" });
+		const status = getStatus();
+		assert.equal(validateResponse(STATUS_ENDPOINT, status), status);
+
+		const listing = require(`${COOPS_DIR}.json`);
+		assert.equal(validateResponse(LISTING_ENDPOINT, listing), listing);
+	});
+
+	it("accepts either contribution rate field", () => {
+		configureSchemas({ mode: "strict" });
+		const status = getStatus();
+		delete status.coopContributors[0].contributionRate;
+		delete status.coopContributors[1].contributionRatePerSecond;
+
+		assert.equal(validateResponse(STATUS_ENDPOINT, status), status);
+	});
+
+	it("names every field that doesn't match in strict mode", () => {
+		configureSchemas({ mode: "strict" });
+		const status = getStatus();
+		delete status.secondsRemaining;
+		delete status.coopContributors[1].contributionRate;
+		delete status.coopContributors[1].contributionRatePerSecond;
+
+		assert.throws(
+			() => validateResponse(STATUS_ENDPOINT, status, "fast-5"),
+			(error) =>
+				error instanceof SchemaError &&
+				error.message ===
+					"fast-5 doesn't match its schema: secondsRemaining: missing; " +
+						"coopContributors[1]: needs contributionRate or contributionRatePerSecond"
+		);
+	});
+
+	it("uses an invalid response anyway in lenient mode", () => {
+		configureSchemas({ mode: "lenient" });
+		const listing = [{ code: "fast-0", grade: 5 }];
+
+		assert.equal(validateResponse(LISTING_ENDPOINT, listing), listing);
+	});
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { getAchievableTeamworkMaximums } = require("../scoring");
+const { getScoringModel } = require("../scoringModels");
+
+// The recorded fast-toys-2024: maxCoopSize 5, chickenRunCooldownMinutes 180, minutesPerToken 60
+const [contract] = require(
+	path.join(__dirname, "fixtures/replay/eggcoop/api/contracts.json")
+);
+
+describe("getAchievableTeamworkMaximums", () => {
+	const v1 = getScoringModel("v1");
+
+	it("caps chicken runs at the other members of the coop", () => {
+		assert.deepEqual(getAchievableTeamworkMaximums(v1, contract, 200000), {
+			maxChickenRuns: 4,
+			maxTokenValue: 10,
+		});
+	});
+
+	it("caps chicken runs and tokens by the cooldowns of a short coop", () => {
+		// 300 minutes: a run at the start and one after 180 minutes, a token every 60 minutes
+		assert.deepEqual(getAchievableTeamworkMaximums(v1, contract, 18000), {
+			maxChickenRuns: 2,
+			maxTokenValue: 5,
+		});
+	});
+
+	it("gives the upper teamwork of the worked example", () => {
+		const { maxChickenRuns, maxTokenValue } = getAchievableTeamworkMaximums(
+			v1,
+			contract,
+			200000
+		);
+		const teamWork = v1.getTeamWork({
+			buffRatio: (200000 * v1.buffWeights.deflector * 0.2) / 200000,
+			chickenRuns: maxChickenRuns,
+			tokenValue: maxTokenValue,
+		});
+		assert.ok(Math.abs(teamWork - 1.215) < 1e-9);
+	});
+});
@@ -0,0 +1,63 @@
+const { describe, it, before, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	AUTO_SCORING_MODEL,
+	registerScoringModel,
+	getScoringModel,
+	configureScoring,
+	getScoringModelForContract,
+} = require("../scoringModels");
+const { parseCli } = require("../cli");
+
+const BEFORE_V2 = { startTime: "2024-12-31T23:59:59Z" };
+const FROM_V2 = { startTime: "2025-01-01T00:00:00Z" };
+
+describe("scoring model selection", () => {
+	before(() => {
+		// A second model, like a formula change by Egg Inc
+		registerScoringModel({
+			...getScoringModel("v1"),
+			id: "test-v2",
+			description: "v1 with higher grade multipliers",
+			validFrom: "2025-01-01T00:00:00Z",
+			gradeMultipliers: { aaa: 8, aa: 6, a: 4, b: 2, c: 1 },
+		});
+	});
+
+	afterEach(() => {
+		configureScoring({ model: AUTO_SCORING_MODEL });
+	});
+
+	it("selects the model by contract start date", () => {
+		assert.equal(getScoringModelForContract(BEFORE_V2).id, "v1");
+		assert.equal(getScoringModelForContract(FROM_V2).id, "test-v2");
+	});
+
+	it("selects the newest model for contracts without a start time", () => {
+		assert.equal(getScoringModelForContract({}).id, "test-v2");
+	});
+
+	it("uses the model of --scoring-model for every contract", () => {
+		const { options } = parseCli([
+			"recompute",
+			"--in",
+			"coops.json",
+			"--out",
+			"coops-v1.json",
+			"--scoring-model",
+			"v1",
+		]);
+		configureScoring({ model: options.scoringModel });
+
+		assert.equal(getScoringModelForContract(BEFORE_V2).id, "v1");
+		assert.equal(getScoringModelForContract(FROM_V2).id, "v1");
+	});
+
+	it("rejects unknown models", () => {
+		assert.throws(
+			() => configureScoring({ model: "v9" }),
+			/Unknown scoring model "v9"/
+		);
+	});
+});
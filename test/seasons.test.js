@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getContractsByDate, getSeasonContracts } = require("../eggcoop");
+const { configureCache } = require("../cache");
+
+/**
+ * Creates an EggCoop contract.
+ *
+ * @param {string} contractIdentifier - The contract identifier.
+ * @param {string} startTime - The start time.
+ * @param {string|null} eiSeasonId - The season, null for a contract without a season object.
+ * @param {boolean} [leggacy=false] - Whether the contract is a leggacy rerun.
+ * @returns {EggCoop.Contract} The contract.
+ */
+function createContract(
+	contractIdentifier,
+	startTime,
+	eiSeasonId,
+	leggacy = false
+) {
+	return {
+		contractIdentifier,
+		uuid: contractIdentifier,
+		startTime,
+		expirationTime: startTime,
+		gradeSpecCollection: `/api/grade_spec_collections/${contractIdentifier}`,
+		maxCoopSize: 5,
+		minutesPerToken: 60,
+		chickenRunCooldownMinutes: 180,
+		leggacy,
+		...(eiSeasonId && { season: { eiSeasonId } }),
+	};
+}
+
+const CONTRACTS = [
+	createContract("winter-1", "2025-01-01T00:00:00Z", "winter_2025"),
+	createContract("no-season", "2025-01-10T00:00:00Z", null),
+	createContract("rerun", "2025-01-15T00:00:00Z", "summer_2024", true),
+	createContract("winter-2", "2025-02-01T00:00:00Z", "winter_2025"),
+	createContract("spring-1", "2025-03-01T00:00:00Z", "spring_2025"),
+	createContract("spring-2", "2025-03-10T00:00:00Z", "spring_2025"),
+];
+
+/**
+ * Returns the identifiers of contracts.
+ *
+ * @param {EggCoop.Contract[]} contracts - The contracts.
+ * @returns {string[]} Their identifiers.
+ */
+function getIdentifiers(contracts) {
+	return contracts.map((contract) => contract.contractIdentifier);
+}
+
+describe("contract selection", () => {
+	const originalFetch = globalThis.fetch;
+
+	before(() => {
+		configureCache({ enabled: false });
+		// Every EggCoop request gets the contract list
+		globalThis.fetch = async () =>
+			new Response(JSON.stringify(CONTRACTS), {
+				headers: { "Content-Type": "application/json" },
+			});
+	});
+
+	after(() => {
+		globalThis.fetch = originalFetch;
+	});
+
+	it("selects the contracts from the start of one season to the start of the next", async () => {
+		assert.deepEqual(getIdentifiers(await getSeasonContracts("winter_2025")), [
+			"winter-1",
+			"no-season",
+			"rerun",
+			"winter-2",
+		]);
+		assert.deepEqual(
+			getIdentifiers(await getSeasonContracts("winter_2025", null, true)),
+			["winter-1", "winter-2"]
+		);
+	});
+
+	it("ends a season that is still running now", async () => {
+		assert.deepEqual(
+			getIdentifiers(await getSeasonContracts("winter_2025", "summer_2025")),
+			getIdentifiers(CONTRACTS)
+		);
+		assert.deepEqual(getIdentifiers(await getSeasonContracts("spring_2025")), [
+			"spring-1",
+			"spring-2",
+		]);
+	});
+
+	it("keeps contracts without a season when filtering dates by season", async () => {
+		const contracts = await getContractsByDate(
+			"2025-01-01",
+			"2025-02-28",
+			"winter_2025"
+		);
+		assert.deepEqual(getIdentifiers(contracts), [
+			"winter-1",
+			"no-season",
+			"winter-2",
+		]);
+	});
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { openCoopStore, convertCoopFile } = require("../storage");
+
+const API_DIR = path.join(__dirname, "fixtures", "replay", "eggcoop", "api");
+
+/**
+ * Creates a processed coop record of fast-toys-2024 from the recorded fixtures.
+ *
+ * @param {string} code - The coop code, "fast-0" or "fast-5".
+ * @param {number} cs - The cs of every user.
+ * @returns {Object} The coop record.
+ */
+function createRecord(code, cs) {
+	const [contract] = require(path.join(API_DIR, "contracts.json"));
+	const { gradeSpecs } = require(
+		path.join(
+			API_DIR,
+			"grade_spec_collections",
+			"fbc886e6-a0cb-4cf4-b62a-c6b89ef65d82.json"
+		)
+	);
+	const coopData = structuredClone(
+		require(
+			path.join(API_DIR, "coops/fast-toys-2024", code, "statuses/latest.json")
+		)
+	);
+	for (const contributor of coopData.coopContributors) {
+		const contributorPath = path.join(
+			API_DIR,
+			"coop_contributor_uuids",
+			`${contributor.eiUuid}.json`
+		);
+		contributor.buffHistory = require(contributorPath).buffHistory;
+	}
+
+	return {
+		coopData,
+		contractData: { ...contract, gradeSpecs },
+		majCoopData: {
+			code,
+			grade: "aaa",
+			users: coopData.coopContributors.map((user) => user.userName),
+		},
+		scoringModel: "v1",
+		userData: coopData.coopContributors.map((contributor) => ({
+			eiUuid: contributor.eiUuid,
+			userName: contributor.userName,
+			cs,
+			upperCS: cs * 2,
+			greenScroll: true,
+			buffHistory: contributor.buffHistory,
+		})),
+	};
+}
+
+/**
+ * Creates a temporary directory that is removed after the tests of the current suite.
+ *
+ * @returns {() => string} Returns the directory, once the suite has started.
+ */
+function useTempDir() {
+	let tempDir;
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "coop-store-"));
+	});
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+	return () => tempDir;
+}
+
+for (const format of ["json", "ndjson", "sqlite"]) {
+	describe(`${format} coop store`, () => {
+		const getTempDir = useTempDir();
+
+		it("replaces records with the same coop key", () => {
+			const filePath = path.join(getTempDir(), `coops.${format}`);
+			const store = openCoopStore(filePath);
+			assert.equal(store.format, format);
+
+			store.append([
+				createRecord("fast-0", 100),
+				createRecord("fast-5", 200),
+			]);
+			store.append([{ ...createRecord("fast-0", 300), error: "Failed" }]);
+
+			// SQLite stores a replaced record as a new row, so the order may differ
+			const reopened = openCoopStore(filePath);
+			const records = reopened
+				.readAll()
+				.sort((a, b) => a.majCoopData.code.localeCompare(b.majCoopData.code));
+			assert.deepEqual(records, [
+				{ ...createRecord("fast-0", 300), error: "Failed" },
+				createRecord("fast-5", 200),
+			]);
+			assert.deepEqual(
+				reopened.getStatuses(),
+				new Map([
+					["fast-toys-2024/fast-0", { error: true }],
+					["fast-toys-2024/fast-5", { error: false }],
+				])
+			);
+
+			reopened.clear();
+			assert.deepEqual(openCoopStore(filePath).readAll(), []);
+		});
+	});
+}
+
+describe("ndjson coop store", () => {
+	const getTempDir = useTempDir();
+
+	it("skips a line that was cut off and appends after it", () => {
+		const filePath = path.join(getTempDir(), "coops.ndjson");
+		const store = openCoopStore(filePath);
+		store.append([createRecord("fast-0", 100)]);
+		fs.appendFileSync(filePath, '{"coopData":');
+
+		const reopened = openCoopStore(filePath);
+		reopened.append([createRecord("fast-5", 200)]);
+		assert.deepEqual(openCoopStore(filePath).readAll(), [
+			createRecord("fast-0", 100),
+			createRecord("fast-5", 200),
+		]);
+	});
+});
+
+describe("convertCoopFile", () => {
+	const getTempDir = useTempDir();
+
+	it("converts between formats without replaced records", () => {
+		const jsonPath = path.join(getTempDir(), "coops.json");
+		const ndjsonPath = path.join(getTempDir(), "coops.ndjson");
+		const backPath = path.join(getTempDir(), "coops-back.json");
+		const inputPath = path.join(getTempDir(), "input.ndjson");
+		const input = openCoopStore(inputPath);
+		input.append([createRecord("fast-0", 100), createRecord("fast-5", 200)]);
+		input.append([createRecord("fast-0", 300)]);
+
+		assert.equal(convertCoopFile(inputPath, jsonPath), 2);
+		assert.equal(convertCoopFile(jsonPath, ndjsonPath), 2);
+		assert.equal(convertCoopFile(ndjsonPath, backPath), 2);
+		assert.deepEqual(openCoopStore(backPath).readAll(), [
+			createRecord("fast-0", 300),
+			createRecord("fast-5", 200),
+		]);
+
+		assert.throws(() => convertCoopFile(jsonPath, backPath), /already exists/);
+	});
+});
+
+describe("sqlite coop store", () => {
+	const getTempDir = useTempDir();
+
+	it("stores every user and buff event in its own row", () => {
+		const filePath = path.join(getTempDir(), "coops.sqlite");
+		openCoopStore(filePath).append([
+			createRecord("fast-0", 100),
+			createRecord("fast-5", 200),
+		]);
+
+		const Database = require("better-sqlite3");
+		const db = new Database(filePath, { readonly: true });
+		try {
+			const rows = db
+				.prepare(
+					`SELECT coop_code, user_name, cs, COUNT(buff_events.position) AS buffs
+					FROM user_metrics
+					JOIN coops USING (coop_key)
+					LEFT JOIN buff_events ON buff_events.coop_key = user_metrics.coop_key
+						AND buff_events.contributor_position = user_metrics.contributor_position
+					GROUP BY user_metrics.coop_key, user_metrics.position
+					ORDER BY coop_code, user_metrics.position`
+				)
+				.all();
+			const expected = ["fast-0", "fast-5"].flatMap((code) =>
+				createRecord(code, code === "fast-0" ? 100 : 200).userData.map(
+					(user) => ({
+						coop_code: code,
+						user_name: user.userName,
+						cs: user.cs,
+						buffs: user.buffHistory.length,
+					})
+				)
+			);
+			assert.deepEqual(rows, expected);
+		} finally {
+			db.close();
+		}
+	});
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+	configureTeamworkData,
+	getUserTeamworkData,
+} = require("../teamworkData");
+
+const INDEX_PATH = path.join(__dirname, "..", "index.js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "replay");
+
+/**
+ * Runs a command of the CLI in the output directory.
+ *
+ * @param {string} cwd - The output directory.
+ * @param {string[]} args - The command and its options.
+ * @returns {import("child_process").SpawnSyncReturns<string>} The finished process.
+ */
+function runCli(cwd, args) {
+	return spawnSync(process.execPath, [INDEX_PATH, ...args], {
+		cwd,
+		encoding: "utf8",
+		timeout: 120000,
+	});
+}
+
+describe("teamwork data", () => {
+	let tempDir;
+
+	/**
+	 * Writes a teamwork data file.
+	 *
+	 * @param {Array<Object>} entries - The teamwork entries.
+	 * @returns {string} Path of the file.
+	 */
+	const writeTeamworkData = (entries) => {
+		const filePath = path.join(tempDir, "teamwork.json");
+		fs.writeFileSync(filePath, JSON.stringify(entries));
+		return filePath;
+	};
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "teamwork-"));
+	});
+
+	after(() => {
+		configureTeamworkData({ filePath: null });
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	it("matches users on eiUuid first, then userName", () => {
+		configureTeamworkData({
+			filePath: writeTeamworkData([
+				{
+					contract: "fast-toys-2024",
+					coop: "fast-0",
+					eiUuid: "u0",
+					tokenValue: 3.5,
+				},
+				{
+					contract: "fast-toys-2024",
+					coop: "fast-0",
+					userName: "player0",
+					tokenValue: 8,
+					chickenRuns: 2,
+				},
+			]),
+		});
+
+		assert.deepEqual(
+			getUserTeamworkData("fast-toys-2024", "fast-0", {
+				eiUuid: "u0",
+				userName: "player0",
+			}),
+			{ tokenValue: 3.5, chickenRuns: null }
+		);
+		assert.deepEqual(
+			getUserTeamworkData("fast-toys-2024", "fast-0", {
+				eiUuid: "u9",
+				userName: "player0",
+			}),
+			{ tokenValue: 8, chickenRuns: 2 }
+		);
+		assert.equal(
+			getUserTeamworkData("fast-toys-2024", "fast-5", { eiUuid: "u0" }),
+			null
+		);
+	});
+
+	it("prefers the entries of a contract run", () => {
+		configureTeamworkData({
+			filePath: writeTeamworkData([
+				{
+					contract: "fast-toys-2024",
+					coop: "fast-0",
+					eiUuid: "u0",
+					chickenRuns: 1,
+				},
+				{
+					contract: "fast-toys-2024",
+					coop: "fast-0",
+					run: "1734973200",
+					eiUuid: "u0",
+					chickenRuns: 5,
+				},
+			]),
+		});
+
+		const user = { eiUuid: "u0" };
+		assert.equal(
+			getUserTeamworkData("fast-toys-2024", "fast-0", user, "1734973200")
+				.chickenRuns,
+			5
+		);
+		assert.equal(
+			getUserTeamworkData("fast-toys-2024", "fast-0", user, "1736000000")
+				.chickenRuns,
+			1
+		);
+	});
+
+	it("rejects entries without a coop or with values that aren't numbers", () => {
+		assert.throws(
+			() =>
+				configureTeamworkData({
+					filePath: writeTeamworkData([
+						{ contract: "fast-toys-2024", eiUuid: "u0" },
+					]),
+				}),
+			/Teamwork entry 0 needs a contract, a coop and a userName or eiUuid/
+		);
+		assert.throws(
+			() =>
+				configureTeamworkData({
+					filePath: writeTeamworkData([
+						{
+							contract: "fast-toys-2024",
+							coop: "fast-0",
+							eiUuid: "u0",
+							tokenValue: "3",
+						},
+					]),
+				}),
+			/tokenValue must be a number/
+		);
+	});
+
+	it("gives users with known teamwork values an exact CS", () => {
+		const outDir = path.join(tempDir, "out");
+		fs.mkdirSync(outDir);
+		const result = runCli(outDir, [
+			"run",
+			"--start",
+			"2024-12-20",
+			"--end",
+			"2024-12-31",
+			"--replay",
+			FIXTURES_DIR,
+			"--out-dir",
+			outDir,
+		]);
+		assert.equal(result.status, 0, result.stderr);
+
+		const teamworkPath = writeTeamworkData([
+			{
+				contract: "fast-toys-2024",
+				coop: "fast-0",
+				userName: "player0",
+				tokenValue: 12,
+				chickenRuns: 4,
+			},
+		]);
+		const coopsPath = path.join(outDir, "coops.json");
+		const exactPath = path.join(outDir, "coops-exact.json");
+		const recompute = runCli(outDir, [
+			"recompute",
+			"--in",
+			coopsPath,
+			"--out",
+			exactPath,
+			"--teamwork-data",
+			teamworkPath,
+		]);
+		assert.equal(recompute.status, 0, recompute.stderr);
+
+		const [before] = JSON.parse(fs.readFileSync(coopsPath, "utf8"));
+		const [exact] = JSON.parse(fs.readFileSync(exactPath, "utf8"));
+		const [player0, player1] = exact.userData;
+		// The token value counts up to 10
+		assert.equal(player0.tokenValue, 10);
+		assert.equal(player0.chickenRuns, 4);
+		assert.equal(player0.exactCS, true);
+		assert.ok(player0.cs > before.userData[0].cs);
+		assert.equal(player1.exactCS, false);
+		assert.equal(player1.cs, before.userData[1].cs);
+	});
+});
@@ -0,0 +1,23 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getCoopDuration } = require("../tools");
+
+describe("getCoopDuration", () => {
+	it("projects the duration from contributionRatePerSecond when there is no contributionRate", () => {
+		const coopStatus = {
+			allGoalsAchieved: false,
+			totalAmount: 1000,
+			secondsRemaining: 3000,
+			coopContributors: [
+				{ contributionRatePerSecond: 2, offlineSeconds: 50 },
+				{ contributionRatePerSecond: 3 },
+			],
+		};
+
+		// 10000 - 1000 eggs, minus 2 * 50 shipped while offline, at 5 eggs per second after 7000 seconds
+		const duration = getCoopDuration(coopStatus, 10000, 10000);
+		assert.ok(Number.isFinite(duration));
+		assert.equal(duration, 7000 + (9000 - 100) / 5);
+	});
+});
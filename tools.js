@@ -36,7 +36,7 @@ function getCoopDuration(
 		);
 	}
 
-	if (coopStatus.allGoalsAchieved) {
+	if (!isCoopDurationProjected(coopStatus)) {
 		// Coop completed: calculate final duration
 		const coopAllowableTimeRemaining = coopStatus.secondsRemaining;
 
@@ -83,8 +83,7 @@ function getCoopDuration(
 					);
 
 					// Calculate offline eggs: contributionRate * offlineDuration
-					const offlineEggs =
-						contributor.contributionRate * offlineDuration;
+					const offlineEggs = rate * offlineDuration;
 
 					// Subtract offline eggs from eggsRemaining
 					eggsRemaining -= offlineEggs;
@@ -94,13 +93,12 @@ function getCoopDuration(
 						contributor.offlineSeconds
 					);
 
-					const offlineEggs =
-						contributor.contributionRatePerSecond * offlineDuration;
+					const offlineEggs = rate * offlineDuration;
 
 					eggsRemaining -= offlineEggs;
 				}
 
-				return sum + contributor.contributionRate;
+				return sum + rate;
 			},
 			0
 		);
@@ -127,6 +125,41 @@ function getCoopDuration(
 	}
 }
 
+/**
+ * Checks whether getCoopDuration has to project the duration of a coop, because it didn't reach all
+ * of its goals (yet). The projection assumes the current contribution rates hold until the goal is met.
+ *
+ * @param {EILib.CoopStatus} coopStatus - Coop status object.
+ * @return {boolean} True if the duration is a projection.
+ */
+function isCoopDurationProjected(coopStatus) {
+	return !coopStatus?.allGoalsAchieved;
+}
+
+/**
+ * Checks whether a coop has finished, meaning its status can't change anymore.
+ * A coop has finished if all goals were achieved and every member reported afterwards (or the
+ * grace period is over), or if the time ran out.
+ *
+ * @param {EILib.CoopStatus} coopStatus - Coop status object.
+ * @return {boolean} True if the coop has finished.
+ */
+function isCoopFinished(coopStatus) {
+	if (!coopStatus || typeof coopStatus !== "object") return false;
+
+	if (coopStatus.allGoalsAchieved === true) {
+		return (
+			coopStatus.allMembersReporting === true ||
+			coopStatus.gracePeriodSecondsRemaining === 0
+		);
+	}
+
+	return (
+		typeof coopStatus.secondsRemaining === "number" &&
+		coopStatus.secondsRemaining <= 0
+	);
+}
+
 /**
  * Calculates the buff time value based on a buffHistory and secondsSinceAllGoalsAchieved from coop_status.
  *
@@ -134,10 +167,16 @@ function getCoopDuration(
  *        List of buff objects, each containing a timestamp, egg-laying rate, and earnings multiplier.
  * @param {number} secondsSinceAllGoalsAchieved
  *        The server timestamp indicating when goals were achieved.
+ * @param {{ deflector: number, siab: number }} [weights={ deflector: 7.5, siab: 0.75 }]
+ *        Value of a full second at a 100% deflector or SIAB buff, see the buffWeights of the scoring models.
  * @returns {number} The computed buff time value.
  * @throws {TypeError} If buffHistory is not an array or secondsSinceAllGoalsAchieved is not a number.
  */
-function calculateBuffTimeValue(buffHistory, secondsSinceAllGoalsAchieved) {
+function calculateBuffTimeValue(
+	buffHistory,
+	secondsSinceAllGoalsAchieved,
+	weights = { deflector: 7.5, siab: 0.75 }
+) {
 	if (!Array.isArray(buffHistory)) {
 		throw new TypeError("buffHistory must be an array");
 	}
@@ -183,10 +222,10 @@ function calculateBuffTimeValue(buffHistory, secondsSinceAllGoalsAchieved) {
 		const siabPercent = (currentBuff.earnings_buff - 1) * 100;
 
 		if (deflectorPercent > 0) {
-			buffTimeValue += duration * 7.5 * (deflectorPercent / 100);
+			buffTimeValue += duration * weights.deflector * (deflectorPercent / 100);
 		}
 		if (siabPercent > 0) {
-			buffTimeValue += duration * 0.75 * (siabPercent / 100);
+			buffTimeValue += duration * weights.siab * (siabPercent / 100);
 		}
 	}
 	return buffTimeValue;
@@ -273,6 +312,99 @@ function calculateContributionFactor(contributionRatio) {
 	}
 }
 
+/**
+ * Returns the key of a contract run: the contract identifier, followed by the Wonky start time of the
+ * run if contract runs are kept separate (see filterUniqueContracts).
+ *
+ * @param {string} contractIdentifier - The contract identifier (kevID).
+ * @param {string|null} [run=null] - The Wonky start time of the run, null if runs aren't kept separate.
+ * @returns {string} The contract run key, e.g. "three-amigos" or "three-amigos@1735146000".
+ */
+function getContractRunKey(contractIdentifier, run = null) {
+	return run ? `${contractIdentifier}@${run}` : contractIdentifier;
+}
+
+/**
+ * Returns the key that identifies a coop across runs: contract identifier, contract run and coop code.
+ *
+ * @param {string} contractIdentifier - The contract identifier (kevID).
+ * @param {string} coopCode - The coop code.
+ * @param {string|null} [run=null] - The Wonky start time of the contract run, see getContractRunKey.
+ * @returns {string} The coop key.
+ */
+function getCoopKey(contractIdentifier, coopCode, run = null) {
+	return `${getContractRunKey(contractIdentifier, run)}/${coopCode}`;
+}
+
+/**
+ * Returns the coop key of a processed coop record, see getCoopKey.
+ *
+ * @param {Object} coopRecord - A processed coop, as stored in coops.json.
+ * @returns {string|null} The coop key, or null if the record lacks the contract or coop code.
+ */
+function getCoopRecordKey(coopRecord) {
+	const contractIdentifier = coopRecord?.contractData?.contractIdentifier;
+	const coopCode = coopRecord?.majCoopData?.code;
+	if (!contractIdentifier || !coopCode) return null;
+	return getCoopKey(contractIdentifier, coopCode, coopRecord.majCoopData.run);
+}
+
+/**
+ * Finds the EggCoop contract of a Wonky contract entry. If the entry is a separate contract run, it
+ * gets the contract period its Wonky start time falls in, so reruns get their own contract data.
+ *
+ * @param {EggCoop.Contract[]} contracts - The EggCoop contracts, possibly with several periods per contract identifier.
+ * @param {majCoopsObject} majCoopsObject - The Wonky contract entry, with a run if runs are kept separate.
+ * @returns {EggCoop.Contract|null} The contract, or null if no contract (period) matches.
+ */
+function findContractForRun(contracts, majCoopsObject) {
+	const candidates = contracts.filter(
+		(contract) => contract.contractIdentifier === majCoopsObject.contract
+	);
+	if (!majCoopsObject.run) return candidates[0] ?? null;
+
+	const runStartTime = parseInt(majCoopsObject.run, 10) * 1000;
+	return (
+		candidates.find((contract) => {
+			const startTime = Date.parse(contract.startTime);
+			const expirationTime = Date.parse(contract.expirationTime);
+			return (
+				startTime <= runStartTime &&
+				(Number.isNaN(expirationTime) || runStartTime < expirationTime)
+			);
+		}) ?? null
+	);
+}
+
+/**
+ * Merges processed coop records. A new record replaces an existing record with the same coop key,
+ * keeping its position; other new records are appended.
+ *
+ * @param {Array<Object>} existingCoops - Records already stored.
+ * @param {Array<Object>} newCoops - Newly processed records.
+ * @returns {Array<Object>} The merged records.
+ */
+function mergeCoopRecords(existingCoops, newCoops) {
+	const merged = [...existingCoops];
+	const indexByKey = new Map();
+	merged.forEach((record, index) => {
+		const key = getCoopRecordKey(record);
+		if (key) indexByKey.set(key, index);
+	});
+
+	for (const record of newCoops) {
+		const key = getCoopRecordKey(record);
+		if (key && indexByKey.has(key)) {
+			merged[indexByKey.get(key)] = record;
+		} else {
+			if (key) indexByKey.set(key, merged.length);
+			merged.push(record);
+		}
+	}
+
+	return merged;
+}
+
 /**
  * Creates a CLI progress bar
  * @param {number} percent - Percentage complete (0-100)
@@ -302,9 +434,16 @@ function formatTime(seconds) {
 
 module.exports = {
 	getCoopDuration,
+	isCoopDurationProjected,
+	isCoopFinished,
 	calculateBuffTimeValue,
 	convertGrade,
 	calculateContributionFactor,
+	getContractRunKey,
+	getCoopKey,
+	getCoopRecordKey,
+	findContractForRun,
+	mergeCoopRecords,
 	progressBar,
 	formatTime,
 };